@@ -0,0 +1,352 @@
+/**
+ * Client for the translation API that works in browsers and in Node (18+, or any fetch).
+ *
+ *   import { createTranslationClient } from "translation-api/client";
+ *
+ *   const client = createTranslationClient({ baseUrl: "https://translations.example.com" });
+ *   await client.setLanguage("de");
+ *   client.t("welcome_message", { name: "Bob" });
+ *   client.on("update", ({ language, version }) => rerender());
+ *
+ * Languages are kept in memory and, if you pass a storage (like localStorage), persisted so
+ * the next page load can start with them right away. Cached languages are revalidated against
+ * the server (with the ETag, so unchanged ones cost a 304) and when the server has a newer
+ * version the client swaps it in and emits "update".
+ *
+ * This module only uses fetch and Intl, so keep Node-only imports out of it.
+ */
+
+import { formatMessage } from "./lib/messageformat.js";
+
+// How long a language counts as fresh before we check back with the server
+const DEFAULT_MAX_AGE = 5 * 60 * 1000;
+
+// Prefix for the entries in the persistent storage
+const STORAGE_PREFIX = "translations:";
+
+/**
+ * Thrown when the API answers with an error. "status" is the HTTP status and "error"
+ * the error name from the response body (like "Language not found").
+ */
+class TranslationClientError extends Error {
+  constructor(message, status, error) {
+    super(message);
+    this.name = "TranslationClientError";
+    this.status = status;
+    this.error = error;
+  }
+}
+
+/**
+ * Wraps a Web Storage object (localStorage, sessionStorage) as a client storage.
+ * A storage is anything with get(key) and set(key, value), sync or async, so you can
+ * also plug in IndexedDB, AsyncStorage or a file.
+ *
+ * @param {Storage} storage - Web Storage object (default: localStorage)
+ * @returns {Object} { get(key), set(key, value) }
+ */
+function createWebStorage(storage = globalThis.localStorage) {
+  return {
+    get(key) {
+      const value = storage.getItem(key);
+      return value === null ? null : JSON.parse(value);
+    },
+    set(key, value) {
+      storage.setItem(key, JSON.stringify(value));
+    },
+  };
+}
+
+/**
+ * Creates a translation client.
+ *
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - Where the API runs (default: same origin)
+ * @param {string} [options.language] - Language t() uses until setLanguage() is called
+ * @param {string} [options.apiKey] - API key, if the server needs one
+ * @param {Object} [options.storage] - Persistent cache ({ get(key), set(key, value) }, see createWebStorage)
+ * @param {number} [options.maxAge] - Milliseconds before a cached language is revalidated (default 5 minutes)
+ * @param {number} [options.pollInterval] - Revalidate the current language every this many milliseconds
+ * @param {Function} [options.fetch] - fetch to use (default: the global one)
+ * @returns {Object} The client, with the methods documented below
+ */
+function createTranslationClient({
+  baseUrl = "",
+  language = null,
+  apiKey = null,
+  storage = null,
+  maxAge = DEFAULT_MAX_AGE,
+  pollInterval = 0,
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  // language -> { version, language, fallbackChain, translations, sources, etag, checkedAt }
+  const cache = new Map();
+
+  // Requests that are on their way, so loading the same language twice only fetches once
+  const pending = new Map();
+
+  const listeners = {};
+  let currentLanguage = language;
+  let pollTimer = null;
+
+  function emit(event, data) {
+    (listeners[event] || []).forEach((listener) => listener(data));
+  }
+
+  function isFresh(entry) {
+    return Date.now() - entry.checkedAt < maxAge;
+  }
+
+  async function readStorage(lang) {
+    if (!storage) {
+      return null;
+    }
+
+    try {
+      return (await storage.get(STORAGE_PREFIX + lang)) || null;
+    } catch (error) {
+      emit("error", error);
+      return null;
+    }
+  }
+
+  async function writeStorage(lang, entry) {
+    if (!storage) {
+      return;
+    }
+
+    try {
+      await storage.set(STORAGE_PREFIX + lang, entry);
+    } catch (error) {
+      emit("error", error);
+    }
+  }
+
+  /**
+   * Asks the server for a language. Sends the ETag we have, so an unchanged language is a 304.
+   * Emits "update" when the server has another version than the one we had.
+   */
+  async function fetchLanguage(lang) {
+    const previous = cache.get(lang) || null;
+    const headers = { Accept: "application/json" };
+
+    if (previous && previous.etag) {
+      headers["If-None-Match"] = previous.etag;
+    }
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const url = `${baseUrl}/api/translate?lang=${encodeURIComponent(lang)}`;
+    const response = await fetchImpl(url, { headers });
+
+    if (response.status === 304 && previous) {
+      const entry = { ...previous, checkedAt: Date.now() };
+      cache.set(lang, entry);
+      await writeStorage(lang, entry);
+      return entry;
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new TranslationClientError(
+        body.message || `Could not load '${lang}' (HTTP ${response.status})`,
+        response.status,
+        body.error
+      );
+    }
+
+    const entry = {
+      version: body.version,
+      language: body.language,
+      fallbackChain: body.fallbackChain,
+      translations: body.translations,
+      sources: body.sources,
+      etag: response.headers.get("ETag"),
+      checkedAt: Date.now(),
+    };
+
+    cache.set(lang, entry);
+    await writeStorage(lang, entry);
+
+    if (previous && previous.version !== entry.version) {
+      emit("update", {
+        language: lang,
+        version: entry.version,
+        previousVersion: previous.version,
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * fetchLanguage, but only one request per language at a time.
+   */
+  function fetchOnce(lang) {
+    if (!pending.has(lang)) {
+      pending.set(
+        lang,
+        fetchLanguage(lang).finally(() => pending.delete(lang))
+      );
+    }
+    return pending.get(lang);
+  }
+
+  const client = {
+    /**
+     * Loads a language: from memory, then from the storage, then from the server.
+     * A cached language that's no longer fresh is given back right away and revalidated in
+     * the background (you'll get an "update" event if it changed).
+     *
+     * @param {string} [lang] - Language (default: the current one)
+     * @returns {Promise<Object>} { version, language, fallbackChain, translations, sources }
+     */
+    async load(lang = currentLanguage) {
+      if (!lang) {
+        throw new TranslationClientError(
+          "Please pass a language (or set one with setLanguage)",
+          400,
+          "Missing language parameter"
+        );
+      }
+
+      if (!cache.has(lang)) {
+        const stored = await readStorage(lang);
+        if (stored && stored.translations) {
+          cache.set(lang, stored);
+        }
+      }
+
+      const cached = cache.get(lang);
+
+      if (!cached) {
+        return fetchOnce(lang);
+      }
+
+      if (!isFresh(cached)) {
+        fetchOnce(lang).catch((error) => emit("error", error));
+      }
+
+      return cached;
+    },
+
+    /**
+     * Checks with the server whether a language changed (even if it's still fresh).
+     *
+     * @param {string} [lang] - Language (default: the current one)
+     * @returns {Promise<boolean>} True if a new version was loaded
+     */
+    async revalidate(lang = currentLanguage) {
+      if (!lang) {
+        return false;
+      }
+
+      const before = cache.get(lang);
+      const after = await fetchOnce(lang);
+      return Boolean(before) && before.version !== after.version;
+    },
+
+    /**
+     * Switches t() to another language (and loads it).
+     *
+     * @param {string} lang - Language code, e.g. "de" or "fr-CA"
+     * @returns {Promise<Object>} The loaded language
+     */
+    async setLanguage(lang) {
+      const entry = await client.load(lang);
+      currentLanguage = lang;
+      emit("languageChanged", { language: lang, version: entry.version });
+      return entry;
+    },
+
+    /**
+     * @returns {string|null} The language t() uses
+     */
+    getLanguage() {
+      return currentLanguage;
+    },
+
+    /**
+     * @returns {string|null} Version of the loaded current language
+     */
+    getVersion() {
+      const entry = cache.get(currentLanguage);
+      return entry ? entry.version : null;
+    },
+
+    /**
+     * Translates a key in the current language. The server already filled in missing keys
+     * from the fallback chain (fr-CA -> fr -> en); a key no language has gives back the key
+     * itself, and so does everything before the language is loaded.
+     * With params the message is rendered (ICU MessageFormat, like the API does).
+     *
+     * @param {string} key - Translation key
+     * @param {Object} [params] - Message parameters, e.g. { name: "Bob", count: 3 }
+     * @returns {string} The translation
+     */
+    t(key, params) {
+      const entry = cache.get(currentLanguage);
+
+      if (!entry || !Object.hasOwn(entry.translations, key)) {
+        return key;
+      }
+
+      const message = entry.translations[key];
+
+      if (!params || Object.keys(params).length === 0) {
+        return message;
+      }
+
+      try {
+        return formatMessage(message, params, entry.sources[key]);
+      } catch (error) {
+        emit("error", error);
+        return message;
+      }
+    },
+
+    /**
+     * Listens for "update" ({ language, version, previousVersion }), "languageChanged"
+     * ({ language, version }) and "error" (an Error).
+     *
+     * @returns {Function} Call it to stop listening
+     */
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return () => client.off(event, listener);
+    },
+
+    off(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(
+        (existing) => existing !== listener
+      );
+    },
+
+    /**
+     * Stops polling.
+     */
+    close() {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    },
+  };
+
+  if (pollInterval > 0) {
+    pollTimer = setInterval(() => {
+      if (currentLanguage) {
+        client.revalidate().catch((error) => emit("error", error));
+      }
+    }, pollInterval);
+
+    // Don't keep a Node process alive just for polling
+    if (pollTimer.unref) {
+      pollTimer.unref();
+    }
+  }
+
+  return client;
+}
+
+export { TranslationClientError, createWebStorage, createTranslationClient };
@@ -0,0 +1,15 @@
+/**
+ * What the package exports, for services that want to use the translations in-process.
+ * Importing this never starts the API server (that's `npm start`, or src/main.js).
+ */
+
+export { createI18nMiddleware } from "./lib/middleware.js";
+export { createTranslationStore } from "./lib/store.js";
+export { resolveFallbackChain, resolveTranslations } from "./lib/fallback.js";
+export { negotiateLanguage } from "./lib/negotiation.js";
+export { formatMessage } from "./lib/messageformat.js";
+export {
+  TranslationClientError,
+  createWebStorage,
+  createTranslationClient,
+} from "./client.js";
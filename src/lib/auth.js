@@ -0,0 +1,357 @@
+/**
+ * API-key authentication and role-based access.
+ *
+ * Keys come from a local keys file (keys.json, managed with `npm run keys`) and/or the
+ * API_KEYS environment variable. Only a SHA-256 hash of every key is stored, never the key
+ * itself. Every key has a role:
+ * - reader: can use the read endpoints
+ * - translator: can also change translations, but only for its own languages
+ * - admin: can do everything, including creating and deleting keys in the CSV
+ *
+ * Clients send their key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ * Routes browsers can't send headers to (EventSource) can also take it as ?apiKey=<key>.
+ * As long as no keys are configured, the read endpoints are open and the write API is off.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+
+const ROLES = ["reader", "translator", "admin"];
+
+// Keys are random, so a fast hash is fine here (there's nothing to brute-force)
+const HASH_PREFIX = "sha256:";
+
+/**
+ * Hashes an API key the way it's stored: "sha256:<hex>".
+ */
+function hashApiKey(key) {
+  return HASH_PREFIX + crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Makes a new random API key.
+ */
+function generateApiKey() {
+  return "tk_" + crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Checks the key entries from the keys file or API_KEYS and drops the broken ones (with a warning).
+ * An entry looks like { name, hash, role, languages } where languages is only used for
+ * translators (["de", "fr"], or ["*"] for all of them).
+ */
+function parseKeyEntries(entries, source) {
+  if (!Array.isArray(entries)) {
+    console.warn(
+      `Warning: API keys in ${source} must be a list, ignoring them`
+    );
+    return [];
+  }
+
+  return entries.filter((entry) => {
+    const valid =
+      entry &&
+      typeof entry.name === "string" &&
+      typeof entry.hash === "string" &&
+      entry.hash.startsWith(HASH_PREFIX) &&
+      ROLES.includes(entry.role) &&
+      (entry.role !== "translator" || Array.isArray(entry.languages));
+
+    if (!valid) {
+      console.warn(
+        `Warning: Ignoring invalid API key entry in ${source}: ${JSON.stringify(
+          entry && entry.name
+        )}`
+      );
+    }
+
+    return valid;
+  });
+}
+
+/**
+ * Reads the keys file. It looks like { "keys": [ { name, hash, role, languages }, ... ] }.
+ * Gives back [] if the file doesn't exist.
+ */
+function readKeysFile(file) {
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return parseKeyEntries(data.keys, file);
+}
+
+/**
+ * Creates the store of configured API keys.
+ *
+ * @param {Object} options
+ * @param {string} options.file - Path to the keys file
+ * @param {string} [options.envValue] - Value of API_KEYS (a JSON list of the same entries)
+ * @returns {Object} { load(), watch(), close(), isEnabled(), find(key) }
+ */
+function createKeyStore({ file, envValue }) {
+  let entries = [];
+  let watching = false;
+
+  const store = {
+    /**
+     * (Re)reads the keys. If the keys file can't be read we keep the keys we had.
+     */
+    load() {
+      let fromFile;
+      try {
+        fromFile = readKeysFile(file);
+      } catch (error) {
+        console.warn(
+          `Warning: Could not read API keys file, keeping the previous keys: ${error.message}`
+        );
+        return store;
+      }
+
+      let fromEnv = [];
+      if (envValue) {
+        try {
+          fromEnv = parseKeyEntries(JSON.parse(envValue), "API_KEYS");
+        } catch (error) {
+          console.warn(`Warning: Could not parse API_KEYS: ${error.message}`);
+        }
+      }
+
+      entries = [...fromFile, ...fromEnv];
+      return store;
+    },
+
+    /**
+     * Reloads the keys when the keys file changes (so `npm run keys` takes effect without a restart).
+     */
+    watch() {
+      if (!watching && file) {
+        fs.watchFile(file, { interval: 2000, persistent: false }, () =>
+          store.load()
+        );
+        watching = true;
+      }
+      return store;
+    },
+
+    close() {
+      if (watching) {
+        fs.unwatchFile(file);
+        watching = false;
+      }
+    },
+
+    /**
+     * Are there any keys? Without keys the server runs open (read-only).
+     */
+    isEnabled() {
+      return entries.length > 0;
+    },
+
+    /**
+     * Finds the entry for a key (compared by hash, in constant time).
+     * Gives back { name, role, languages } or null.
+     */
+    find(key) {
+      const hash = Buffer.from(hashApiKey(key));
+      const entry = entries.find((candidate) => {
+        const candidateHash = Buffer.from(candidate.hash);
+        return (
+          candidateHash.length === hash.length &&
+          crypto.timingSafeEqual(candidateHash, hash)
+        );
+      });
+
+      return entry
+        ? {
+            name: entry.name,
+            role: entry.role,
+            languages: entry.languages || [],
+          }
+        : null;
+    },
+  };
+
+  return store;
+}
+
+/**
+ * Pulls the API key out of a request (Authorization: Bearer or X-API-Key), null if there isn't one.
+ * With allowQuery, the ?apiKey= query parameter is used when there's no header.
+ */
+function getRequestKey(req, { allowQuery = false } = {}) {
+  const match = (req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+
+  const header = (req.get("X-API-Key") || "").trim();
+  if (header || !allowQuery) {
+    return header || null;
+  }
+
+  // ?apiKey=a&apiKey=b gives us an array, which isn't a key
+  const query = req.query.apiKey;
+  return typeof query === "string" && query.trim() ? query.trim() : null;
+}
+
+/**
+ * Does a role include another one? (admin > translator > reader)
+ */
+function hasRole(apiKey, role) {
+  return apiKey !== null && ROLES.indexOf(apiKey.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * May this key change translations of a language? Admins may change everything,
+ * translators only their own languages.
+ */
+function canEditLanguage(apiKey, lang) {
+  if (hasRole(apiKey, "admin")) {
+    return true;
+  }
+
+  return (
+    hasRole(apiKey, "translator") &&
+    apiKey.languages.some(
+      (allowed) =>
+        allowed === "*" || allowed.toLowerCase() === lang.toLowerCase()
+    )
+  );
+}
+
+/**
+ * Sends a 401 or 403 in the same JSON shape as the other errors.
+ */
+function sendAuthError(res, status, version, message) {
+  if (status === 401) {
+    res.set("WWW-Authenticate", 'Bearer realm="translations"');
+  }
+
+  return res.status(status).json({
+    version,
+    error: status === 401 ? "Unauthorized" : "Forbidden",
+    message,
+  });
+}
+
+/**
+ * Middleware for every route: works out which key (if any) a request uses and puts it on
+ * req.apiKey. Once keys are configured, every request needs a valid key (at least "reader"),
+ * except the public paths and, with publicRead, GET requests.
+ * Keys in the query string end up in access logs and browser history, so we only take them
+ * on the paths that need it (queryKeyPaths).
+ *
+ * @param {Object} options
+ * @param {Object} options.keys - Key store from createKeyStore
+ * @param {Function} options.getVersion - Gives back the current translation version
+ * @param {Function} [options.isPublicRead] - Whether reads are allowed without a key
+ * @param {Array<string>} [options.publicPaths] - Paths that never need a key (like /health)
+ * @param {Array<string>} [options.queryKeyPaths] - Paths that also take the key as ?apiKey= (like /api/events)
+ * @returns {Function} Express middleware
+ */
+function authenticate({
+  keys,
+  getVersion,
+  isPublicRead = () => false,
+  publicPaths = [],
+  queryKeyPaths = [],
+}) {
+  return (req, res, next) => {
+    req.apiKey = null;
+
+    if (!keys.isEnabled()) {
+      return next();
+    }
+
+    const allowQuery = queryKeyPaths.includes(req.path);
+    const key = getRequestKey(req, { allowQuery });
+
+    if (key) {
+      req.apiKey = keys.find(key);
+
+      if (req.apiKey === null) {
+        return sendAuthError(
+          res,
+          401,
+          getVersion(),
+          "The API key is not valid"
+        );
+      }
+
+      return next();
+    }
+
+    const isRead = req.method === "GET" || req.method === "HEAD";
+    if (publicPaths.includes(req.path) || (isRead && isPublicRead())) {
+      return next();
+    }
+
+    return sendAuthError(
+      res,
+      401,
+      getVersion(),
+      allowQuery
+        ? "Please provide an API key using the Authorization: Bearer <key> or X-API-Key: <key> header, or the apiKey query parameter"
+        : "Please provide an API key using the Authorization: Bearer <key> or X-API-Key: <key> header"
+    );
+  };
+}
+
+/**
+ * Middleware for routes that need a certain role. The write API is only available once
+ * keys are configured (otherwise anyone could change translations).
+ *
+ * @param {string} role - "reader", "translator" or "admin"
+ * @param {Object} options
+ * @param {Object} options.keys - Key store from createKeyStore
+ * @param {Function} options.getVersion - Gives back the current translation version
+ * @returns {Function} Express middleware
+ */
+function requireRole(role, { keys, getVersion }) {
+  return (req, res, next) => {
+    if (!keys.isEnabled()) {
+      return res.status(503).json({
+        version: getVersion(),
+        error: "Write API disabled",
+        message:
+          "Configure API keys (npm run keys -- create ...) to enable editing translations",
+      });
+    }
+
+    if (req.apiKey === null) {
+      return sendAuthError(
+        res,
+        401,
+        getVersion(),
+        "Please provide an API key using the Authorization: Bearer <key> or X-API-Key: <key> header"
+      );
+    }
+
+    if (!hasRole(req.apiKey, role)) {
+      return sendAuthError(
+        res,
+        403,
+        getVersion(),
+        `This needs the '${role}' role, the API key '${req.apiKey.name}' is a '${req.apiKey.role}'`
+      );
+    }
+
+    next();
+  };
+}
+
+export {
+  ROLES,
+  hashApiKey,
+  generateApiKey,
+  parseKeyEntries,
+  createKeyStore,
+  getRequestKey,
+  hasRole,
+  canEditLanguage,
+  sendAuthError,
+  authenticate,
+  requireRole,
+};
@@ -0,0 +1,88 @@
+/**
+ * HTTP caching helpers.
+ * Responses get a weak ETag built from the translation version and a hash of the body,
+ * a Last-Modified date and a Cache-Control header that can be configured per route in
+ * settings.json. Express then answers If-None-Match / If-Modified-Since with a 304 for us.
+ */
+
+import crypto from "crypto";
+
+// Used for routes that have nothing configured: caches may store it but must check back with us
+const DEFAULT_CACHE_CONTROL = "no-cache";
+
+// Used for responses that can never change, like the ones for an old version (?version=)
+const IMMUTABLE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+/**
+ * Builds a weak ETag for a response.
+ * The version is part of the tag so it changes on every `npm run translate`, and the hash
+ * makes sure two different responses (other language, other key) never share a tag.
+ * It's weak because the hash is of the JSON, not of the bytes we send: compression
+ * sends the same response gzipped, brotli'd or as it is, and those aren't byte-for-byte equal.
+ *
+ * @param {string} version - Translation version, e.g. "v1.0.0.3"
+ * @param {Object} body - Response body that is about to be sent
+ * @returns {string} Weak ETag, e.g. W/"v1.0.0.3-3f786850e387550f"
+ */
+function createETag(version, body) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(body))
+    .digest("hex")
+    .slice(0, 16);
+
+  return `W/"${version}-${hash}"`;
+}
+
+/**
+ * Looks up the Cache-Control value for a route in settings.json ("cacheControl" section).
+ * Falls back to the "default" entry and then to "no-cache".
+ *
+ * @param {Object} settings - Parsed settings.json
+ * @param {string} route - Route path, e.g. "/api/translate"
+ * @returns {string} Cache-Control header value
+ */
+function getCacheControl(settings, route) {
+  const cacheControl = settings.cacheControl || {};
+  return cacheControl[route] || cacheControl.default || DEFAULT_CACHE_CONTROL;
+}
+
+/**
+ * Sends a JSON response with caching headers (ETag, Last-Modified, Cache-Control).
+ * If the client already has this exact response, Express turns it into a 304 Not Modified.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} body - Response body
+ * @param {Object} options
+ * @param {Object} options.settings - Parsed settings.json
+ * @param {string} options.version - Translation version
+ * @param {Date|null} options.lastModified - When the data behind the response last changed
+ * @param {string} [options.cacheControl] - Cache-Control value to use instead of the configured one
+ */
+function sendCachedJSON(
+  req,
+  res,
+  body,
+  { settings, version, lastModified, cacheControl }
+) {
+  res.set("ETag", createETag(version, body));
+  res.set(
+    "Cache-Control",
+    cacheControl || getCacheControl(settings, req.route.path)
+  );
+
+  if (lastModified) {
+    res.set("Last-Modified", lastModified.toUTCString());
+  }
+
+  return res.json(body);
+}
+
+export {
+  DEFAULT_CACHE_CONTROL,
+  IMMUTABLE_CACHE_CONTROL,
+  createETag,
+  getCacheControl,
+  sendCachedJSON,
+};
@@ -0,0 +1,48 @@
+/**
+ * Works out what changed between two sets of translations for a language.
+ * The API uses it for delta updates (/api/translate/changes) and the generation
+ * script uses it to write a changelog for every run.
+ */
+
+/**
+ * Compares two { key: message } objects.
+ * Gives back { added, modified, removed }:
+ * - added: { key: message } for keys that are new
+ * - modified: { key: { from, to } } for keys whose message changed
+ * - removed: { key: message } for keys that are gone (with the message they had)
+ */
+function diffTranslations(before = {}, after = {}) {
+  const added = {};
+  const modified = {};
+  const removed = {};
+
+  for (const key of Object.keys(after).sort()) {
+    // Own keys only, or a "constructor" key would be compared with Object.prototype's
+    if (!Object.hasOwn(before, key)) {
+      added[key] = after[key];
+    } else if (before[key] !== after[key]) {
+      modified[key] = { from: before[key], to: after[key] };
+    }
+  }
+
+  for (const key of Object.keys(before).sort()) {
+    if (!Object.hasOwn(after, key)) {
+      removed[key] = before[key];
+    }
+  }
+
+  return { added, modified, removed };
+}
+
+/**
+ * Counts the changes in a diff: { added, modified, removed, total }.
+ */
+function countChanges(diff) {
+  const added = Object.keys(diff.added).length;
+  const modified = Object.keys(diff.modified).length;
+  const removed = Object.keys(diff.removed).length;
+
+  return { added, modified, removed, total: added + modified + removed };
+}
+
+export { diffTranslations, countChanges };
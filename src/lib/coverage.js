@@ -0,0 +1,107 @@
+/**
+ * Translation coverage statistics.
+ * Works out how complete each language is compared to the source language:
+ * how many keys are translated, how many are still empty and how many are just
+ * copies of the source text. Used by the generation scripts and the API.
+ */
+
+// Used as the source language when nothing else is configured
+const DEFAULT_SOURCE_LANGUAGE = "en";
+
+/**
+ * Works out which language translations are compared against.
+ * That's "validation.sourceLanguage" from settings.json, then "defaultLanguage",
+ * as long as we actually have that language; otherwise the first language we have.
+ *
+ * @param {Object} settings - Parsed settings.json
+ * @param {Array<string>} languages - Languages we have
+ * @returns {string} Source language
+ */
+function getSourceLanguage(settings, languages) {
+  const configured = (settings.validation || {}).sourceLanguage;
+  if (configured) {
+    return configured;
+  }
+
+  const defaultLanguage = settings.defaultLanguage || DEFAULT_SOURCE_LANGUAGE;
+  return languages.includes(defaultLanguage) ? defaultLanguage : languages[0];
+}
+
+/**
+ * Calculates coverage for a single language.
+ * "total" is the number of keys in the source language, so keys that only exist
+ * in the translation don't count.
+ *
+ * @param {Object} translations - Translations of the language (key -> text)
+ * @param {Object} sourceTranslations - Translations of the source language
+ * @param {boolean} isSource - Whether this is the source language itself
+ * @returns {Object} { total, translated, empty, identicalToSource, percentage, missingKeys }
+ */
+function calculateLanguageCoverage(translations, sourceTranslations, isSource) {
+  const keys = Object.keys(sourceTranslations).sort();
+  const missingKeys = [];
+  let identicalToSource = 0;
+
+  for (const key of keys) {
+    const value = translations[key];
+
+    if (value === undefined || value === null || String(value).trim() === "") {
+      missingKeys.push(key);
+    } else if (!isSource && value === sourceTranslations[key]) {
+      identicalToSource++;
+    }
+  }
+
+  const total = keys.length;
+  const translated = total - missingKeys.length;
+
+  return {
+    total,
+    translated,
+    empty: missingKeys.length,
+    identicalToSource,
+    percentage: total > 0 ? Math.round((translated / total) * 1000) / 10 : 100,
+    missingKeys,
+  };
+}
+
+/**
+ * Calculates coverage for every language.
+ *
+ * @param {Object} translations - Translations by language (lang -> key -> text)
+ * @param {Array<string>} languages - Languages to report on
+ * @param {string} sourceLanguage - Language everything is compared against
+ * @returns {Object} { sourceLanguage, languages: { [lang]: coverage } }
+ */
+function calculateCoverage(translations, languages, sourceLanguage) {
+  const sourceTranslations = translations[sourceLanguage] || {};
+  const coverage = {};
+
+  for (const lang of languages) {
+    coverage[lang] = calculateLanguageCoverage(
+      translations[lang] || {},
+      sourceTranslations,
+      lang === sourceLanguage
+    );
+  }
+
+  return { sourceLanguage, languages: coverage };
+}
+
+/**
+ * Drops the list of missing keys, for overviews where only the numbers matter.
+ *
+ * @param {Object} languageCoverage - Result of calculateLanguageCoverage
+ * @returns {Object} Coverage without "missingKeys"
+ */
+function summarizeCoverage(languageCoverage) {
+  const { missingKeys, ...summary } = languageCoverage;
+  return summary;
+}
+
+export {
+  getSourceLanguage,
+  calculateLanguageCoverage,
+  calculateCoverage,
+  summarizeCoverage,
+};
@@ -0,0 +1,229 @@
+/**
+ * Server-Sent Events for translation updates (/api/events).
+ * Whenever the store reloads and the version, the i18nVersion or a language file changed,
+ * every subscriber gets an "update" event with the new versions and the languages and keys
+ * that changed, so clients don't have to poll.
+ *
+ * Every event has an id, and the last events are kept around, so a client that reconnects
+ * with Last-Event-ID gets what it missed. If that's no longer possible (the events are too
+ * old or the server restarted since), it gets a "reset" event and should just reload.
+ * A comment line is sent every now and then so proxies don't close idle connections.
+ */
+
+import { diffTranslations } from "./changes.js";
+
+// How many events we keep for clients that reconnect
+const DEFAULT_BUFFER_SIZE = 100;
+
+// Proxies tend to close connections that are quiet for 30-60 seconds
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+// How long EventSource waits before reconnecting
+const RETRY_MS = 5000;
+
+/**
+ * Works out what a reload changed: the versions and the languages and keys that are different.
+ * Gives back null if nothing clients care about changed (like only the cache settings).
+ */
+function describeReload({ changedLanguages, previous, current }) {
+  const version = current.settings.version || null;
+  const previousVersion = previous.settings.version || null;
+  const i18nVersion = current.settings.i18nVersion || null;
+  const previousI18nVersion = previous.settings.i18nVersion || null;
+
+  const keys = new Set();
+  for (const lang of changedLanguages) {
+    const { added, modified, removed } = diffTranslations(
+      previous.translations[lang],
+      current.translations[lang]
+    );
+    [added, modified, removed].forEach((changes) =>
+      Object.keys(changes).forEach((key) => keys.add(key))
+    );
+  }
+
+  if (
+    version === previousVersion &&
+    i18nVersion === previousI18nVersion &&
+    changedLanguages.length === 0
+  ) {
+    return null;
+  }
+
+  return {
+    version,
+    previousVersion,
+    i18nVersion,
+    previousI18nVersion,
+    languages: changedLanguages,
+    keys: [...keys].sort(),
+  };
+}
+
+/**
+ * Formats one SSE message.
+ */
+function formatEvent({ id, event, data }) {
+  return `${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(
+    data
+  )}\n\n`;
+}
+
+/**
+ * Creates the event hub for a translation store.
+ *
+ * @param {Object} options
+ * @param {EventEmitter} options.store - Translation store (see lib/store.js)
+ * @param {number} [options.bufferSize] - How many events to keep for Last-Event-ID (default 100)
+ * @param {number} [options.heartbeatMs] - Milliseconds between heartbeats (default 25 seconds)
+ * @returns {Object} { handle(req, res), publish(data), getClientCount(), close() }
+ */
+function createEventHub({
+  store,
+  bufferSize = DEFAULT_BUFFER_SIZE,
+  heartbeatMs = DEFAULT_HEARTBEAT_MS,
+}) {
+  // Ids look like "<start time>-<counter>", so after a restart we can tell an id isn't ours
+  const bootId = Date.now().toString(36);
+  let counter = 0;
+
+  const buffer = [];
+  const clients = new Set();
+
+  function write(res, chunk) {
+    res.write(chunk);
+
+    // The compression middleware buffers the body, so we have to push every event out
+    if (typeof res.flush === "function") {
+      res.flush();
+    }
+  }
+
+  const hub = {
+    /**
+     * Sends an "update" event to every subscriber (and keeps it for reconnects).
+     */
+    publish(data) {
+      counter += 1;
+      const entry = {
+        id: `${bootId}-${counter}`,
+        counter,
+        event: "update",
+        data: { ...data, timestamp: new Date().toISOString() },
+      };
+
+      buffer.push(entry);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+
+      const message = formatEvent(entry);
+      clients.forEach((res) => write(res, message));
+
+      return entry;
+    },
+
+    /**
+     * Express handler for GET /api/events.
+     */
+    handle(req, res) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Stops nginx from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.status(200);
+      res.flushHeaders();
+
+      const settings = store.getSettings();
+      write(res, `retry: ${RETRY_MS}\n\n`);
+      write(
+        res,
+        formatEvent({
+          event: "connected",
+          data: {
+            version: settings.version || null,
+            i18nVersion: settings.i18nVersion || null,
+            languages: store.getLanguages(),
+          },
+        })
+      );
+
+      // Catch up a client that reconnects (EventSource sends Last-Event-ID by itself)
+      const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+      if (lastEventId) {
+        const [eventBootId, eventCounter] = String(lastEventId).split("-");
+        const missed = buffer.filter(
+          (entry) => entry.counter > Number(eventCounter)
+        );
+        const tooOld =
+          buffer.length > 0 && buffer[0].counter > Number(eventCounter) + 1;
+
+        if (
+          eventBootId !== bootId ||
+          Number.isNaN(Number(eventCounter)) ||
+          tooOld
+        ) {
+          write(
+            res,
+            formatEvent({
+              event: "reset",
+              data: {
+                version: settings.version || null,
+                i18nVersion: settings.i18nVersion || null,
+                message:
+                  "Missed events are no longer available, please reload the translations",
+              },
+            })
+          );
+        } else {
+          missed.forEach((entry) => write(res, formatEvent(entry)));
+        }
+      }
+
+      const heartbeat = setInterval(
+        () => write(res, ": heartbeat\n\n"),
+        heartbeatMs
+      );
+
+      clients.add(res);
+
+      res.on("close", () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+      });
+    },
+
+    /**
+     * @returns {number} How many subscribers are connected
+     */
+    getClientCount() {
+      return clients.size;
+    },
+
+    /**
+     * Ends every stream and stops listening to the store.
+     */
+    close() {
+      store.off("reload", onReload);
+      clients.forEach((res) => res.end());
+      clients.clear();
+    },
+  };
+
+  function onReload(reload) {
+    const data = describeReload(reload);
+    if (data !== null) {
+      hub.publish(data);
+    }
+  }
+
+  store.on("reload", onReload);
+
+  return hub;
+}
+
+export { describeReload, formatEvent, createEventHub };
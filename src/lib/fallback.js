@@ -0,0 +1,198 @@
+/**
+ * Locale fallback chains.
+ * When someone asks for a language we only partially have (say fr-CA when we only ship fr),
+ * this works out which languages to try, in which order, and merges their translations
+ * so every key ends up with the best value we've got.
+ */
+
+// The language we fall back to when nothing else has the key (overridable in settings.json)
+const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Cleans up a language tag so different spellings compare equal.
+ * We accept both "fr-CA" and "fr_CA" since the CSV header allows either.
+ *
+ * @param {string} tag - Language tag like "fr-CA" or "fr_ca"
+ * @returns {string} Tag with "-" as separator, e.g. "fr-CA"
+ */
+function normalizeLanguageTag(tag) {
+  return String(tag || "")
+    .trim()
+    .replace(/_/g, "-");
+}
+
+/**
+ * Finds the language from our list that matches the given tag, ignoring case and separator.
+ * Returns the name exactly as we have it (so it can be used as a file name), or null.
+ *
+ * @param {string} tag - Requested language tag
+ * @param {Array<string>} availableLanguages - Languages we have files for
+ * @returns {string|null} Matching available language or null
+ */
+function findAvailableLanguage(tag, availableLanguages) {
+  const wanted = normalizeLanguageTag(tag).toLowerCase();
+
+  if (!wanted) {
+    return null;
+  }
+
+  return (
+    availableLanguages.find(
+      (lang) => normalizeLanguageTag(lang).toLowerCase() === wanted
+    ) || null
+  );
+}
+
+/**
+ * Looks up the configured fallbacks for a language in settings.json ("fallbacks" section).
+ * The lookup ignores case and separator, and a single string is treated as a one-item list.
+ *
+ * @param {string} tag - Language tag
+ * @param {Object} fallbacks - The "fallbacks" object from settings.json
+ * @returns {Array<string>|null} Configured fallbacks or null if none are configured
+ */
+function getConfiguredFallbacks(tag, fallbacks) {
+  const wanted = normalizeLanguageTag(tag).toLowerCase();
+  const match = Object.keys(fallbacks || {}).find(
+    (lang) => normalizeLanguageTag(lang).toLowerCase() === wanted
+  );
+
+  if (match === undefined) {
+    return null;
+  }
+
+  const configured = fallbacks[match];
+  return Array.isArray(configured) ? configured : [configured];
+}
+
+/**
+ * Builds the list of languages to try for a request, most specific first.
+ *
+ * For every language we either use what's configured in settings.json under "fallbacks",
+ * or we just drop the last subtag (fr-CA -> fr, zh-Hant-TW -> zh-Hant -> zh).
+ * The configured default language always comes last unless you ask us not to add it.
+ *
+ * @param {string} lang - Requested language, e.g. "fr-CA"
+ * @param {Object} settings - Parsed settings.json (uses "fallbacks" and "defaultLanguage")
+ * @param {Object} options - { includeDefault: boolean } (default true)
+ * @returns {Array<string>} Fallback chain, e.g. ["fr-CA", "fr", "en"]
+ */
+function resolveFallbackChain(lang, settings = {}, { includeDefault = true } = {}) {
+  const chain = [];
+
+  const visit = (tag) => {
+    const normalized = normalizeLanguageTag(tag);
+
+    if (
+      !normalized ||
+      chain.some((seen) => seen.toLowerCase() === normalized.toLowerCase())
+    ) {
+      return;
+    }
+
+    chain.push(normalized);
+
+    const configured = getConfiguredFallbacks(normalized, settings.fallbacks);
+    if (configured) {
+      configured.forEach(visit);
+      return;
+    }
+
+    const subtags = normalized.split("-");
+    if (subtags.length > 1) {
+      visit(subtags.slice(0, -1).join("-"));
+    }
+  };
+
+  visit(lang);
+
+  if (includeDefault) {
+    visit(settings.defaultLanguage || DEFAULT_LANGUAGE);
+  }
+
+  return chain;
+}
+
+/**
+ * Merges translations along a fallback chain.
+ * A key keeps the value of the first language that has it with a non-empty value,
+ * and we remember which language that was so the API can tell clients about it.
+ * Languages in the chain that can't be loaded are just skipped.
+ *
+ * @param {Array<string>} chain - Languages to try, most specific first
+ * @param {Function} loadTranslation - (lang) => translations object or null
+ * @returns {Object} { translations: Object, sources: Object, chain: Array<string> }
+ *   where "chain" only contains the languages that were actually found
+ */
+function mergeFallbackTranslations(chain, loadTranslation) {
+  const translations = {};
+  const sources = {};
+  const resolvedChain = [];
+
+  for (const lang of chain) {
+    const data = loadTranslation(lang);
+
+    if (data === null || data === undefined) {
+      continue;
+    }
+
+    resolvedChain.push(lang);
+
+    for (const [key, value] of Object.entries(data)) {
+      // Own keys only, so keys like "constructor" aren't taken for Object.prototype's
+      const missing = !Object.hasOwn(translations, key);
+      const empty = translations[key] === "" && value !== "";
+
+      if (missing || empty) {
+        translations[key] = value;
+        sources[key] = lang;
+      }
+    }
+  }
+
+  return { translations, sources, chain: resolvedChain };
+}
+
+/**
+ * Loads translations for a language and fills the gaps from its fallback chain.
+ * For example fr-CA -> fr -> en: keys missing (or empty) in fr-CA come from fr, then from en.
+ * Returns null if neither the language nor any of its own fallbacks exist
+ * (we don't want every unknown language to silently turn into the default one).
+ *
+ * @param {string} lang - Requested language, e.g. "fr-CA"
+ * @param {Object} settings - Parsed settings.json
+ * @param {Array<string>} availableLanguages - Languages we have translations for
+ * @param {Function} loadTranslation - (lang) => translations object or null
+ * @returns {Object|null} { translations, sources, chain } like mergeFallbackTranslations
+ */
+function resolveTranslations(
+  lang,
+  settings,
+  availableLanguages,
+  loadTranslation
+) {
+  const toAvailable = (tag) => findAvailableLanguage(tag, availableLanguages);
+
+  const ownChain = resolveFallbackChain(lang, settings, {
+    includeDefault: false,
+  });
+
+  if (!ownChain.some(toAvailable)) {
+    return null;
+  }
+
+  const chain = resolveFallbackChain(lang, settings)
+    .map(toAvailable)
+    .filter(Boolean);
+
+  return mergeFallbackTranslations(chain, loadTranslation);
+}
+
+export {
+  DEFAULT_LANGUAGE,
+  normalizeLanguageTag,
+  findAvailableLanguage,
+  resolveFallbackChain,
+  mergeFallbackTranslations,
+  resolveTranslations,
+};
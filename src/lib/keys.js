@@ -0,0 +1,110 @@
+/**
+ * Helpers for dotted translation keys like "auth.login.title".
+ * Translations are stored flat (one key per message), and the dots tell us how
+ * they nest: "auth.login.title" lives in the "login" object inside "auth".
+ * Namespaces are just the first part of the key ("auth" above).
+ */
+
+const KEY_SEPARATOR = ".";
+
+/**
+ * Splits a key into its path segments: "auth.login.title" -> ["auth", "login", "title"].
+ */
+function splitKeyPath(key) {
+  return key.split(KEY_SEPARATOR);
+}
+
+/**
+ * A key path is valid when none of its segments are empty
+ * ("auth..title", ".auth" and "auth." aren't).
+ */
+function isValidKeyPath(key) {
+  return splitKeyPath(key).every((segment) => segment.trim() !== "");
+}
+
+/**
+ * Finds keys that are both a message and the parent of other messages,
+ * like "auth" next to "auth.title". Those can't be turned into nested objects.
+ * Gives back [{ key, child }] where key is the leaf that's also used as a parent.
+ */
+function findKeyConflicts(keys) {
+  const leaves = new Set(keys);
+  const conflicts = [];
+
+  for (const key of keys) {
+    const segments = splitKeyPath(key);
+
+    for (let i = 1; i < segments.length; i++) {
+      const parent = segments.slice(0, i).join(KEY_SEPARATOR);
+
+      if (leaves.has(parent)) {
+        conflicts.push({ key: parent, child: key });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Turns flat dotted keys into nested objects, sorted by key at every level:
+ * { "auth.login.title": "Sign in", "cancel": "Cancel" }
+ * -> { auth: { login: { title: "Sign in" } }, cancel: "Cancel" }
+ * Throws if a key is both a leaf and a parent (see findKeyConflicts).
+ */
+function expandKeys(flat) {
+  const nested = {};
+
+  for (const key of Object.keys(flat).sort()) {
+    const segments = splitKeyPath(key);
+    let node = nested;
+
+    for (const segment of segments.slice(0, -1)) {
+      if (typeof node[segment] === "string") {
+        throw new Error(
+          `Key '${key}' conflicts with the message at its parent`
+        );
+      }
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    }
+
+    const leaf = segments[segments.length - 1];
+    if (node[leaf] !== undefined) {
+      throw new Error(
+        `Key '${key}' is both a message and a parent of other keys`
+      );
+    }
+    node[leaf] = flat[key];
+  }
+
+  return nested;
+}
+
+/**
+ * Picks the keys below a path and gives them back relative to it:
+ * getSubtree({ "auth.login.title": "Sign in", "cancel": "Cancel" }, "auth")
+ * -> { "login.title": "Sign in" }
+ * The result is empty if nothing lives below the path.
+ */
+function getSubtree(flat, keyPath) {
+  const prefix = keyPath + KEY_SEPARATOR;
+  const subtree = {};
+
+  for (const [key, value] of Object.entries(flat)) {
+    if (key.startsWith(prefix)) {
+      subtree[key.slice(prefix.length)] = value;
+    }
+  }
+
+  return subtree;
+}
+
+export {
+  KEY_SEPARATOR,
+  splitKeyPath,
+  isValidKeyPath,
+  findKeyConflicts,
+  expandKeys,
+  getSubtree,
+};
@@ -0,0 +1,207 @@
+/**
+ * Locale metadata.
+ * Describes a language for language pickers and layouts: its English and native name,
+ * text direction, script and CLDR plural categories, so frontends don't have to hard-code
+ * that "fa" is right-to-left. Everything comes from Intl (the CLDR data built into Node),
+ * and can be overridden per language in settings.json, for codes Intl doesn't know or
+ * names you'd rather spell differently:
+ *
+ *   "locales": { "fa": { "nativeName": "فارسی", "direction": "rtl" } }
+ */
+
+import {
+  findAvailableLanguage,
+  normalizeLanguageTag,
+  resolveFallbackChain,
+} from "./fallback.js";
+import { PSEUDO_LOCALES, findPseudoLocale } from "./pseudo.js";
+
+// What settings.json can override
+const LOCALE_PROPERTIES = [
+  "name",
+  "nativeName",
+  "direction",
+  "script",
+  "pluralCategories",
+];
+
+const DIRECTIONS = ["ltr", "rtl"];
+
+// Scripts written right-to-left, for when Intl can't tell us the direction
+const RTL_SCRIPTS = [
+  "Adlm",
+  "Arab",
+  "Hebr",
+  "Mand",
+  "Mend",
+  "Nkoo",
+  "Rohg",
+  "Samr",
+  "Syrc",
+  "Thaa",
+  "Yezi",
+];
+
+// The order CLDR lists plural categories in
+const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+/**
+ * Gives back the Intl.Locale for a language, or null if it isn't a valid tag
+ * (custom language names like "english" are allowed in the CSV).
+ */
+function toLocale(lang) {
+  try {
+    return new Intl.Locale(normalizeLanguageTag(lang));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The name of a language, written in another language (null when Intl doesn't know it).
+ */
+function getDisplayName(tag, displayLanguage) {
+  try {
+    return (
+      new Intl.DisplayNames([displayLanguage], {
+        type: "language",
+        fallback: "none",
+      }).of(tag) || null
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+function getDirection(locale, script) {
+  // Node 20 has the textInfo getter, newer versions have getTextInfo()
+  const info =
+    typeof locale.getTextInfo === "function"
+      ? locale.getTextInfo()
+      : locale.textInfo;
+
+  if (info && DIRECTIONS.includes(info.direction)) {
+    return info.direction;
+  }
+
+  return RTL_SCRIPTS.includes(script) ? "rtl" : "ltr";
+}
+
+function getPluralCategories(tag) {
+  const categories = new Intl.PluralRules(tag).resolvedOptions()
+    .pluralCategories;
+  return PLURAL_CATEGORIES.filter((category) => categories.includes(category));
+}
+
+/**
+ * Looks up the overrides for a language in settings.json ("locales" section),
+ * ignoring case and separator like the "fallbacks" lookup does.
+ * Values that can't be right (a direction other than ltr/rtl, a name that isn't a string)
+ * are left out, so a typo in settings.json can't break the API.
+ */
+function getConfiguredLocale(lang, locales) {
+  const wanted = normalizeLanguageTag(lang).toLowerCase();
+  const match = Object.keys(locales || {}).find(
+    (tag) => normalizeLanguageTag(tag).toLowerCase() === wanted
+  );
+  const configured = match === undefined ? {} : locales[match] || {};
+  const overrides = {};
+
+  for (const property of LOCALE_PROPERTIES) {
+    const value = configured[property];
+
+    if (property === "pluralCategories") {
+      if (Array.isArray(value) && value.every((v) => typeof v === "string")) {
+        overrides[property] = value;
+      }
+    } else if (property === "direction") {
+      if (DIRECTIONS.includes(value)) {
+        overrides[property] = value;
+      }
+    } else if (typeof value === "string" && value) {
+      overrides[property] = value;
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Describes a single language.
+ * Languages Intl doesn't know get null names and script, "ltr" and ["other"],
+ * unless settings.json says otherwise.
+ *
+ * Example: getLocaleInfo("fa")
+ *   -> { name: "Persian", nativeName: "فارسی", direction: "rtl", script: "Arab",
+ *        pluralCategories: ["one", "other"], pseudo: false }
+ *
+ * @param {string} lang - Language as we have it, e.g. "fa" or "fr_CA"
+ * @param {Object} settings - Parsed settings.json (uses "locales")
+ * @returns {Object} { name, nativeName, direction, script, pluralCategories, pseudo }
+ */
+function getLocaleInfo(lang, settings = {}) {
+  const locale = toLocale(lang);
+  const pseudoLocale = findPseudoLocale(lang);
+  const info = {
+    name: null,
+    nativeName: null,
+    direction: "ltr",
+    script: null,
+    pluralCategories: ["other"],
+  };
+
+  if (locale !== null) {
+    const tag = locale.toString();
+    const script = locale.maximize().script || null;
+
+    Object.assign(info, {
+      name: getDisplayName(tag, "en"),
+      nativeName: getDisplayName(tag, tag),
+      direction: getDirection(locale, script),
+      script,
+      pluralCategories: getPluralCategories(tag),
+    });
+  }
+
+  // Intl thinks en-XB is just English, but it's there to test right-to-left layouts
+  if (pseudoLocale !== null) {
+    info.direction = PSEUDO_LOCALES[pseudoLocale].direction;
+  }
+
+  return {
+    ...info,
+    ...getConfiguredLocale(lang, settings.locales),
+    pseudo: pseudoLocale !== null,
+  };
+}
+
+/**
+ * Describes every language we have, adding how complete it is and what it falls back to
+ * (the languages /api/translate would fill its gaps from, in order).
+ *
+ * @param {Array<string>} languages - Languages we have
+ * @param {Object} settings - Parsed settings.json (uses "locales", "fallbacks" and "defaultLanguage")
+ * @param {Object} coverage - Result of calculateCoverage for these languages
+ * @returns {Object} { [lang]: { ...getLocaleInfo, completion, fallbacks } }
+ */
+function describeLanguages(languages, settings, coverage) {
+  return Object.fromEntries(
+    languages.map((lang) => {
+      const fallbacks = resolveFallbackChain(lang, settings)
+        .map((tag) => findAvailableLanguage(tag, languages))
+        .filter((tag) => tag !== null && tag !== lang);
+      const stats = (coverage.languages || {})[lang];
+
+      return [
+        lang,
+        {
+          ...getLocaleInfo(lang, settings),
+          completion: stats ? stats.percentage : null,
+          fallbacks: [...new Set(fallbacks)],
+        },
+      ];
+    })
+  );
+}
+
+export { LOCALE_PROPERTIES, getLocaleInfo, describeLanguages };
@@ -0,0 +1,641 @@
+/**
+ * ICU MessageFormat parsing and rendering.
+ * Turns messages like "{count, plural, one {# file} other {# files}}" into a small syntax tree
+ * and renders them with parameters, using Intl for plural rules, numbers and dates.
+ *
+ * Supported syntax:
+ * - {name}                                   simple placeholders
+ * - {n, number} / {n, number, integer|percent|currency/EUR}
+ * - {d, date} / {d, date, short|medium|long|full} (same styles for time)
+ * - {n, plural, =0 {...} one {...} other {...}} with optional "offset:1" and "#"
+ * - {n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ * - {gender, select, male {...} female {...} other {...}}
+ * - '{' quoting and '' for a literal apostrophe, like ICU does
+ */
+
+// Number styles we know how to turn into Intl.NumberFormat options
+const NUMBER_STYLE_PATTERN = /^(::)?(integer|percent|currency\/[A-Za-z]{3})$/;
+
+// Date and time styles map straight onto Intl.DateTimeFormat's dateStyle/timeStyle
+const DATE_STYLES = ["short", "medium", "long", "full"];
+
+/**
+ * Thrown when a message isn't valid ICU MessageFormat.
+ * "offset" is the position in the message where things went wrong.
+ */
+class MessageSyntaxError extends Error {
+  constructor(message, offset) {
+    super(`${message} (at position ${offset})`);
+    this.name = "MessageSyntaxError";
+    this.offset = offset;
+  }
+}
+
+/**
+ * Thrown when a message can't be rendered with the parameters it was given.
+ * "parameter" is the name of the parameter that's missing or invalid.
+ */
+class MessageParameterError extends Error {
+  constructor(message, parameter) {
+    super(message);
+    this.name = "MessageParameterError";
+    this.parameter = parameter;
+  }
+}
+
+/**
+ * Parses a message into a syntax tree (an array of nodes).
+ *
+ * Node types: text, argument, number, date, time, plural (with pluralType "cardinal" or
+ * "ordinal"), select and pound (the "#" inside a plural).
+ *
+ * @param {string} message - ICU message
+ * @returns {Array<Object>} Syntax tree
+ * @throws {MessageSyntaxError} If the message isn't valid
+ */
+function parseMessage(message) {
+  const parser = { message: String(message), pos: 0 };
+  const nodes = parseNodes(parser, false);
+
+  if (parser.pos < parser.message.length) {
+    throw new MessageSyntaxError("Unexpected '}'", parser.pos);
+  }
+
+  return nodes;
+}
+
+/**
+ * Parses text and arguments until the end of the message or a closing "}".
+ */
+function parseNodes(parser, inPlural) {
+  const { message } = parser;
+  const nodes = [];
+  let text = "";
+
+  const flushText = () => {
+    if (text) {
+      nodes.push({ type: "text", value: text });
+      text = "";
+    }
+  };
+
+  while (parser.pos < message.length) {
+    const char = message[parser.pos];
+
+    if (char === "{") {
+      flushText();
+      nodes.push(parseArgument(parser, inPlural));
+    } else if (char === "}") {
+      break;
+    } else if (char === "#" && inPlural) {
+      flushText();
+      nodes.push({ type: "pound" });
+      parser.pos++;
+    } else if (char === "'") {
+      text += parseQuoted(parser, inPlural);
+    } else {
+      text += char;
+      parser.pos++;
+    }
+  }
+
+  flushText();
+  return nodes;
+}
+
+/**
+ * Handles an apostrophe. Like ICU, "''" is a literal apostrophe and an apostrophe
+ * only starts quoted text when it's followed by a character that means something.
+ */
+function parseQuoted(parser, inPlural) {
+  const { message } = parser;
+  const next = message[parser.pos + 1];
+
+  if (next === "'") {
+    parser.pos += 2;
+    return "'";
+  }
+
+  if (next !== "{" && next !== "}" && !(next === "#" && inPlural)) {
+    parser.pos++;
+    return "'";
+  }
+
+  let text = "";
+  parser.pos++;
+
+  while (parser.pos < message.length) {
+    const char = message[parser.pos];
+
+    if (char === "'") {
+      if (message[parser.pos + 1] === "'") {
+        text += "'";
+        parser.pos += 2;
+        continue;
+      }
+      parser.pos++;
+      return text;
+    }
+
+    text += char;
+    parser.pos++;
+  }
+
+  // An unterminated quote runs to the end of the message (ICU does the same)
+  return text;
+}
+
+function skipWhitespace(parser) {
+  while (/\s/.test(parser.message[parser.pos] || "")) {
+    parser.pos++;
+  }
+}
+
+/**
+ * Reads a word (argument name, type or option selector).
+ */
+function readWord(parser) {
+  const start = parser.pos;
+
+  while (
+    parser.pos < parser.message.length &&
+    !/[\s{},]/.test(parser.message[parser.pos])
+  ) {
+    parser.pos++;
+  }
+
+  return parser.message.slice(start, parser.pos);
+}
+
+function expect(parser, char) {
+  if (parser.message[parser.pos] !== char) {
+    const found =
+      parser.pos < parser.message.length
+        ? `'${parser.message[parser.pos]}'`
+        : "end of message";
+    throw new MessageSyntaxError(
+      `Expected '${char}' but found ${found}`,
+      parser.pos
+    );
+  }
+  parser.pos++;
+}
+
+/**
+ * Parses "{name}", "{name, type}" or "{name, type, style-or-options}".
+ */
+function parseArgument(parser, inPlural) {
+  const start = parser.pos;
+  expect(parser, "{");
+  skipWhitespace(parser);
+
+  const name = readWord(parser);
+  if (!name) {
+    throw new MessageSyntaxError("Expected an argument name", parser.pos);
+  }
+  if (!/^[\p{L}\p{N}_$.-]+$/u.test(name)) {
+    throw new MessageSyntaxError(`Invalid argument name '${name}'`, start + 1);
+  }
+
+  skipWhitespace(parser);
+
+  if (parser.message[parser.pos] === "}") {
+    parser.pos++;
+    return { type: "argument", name };
+  }
+
+  expect(parser, ",");
+  skipWhitespace(parser);
+  const typePos = parser.pos;
+  const type = readWord(parser);
+  skipWhitespace(parser);
+
+  switch (type) {
+    case "number":
+    case "date":
+    case "time": {
+      let style = "";
+      if (parser.message[parser.pos] === ",") {
+        parser.pos++;
+        const styleStart = parser.pos;
+        while (
+          parser.pos < parser.message.length &&
+          !/[{}]/.test(parser.message[parser.pos])
+        ) {
+          parser.pos++;
+        }
+        style = parser.message.slice(styleStart, parser.pos).trim();
+        validateStyle(type, style, styleStart);
+      }
+      expect(parser, "}");
+      return { type, name, style };
+    }
+
+    case "plural":
+    case "selectordinal":
+    case "select": {
+      expect(parser, ",");
+      const node =
+        type === "select"
+          ? { type: "select", name }
+          : {
+              type: "plural",
+              name,
+              pluralType: type === "plural" ? "cardinal" : "ordinal",
+              offset: 0,
+            };
+      node.options = parseOptions(parser, node, type !== "select" || inPlural);
+      expect(parser, "}");
+      return node;
+    }
+
+    default:
+      throw new MessageSyntaxError(
+        type ? `Unknown argument type '${type}'` : "Expected an argument type",
+        typePos
+      );
+  }
+}
+
+function validateStyle(type, style, offset) {
+  if (!style) {
+    return;
+  }
+
+  if (type === "number" && !NUMBER_STYLE_PATTERN.test(style)) {
+    throw new MessageSyntaxError(`Unknown number style '${style}'`, offset);
+  }
+
+  if (type !== "number" && !DATE_STYLES.includes(style)) {
+    throw new MessageSyntaxError(`Unknown ${type} style '${style}'`, offset);
+  }
+}
+
+/**
+ * Parses the "selector {message}" pairs of a plural, selectordinal or select argument.
+ */
+function parseOptions(parser, node, inPlural) {
+  const options = {};
+  skipWhitespace(parser);
+
+  if (
+    node.type === "plural" &&
+    parser.message.startsWith("offset:", parser.pos)
+  ) {
+    parser.pos += "offset:".length;
+    skipWhitespace(parser);
+    const offsetPos = parser.pos;
+    const offset = readWord(parser);
+    if (!/^\d+$/.test(offset)) {
+      throw new MessageSyntaxError(
+        `Invalid plural offset '${offset}'`,
+        offsetPos
+      );
+    }
+    node.offset = Number(offset);
+    skipWhitespace(parser);
+  }
+
+  while (
+    parser.pos < parser.message.length &&
+    parser.message[parser.pos] !== "}"
+  ) {
+    const selectorPos = parser.pos;
+    const selector = readWord(parser);
+
+    if (!selector) {
+      throw new MessageSyntaxError("Expected an option selector", parser.pos);
+    }
+    if (
+      node.type === "plural" &&
+      selector.startsWith("=") &&
+      !/^=\d+(\.\d+)?$/.test(selector)
+    ) {
+      throw new MessageSyntaxError(
+        `Invalid plural selector '${selector}'`,
+        selectorPos
+      );
+    }
+    if (Object.hasOwn(options, selector)) {
+      throw new MessageSyntaxError(
+        `Duplicate option '${selector}'`,
+        selectorPos
+      );
+    }
+
+    skipWhitespace(parser);
+    expect(parser, "{");
+    options[selector] = parseNodes(parser, inPlural);
+    expect(parser, "}");
+    skipWhitespace(parser);
+  }
+
+  if (!("other" in options)) {
+    throw new MessageSyntaxError(
+      `Missing 'other' option in ${node.name}`,
+      parser.pos
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Lists the arguments a message uses, with the type each one is used as.
+ * An argument used in several ways keeps the first type we see.
+ *
+ * Example: "{name} has {count, plural, one {# file} other {# files}}"
+ *   -> { name: "argument", count: "plural" }
+ *
+ * @param {string|Array<Object>} message - ICU message or an already parsed syntax tree
+ * @returns {Object} Argument names mapped to "argument", "number", "date", "time", "plural" or "select"
+ * @throws {MessageSyntaxError} If the message isn't valid
+ */
+function getMessageArguments(message) {
+  const args = {};
+
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.name && !(node.name in args)) {
+        args[node.name] = node.type;
+      }
+      if (node.options) {
+        Object.values(node.options).forEach(visit);
+      }
+    }
+  };
+
+  visit(typeof message === "string" ? parseMessage(message) : message);
+  return args;
+}
+
+/**
+ * Writes text back with ICU quoting: apostrophes are doubled, and from the first
+ * character that means something ("{", "}" or "#" in a plural) the rest is quoted.
+ */
+function printText(value, inPlural) {
+  const special = inPlural ? /[{}#]/ : /[{}]/;
+  const index = value.search(special);
+  const escape = (text) => text.replace(/'/g, "''");
+
+  if (index === -1) {
+    return escape(value);
+  }
+
+  return `${escape(value.slice(0, index))}'${escape(value.slice(index))}'`;
+}
+
+function printNodes(nodes, inPlural) {
+  // Text nodes next to each other are written as one, so their quoting can't run together
+  const merged = [];
+  for (const node of nodes) {
+    const last = merged[merged.length - 1];
+    if (node.type === "text" && last && last.type === "text") {
+      merged[merged.length - 1] = {
+        type: "text",
+        value: last.value + node.value,
+      };
+    } else {
+      merged.push(node);
+    }
+  }
+
+  return merged.map((node) => printNode(node, inPlural)).join("");
+}
+
+function printNode(node, inPlural) {
+  switch (node.type) {
+    case "text":
+      return printText(node.value, inPlural);
+
+    case "pound":
+      return "#";
+
+    case "argument":
+      return `{${node.name}}`;
+
+    case "number":
+    case "date":
+    case "time":
+      return `{${node.name}, ${node.type}${
+        node.style ? `, ${node.style}` : ""
+      }}`;
+
+    case "plural":
+    case "select": {
+      const type = node.pluralType === "ordinal" ? "selectordinal" : node.type;
+      const offset = node.offset ? `offset:${node.offset} ` : "";
+      const options = Object.entries(node.options)
+        .map(
+          ([selector, option]) =>
+            `${selector} {${printNodes(
+              option,
+              node.type === "plural" || inPlural
+            )}}`
+        )
+        .join(" ");
+      return `{${node.name}, ${type}, ${offset}${options}}`;
+    }
+
+    default:
+      return "";
+  }
+}
+
+/**
+ * Turns a syntax tree back into a message, so a tree can be changed and written out again.
+ * parseMessage(printMessage(nodes)) gives the same tree back.
+ *
+ * @param {Array<Object>} nodes - Syntax tree from parseMessage
+ * @returns {string} ICU message
+ */
+function printMessage(nodes) {
+  return printNodes(nodes, false);
+}
+
+// Parsed messages are cached, since the same strings get rendered over and over
+const parseCache = new Map();
+const PARSE_CACHE_LIMIT = 1000;
+
+function parseCached(message) {
+  if (!parseCache.has(message)) {
+    if (parseCache.size >= PARSE_CACHE_LIMIT) {
+      parseCache.clear();
+    }
+    parseCache.set(message, parseMessage(message));
+  }
+  return parseCache.get(message);
+}
+
+/**
+ * Turns a language code into something Intl accepts (de_AT -> de-AT).
+ * Anything Intl doesn't understand is formatted as English.
+ */
+function toIntlLocale(locale) {
+  try {
+    return (
+      Intl.getCanonicalLocales(String(locale).replace(/_/g, "-"))[0] || "en"
+    );
+  } catch (error) {
+    return "en";
+  }
+}
+
+// Values an {argument} or a select can show; anything else would print as "[object Object]"
+const TEXT_TYPES = ["string", "number", "boolean", "bigint"];
+
+function getParameter(params, name) {
+  // Only the params' own values, so {constructor} or {__proto__} can't read Object.prototype
+  if (
+    !Object.hasOwn(params, name) ||
+    params[name] === undefined ||
+    params[name] === null
+  ) {
+    throw new MessageParameterError(
+      `Missing value for parameter '${name}'`,
+      name
+    );
+  }
+  return params[name];
+}
+
+function toText(value, name) {
+  if (!TEXT_TYPES.includes(typeof value)) {
+    throw new MessageParameterError(
+      `Parameter '${name}' must be a string, number or boolean`,
+      name
+    );
+  }
+  return String(value);
+}
+
+function toNumber(value, name) {
+  const number =
+    typeof value === "number" ? value : Number(String(value).trim());
+  if (String(value).trim() === "" || !Number.isFinite(number)) {
+    throw new MessageParameterError(
+      `Parameter '${name}' must be a number`,
+      name
+    );
+  }
+  return number;
+}
+
+function toDate(value, name) {
+  const date =
+    value instanceof Date
+      ? value
+      : new Date(/^-?\d+$/.test(String(value)) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new MessageParameterError(`Parameter '${name}' must be a date`, name);
+  }
+  return date;
+}
+
+function getNumberFormatOptions(style) {
+  const [, , name] = style.match(NUMBER_STYLE_PATTERN) || [];
+
+  if (name === "integer") {
+    return { maximumFractionDigits: 0 };
+  }
+  if (name === "percent") {
+    return { style: "percent" };
+  }
+  if (name && name.startsWith("currency/")) {
+    return {
+      style: "currency",
+      currency: name.slice("currency/".length).toUpperCase(),
+    };
+  }
+  return {};
+}
+
+function formatNodes(nodes, params, locale, pluralValue) {
+  return nodes
+    .map((node) => formatNode(node, params, locale, pluralValue))
+    .join("");
+}
+
+function formatNode(node, params, locale, pluralValue) {
+  switch (node.type) {
+    case "text":
+      return node.value;
+
+    case "pound":
+      return new Intl.NumberFormat(locale).format(pluralValue);
+
+    case "argument":
+      return toText(getParameter(params, node.name), node.name);
+
+    case "number": {
+      const value = toNumber(getParameter(params, node.name), node.name);
+      return new Intl.NumberFormat(
+        locale,
+        getNumberFormatOptions(node.style)
+      ).format(value);
+    }
+
+    case "date":
+    case "time": {
+      const value = toDate(getParameter(params, node.name), node.name);
+      const option = node.type === "date" ? "dateStyle" : "timeStyle";
+      return new Intl.DateTimeFormat(locale, {
+        [option]: node.style || "medium",
+      }).format(value);
+    }
+
+    case "plural": {
+      const value = toNumber(getParameter(params, node.name), node.name);
+      const exact = node.options[`=${value}`];
+      if (exact) {
+        return formatNodes(exact, params, locale, value - node.offset);
+      }
+      const category = new Intl.PluralRules(locale, {
+        type: node.pluralType,
+      }).select(value - node.offset);
+      const option = node.options[category] || node.options.other;
+      return formatNodes(option, params, locale, value - node.offset);
+    }
+
+    case "select": {
+      const value = toText(getParameter(params, node.name), node.name);
+      const option = Object.hasOwn(node.options, value)
+        ? node.options[value]
+        : node.options.other;
+      return formatNodes(option, params, locale, pluralValue);
+    }
+
+    default:
+      return "";
+  }
+}
+
+/**
+ * Renders a message with parameters.
+ * Plural categories come from the CLDR rules of the given locale (via Intl.PluralRules),
+ * so "one"/"few"/"many" etc. work the way they should for each language.
+ *
+ * @param {string} message - ICU message
+ * @param {Object} params - Parameter values, e.g. { name: "Bob", count: 3 }
+ * @param {string} locale - Language the message is written in, e.g. "fa"
+ * @returns {string} Rendered message
+ * @throws {MessageSyntaxError} If the message isn't valid
+ * @throws {MessageParameterError} If a parameter is missing or has the wrong type
+ */
+function formatMessage(message, params = {}, locale = "en") {
+  return formatNodes(
+    parseCached(String(message)),
+    params || {},
+    toIntlLocale(locale),
+    0
+  );
+}
+
+export {
+  MessageSyntaxError,
+  MessageParameterError,
+  parseMessage,
+  printMessage,
+  getMessageArguments,
+  formatMessage,
+};
@@ -0,0 +1,218 @@
+/**
+ * Express middleware for using the translations in-process, for services that don't
+ * want to go through the HTTP API.
+ *
+ *   import express from "express";
+ *   import { createI18nMiddleware } from "translation-api";
+ *
+ *   const app = express();
+ *   app.use(createI18nMiddleware());
+ *   app.get("/", (req, res) => res.send(req.t("welcome_message", { name: "Bob" })));
+ *
+ * Every request gets req.locale and req.t(key, params) (also as res.locals.locale and
+ * res.locals.t for templates). The locale comes from ?lang=, then the "lang" cookie, then
+ * the Accept-Language header, and missing keys fall back along the same chain as the API
+ * (fr-CA -> fr -> en). The files are watched, so `npm run translate` shows up without a restart.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_LANGUAGE, resolveTranslations } from "./fallback.js";
+import { negotiateLanguage } from "./negotiation.js";
+import { createTranslationStore } from "./store.js";
+import { formatMessage } from "./messageformat.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same files the API server uses
+const DEFAULT_TRANSLATION_DIR = path.join(__dirname, "..", "..", "translation");
+const DEFAULT_SETTINGS_FILE = path.join(__dirname, "..", "..", "settings.json");
+
+// Locales come from requests, so we don't let the cache grow forever
+const RESOLVED_CACHE_LIMIT = 100;
+
+/**
+ * Parses a Cookie header into { name: value } (we don't want to depend on cookie-parser).
+ */
+function parseCookies(header) {
+  const cookies = {};
+
+  for (const part of (header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) {
+      continue;
+    }
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Creates the middleware.
+ *
+ * @param {Object} options
+ * @param {string} [options.translationDir] - Folder with the <lang>.json files (default: this package's translation folder)
+ * @param {string} [options.settingsFile] - Path to settings.json (default: this package's settings.json)
+ * @param {EventEmitter} [options.store] - An existing translation store to use instead of loading the files again
+ * @param {string} [options.queryParameter] - Query parameter with the locale (default "lang", false to ignore it)
+ * @param {string} [options.cookieName] - Cookie with the locale (default "lang", false to ignore it)
+ * @param {boolean} [options.watch] - Reload when the files change (default true)
+ * @returns {Function} Express middleware, which also has store, t(locale, key, params),
+ *   detectLocale(req) and close()
+ */
+function createI18nMiddleware({
+  translationDir = DEFAULT_TRANSLATION_DIR,
+  settingsFile = DEFAULT_SETTINGS_FILE,
+  store,
+  queryParameter = "lang",
+  cookieName = "lang",
+  watch = true,
+} = {}) {
+  const ownStore = !store;
+
+  if (ownStore) {
+    store = createTranslationStore({ translationDir, settingsFile });
+    store.load();
+
+    if (watch) {
+      store.watch();
+    }
+  }
+
+  // Merging a fallback chain for every request would be wasteful, so we do it once
+  // per locale and loaded snapshot (a reload gives us a new snapshot, which empties this)
+  const resolvedCache = new WeakMap();
+
+  /**
+   * Gives back { translations, sources, chain } for a locale, or null if we don't have it.
+   */
+  function getResolved(locale) {
+    const snapshot = store.getSnapshot();
+
+    if (!resolvedCache.has(snapshot)) {
+      resolvedCache.set(snapshot, new Map());
+    }
+
+    const byLocale = resolvedCache.get(snapshot);
+
+    if (!byLocale.has(locale)) {
+      if (byLocale.size >= RESOLVED_CACHE_LIMIT) {
+        byLocale.clear();
+      }
+      byLocale.set(
+        locale,
+        resolveTranslations(
+          locale,
+          store.getSettings(),
+          store.getLanguages(),
+          store.getTranslation
+        )
+      );
+    }
+
+    return byLocale.get(locale);
+  }
+
+  /**
+   * Translates a key. With params the message is rendered (ICU MessageFormat, like the API does).
+   * Unknown keys give back the key itself, and a message that can't be rendered gives back
+   * the raw message (with a warning), so a bad translation never breaks a page.
+   */
+  function t(locale, key, params) {
+    const resolved = getResolved(locale);
+
+    if (resolved === null || !Object.hasOwn(resolved.translations, key)) {
+      return key;
+    }
+
+    const message = resolved.translations[key];
+
+    if (!params || Object.keys(params).length === 0) {
+      return message;
+    }
+
+    try {
+      return formatMessage(message, params, resolved.sources[key]);
+    } catch (error) {
+      console.warn(
+        `Warning: Could not render '${key}' for '${locale}': ${error.message}`
+      );
+      return message;
+    }
+  }
+
+  /**
+   * Works out the locale of a request: ?lang=, the lang cookie, Accept-Language and
+   * finally the default language. A query or cookie value we have no translations for is ignored.
+   */
+  function detectLocale(req) {
+    const isKnown = (locale) =>
+      typeof locale === "string" &&
+      locale !== "" &&
+      getResolved(locale) !== null;
+
+    const fromQuery = queryParameter && req.query && req.query[queryParameter];
+    if (isKnown(fromQuery)) {
+      return fromQuery;
+    }
+
+    const cookies = req.cookies || parseCookies(req.get("Cookie"));
+    const fromCookie = cookieName && cookies[cookieName];
+    if (isKnown(fromCookie)) {
+      return fromCookie;
+    }
+
+    const defaultLanguage =
+      store.getSettings().defaultLanguage || DEFAULT_LANGUAGE;
+
+    return (
+      negotiateLanguage(
+        req.get("Accept-Language"),
+        store.getLanguages(),
+        defaultLanguage
+      ) || defaultLanguage
+    );
+  }
+
+  function middleware(req, res, next) {
+    const locale = detectLocale(req);
+
+    // The response depends on the header when there's no ?lang= or cookie
+    res.vary("Accept-Language");
+
+    req.locale = locale;
+    req.t = (key, params) => t(locale, key, params);
+
+    res.locals.locale = locale;
+    res.locals.t = req.t;
+
+    next();
+  }
+
+  middleware.store = store;
+  middleware.t = t;
+  middleware.detectLocale = detectLocale;
+
+  /**
+   * Stops watching the files (only if we created the store ourselves).
+   */
+  middleware.close = () => {
+    if (ownStore) {
+      store.close();
+    }
+  };
+
+  return middleware;
+}
+
+export { createI18nMiddleware, parseCookies };
@@ -0,0 +1,114 @@
+/**
+ * Accept-Language content negotiation.
+ * Browsers tell us which languages the user prefers (with quality values),
+ * and we pick the best one out of the languages we actually have.
+ */
+
+import { findAvailableLanguage, normalizeLanguageTag } from "./fallback.js";
+import { isPseudoLocale } from "./pseudo.js";
+
+/**
+ * Parses an Accept-Language header into language ranges sorted by preference.
+ * Ranges with q=0 mean "not acceptable" and are dropped. When two ranges have the same
+ * quality, the one listed first in the header wins.
+ *
+ * Example: "fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5"
+ *   -> [{range: "fr-CH", q: 1}, {range: "fr", q: 0.9}, {range: "en", q: 0.8}, {range: "*", q: 0.5}]
+ *
+ * @param {string} header - Accept-Language header value
+ * @returns {Array<Object>} Array of { range: string, q: number }, best first
+ */
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== "string") {
+    return [];
+  }
+
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(";");
+      let q = 1;
+
+      for (const param of params) {
+        const [name, value] = param.trim().split("=");
+        if (name && name.trim().toLowerCase() === "q") {
+          q = Number(value);
+        }
+      }
+
+      return { range: range.trim(), q, index };
+    })
+    .filter(({ range, q }) => range && Number.isFinite(q) && q > 0 && q <= 1)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ range, q }) => ({ range, q }));
+}
+
+/**
+ * Finds the best available language for a single language range.
+ * We try, in this order:
+ * - an exact match ("fr-CA" -> fr-CA)
+ * - the range with subtags dropped ("fr-CA" -> fr)
+ * - a regional variant of the range ("fr" -> fr-CA)
+ *
+ * @param {string} range - Language range from the header (not "*")
+ * @param {Array<string>} availableLanguages - Languages we have files for
+ * @returns {string|null} Matching available language or null
+ */
+function matchLanguageRange(range, availableLanguages) {
+  const subtags = normalizeLanguageTag(range).split("-");
+
+  for (let length = subtags.length; length > 0; length--) {
+    const match = findAvailableLanguage(
+      subtags.slice(0, length).join("-"),
+      availableLanguages
+    );
+    if (match) {
+      return match;
+    }
+  }
+
+  const prefix = `${normalizeLanguageTag(range).toLowerCase()}-`;
+  return (
+    availableLanguages.find((lang) =>
+      normalizeLanguageTag(lang).toLowerCase().startsWith(prefix)
+    ) || null
+  );
+}
+
+/**
+ * Picks the best available language for an Accept-Language header.
+ * A "*" range matches the default language if we have it, otherwise any language we have.
+ * Pseudo-locales (en-XA, en-XB) only match when the header names them exactly.
+ *
+ * @param {string} header - Accept-Language header value
+ * @param {Array<string>} availableLanguages - Languages we have files for
+ * @param {string} defaultLanguage - Language to use for "*"
+ * @returns {string|null} Negotiated language or null if nothing matches
+ */
+function negotiateLanguage(header, availableLanguages, defaultLanguage) {
+  const candidates = availableLanguages.filter((lang) => !isPseudoLocale(lang));
+
+  for (const { range } of parseAcceptLanguage(header)) {
+    if (range === "*") {
+      const wildcard =
+        findAvailableLanguage(defaultLanguage, candidates) || candidates[0];
+      if (wildcard) {
+        return wildcard;
+      }
+      continue;
+    }
+
+    // Asking for a pseudo-locale by name works, it just never stands in for another range
+    const match =
+      (isPseudoLocale(range) &&
+        findAvailableLanguage(range, availableLanguages)) ||
+      matchLanguageRange(range, candidates);
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+export { parseAcceptLanguage, matchLanguageRange, negotiateLanguage };
@@ -0,0 +1,228 @@
+/**
+ * Pseudo-localization.
+ * Pseudo-locales are made-up languages generated from the source text, so a UI can be
+ * tested before real translations arrive: text that shows up untouched is hard-coded,
+ * and layouts that break on longer or right-to-left text break here first.
+ *
+ * - en-XA: accented, bracketed and about 30% longer ("Save" -> "[Šåṽé one]")
+ * - en-XB: right-to-left, every word mirrored with bidi control characters
+ *
+ * Only text is changed: {arguments}, "#", the plural/select syntax and HTML tags stay
+ * as they are, so the messages render with the same parameters as the source.
+ * XA and XB are private-use regions, so these codes never clash with a real locale.
+ */
+
+import { parseMessage, printMessage } from "./messageformat.js";
+import { normalizeLanguageTag } from "./fallback.js";
+
+// How much longer en-XA makes the text (German and Finnish often need 30% more room)
+const DEFAULT_EXPANSION = 0.3;
+
+const PLAIN_LETTERS = Array.from(
+  "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ"
+);
+const ACCENTED_LETTERS = Array.from(
+  "åƀçđéƒĝĥîĵķļɱñöþǫŕšţûṽŵẋýžÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽ"
+);
+const ACCENTS = new Map(
+  PLAIN_LETTERS.map((letter, index) => [letter, ACCENTED_LETTERS[index]])
+);
+
+// The padding is made of words, so longer text still wraps like real text does
+const PADDING_WORDS = [
+  "one",
+  "two",
+  "three",
+  "four",
+  "five",
+  "six",
+  "seven",
+  "eight",
+  "nine",
+  "ten",
+];
+
+// HTML tags and entities are markup, we leave them alone
+const MARKUP_PATTERN = /(<\/?[a-zA-Z][^<>]*>|&[a-zA-Z0-9#]+;)/;
+
+// Right-to-left override, pop directional formatting and right-to-left mark
+const RLO = "\u202E";
+const PDF = "\u202C";
+const RLM = "\u200F";
+
+/**
+ * Changes the text of a string, skipping the markup in it.
+ */
+function mapText(value, transform) {
+  return value
+    .split(MARKUP_PATTERN)
+    .map((part, index) => (index % 2 === 1 ? part : transform(part)))
+    .join("");
+}
+
+/**
+ * Changes the text nodes of a syntax tree, including the ones inside plural and select options.
+ */
+function mapTextNodes(nodes, transform) {
+  return nodes.map((node) => {
+    if (node.type === "text") {
+      return { ...node, value: mapText(node.value, transform) };
+    }
+    if (node.options) {
+      return {
+        ...node,
+        options: Object.fromEntries(
+          Object.entries(node.options).map(([selector, option]) => [
+            selector,
+            mapTextNodes(option, transform),
+          ])
+        ),
+      };
+    }
+    return node;
+  });
+}
+
+/**
+ * Takes the markup out of a string.
+ */
+function stripMarkup(value) {
+  return value
+    .split(MARKUP_PATTERN)
+    .filter((part, index) => index % 2 === 0)
+    .join("");
+}
+
+/**
+ * Counts the characters of text in a syntax tree (for plurals and selects, the "other" option).
+ */
+function countText(nodes) {
+  return nodes.reduce((count, node) => {
+    if (node.type === "text") {
+      return count + Array.from(stripMarkup(node.value)).length;
+    }
+    return node.options ? count + countText(node.options.other) : count;
+  }, 0);
+}
+
+/**
+ * Builds padding words adding up to (at least) the given number of characters.
+ */
+function getPadding(length) {
+  const words = [];
+  let size = 0;
+
+  while (size < length) {
+    const word = PADDING_WORDS[words.length % PADDING_WORDS.length];
+    words.push(word);
+    size += word.length + 1;
+  }
+
+  return words.join(" ");
+}
+
+/**
+ * en-XA: accents every letter, adds padding and brackets the message,
+ * so clipped text is easy to spot (the "]" goes missing).
+ */
+function accent(nodes, { expansion }) {
+  const padding = getPadding(Math.ceil(countText(nodes) * expansion));
+
+  return [
+    { type: "text", value: "[" },
+    ...mapTextNodes(nodes, (text) =>
+      Array.from(text, (char) => ACCENTS.get(char) || char).join("")
+    ),
+    { type: "text", value: padding ? ` ${padding}]` : "]" },
+  ];
+}
+
+/**
+ * en-XB: shows every word right-to-left, in a message marked as right-to-left.
+ */
+function mirror(nodes) {
+  return [
+    { type: "text", value: RLM },
+    ...mapTextNodes(nodes, (text) =>
+      text.replace(/\S+/g, (word) => `${RLO}${word}${PDF}`)
+    ),
+    { type: "text", value: RLM },
+  ];
+}
+
+// The pseudo-locales we can generate
+const PSEUDO_LOCALES = {
+  "en-XA": {
+    description: "accented, bracketed and expanded",
+    direction: "ltr",
+    transform: accent,
+  },
+  "en-XB": {
+    description: "right-to-left",
+    direction: "rtl",
+    transform: mirror,
+  },
+};
+
+/**
+ * Finds the pseudo-locale a language tag stands for, ignoring case and separator.
+ *
+ * @param {string} tag - Language tag, e.g. "en_xa"
+ * @returns {string|null} Pseudo-locale as in PSEUDO_LOCALES (e.g. "en-XA") or null
+ */
+function findPseudoLocale(tag) {
+  const wanted = normalizeLanguageTag(tag).toLowerCase();
+  return (
+    Object.keys(PSEUDO_LOCALES).find(
+      (locale) => locale.toLowerCase() === wanted
+    ) || null
+  );
+}
+
+/**
+ * @param {string} tag - Language tag
+ * @returns {boolean} True for en-XA and en-XB (in any spelling)
+ */
+function isPseudoLocale(tag) {
+  return findPseudoLocale(tag) !== null;
+}
+
+/**
+ * Turns a source message into its pseudo-localized version.
+ * Empty messages stay empty, so they still count as missing and fall back.
+ *
+ * Example: pseudoLocalize("Hi {name}, <b>{count, plural, one {# file} other {# files}}</b>", "en-XA")
+ *   -> "[Ĥî {name}, <b>{count, plural, one {# ƒîļé} other {# ƒîļéš}}</b> one]"
+ *
+ * @param {string} message - ICU message in the source language
+ * @param {string} locale - Pseudo-locale, e.g. "en-XA"
+ * @param {Object} options - { expansion: number } How much longer en-XA gets (default 0.3)
+ * @returns {string} Pseudo-localized message
+ * @throws {MessageSyntaxError} If the message isn't valid
+ */
+function pseudoLocalize(
+  message,
+  locale,
+  { expansion = DEFAULT_EXPANSION } = {}
+) {
+  const name = findPseudoLocale(locale);
+
+  if (name === null) {
+    throw new Error(`'${locale}' is not a pseudo-locale`);
+  }
+
+  if (!String(message).trim()) {
+    return String(message);
+  }
+
+  const nodes = parseMessage(message);
+  return printMessage(PSEUDO_LOCALES[name].transform(nodes, { expansion }));
+}
+
+export {
+  DEFAULT_EXPANSION,
+  PSEUDO_LOCALES,
+  findPseudoLocale,
+  isPseudoLocale,
+  pseudoLocalize,
+};
@@ -0,0 +1,167 @@
+/**
+ * Versioned snapshots of the generated translation files.
+ * Every `npm run translate` stores a copy of the API files in translation/versions/<version>/,
+ * together with a manifest.json that says which version it is, when it was made and which
+ * languages are in it. Snapshots never change once they're written, so anything we load
+ * from them can stay in memory.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const MANIFEST_FILE = "manifest.json";
+
+// Version names end up in file paths, so we only accept the usual "v1.0.0.3" kind of names
+const VERSION_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Compares two version strings like "v1.0.0.3" part by part (numerically).
+ * Works as a sort callback: negative if a comes first, positive if b does.
+ */
+function compareVersions(a, b) {
+  const partsA = a.replace(/^v/, "").split(".").map(Number);
+  const partsB = b.replace(/^v/, "").split(".").map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return a.localeCompare(b);
+}
+
+/**
+ * Reads the manifest of one snapshot.
+ * Gives back { version, createdAt (Date), languages } or null if it's missing or broken
+ * (a snapshot without a manifest is still being written, so we pretend it isn't there).
+ */
+function readManifest(versionsDir, version) {
+  if (!VERSION_PATTERN.test(version)) {
+    return null;
+  }
+
+  try {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(versionsDir, version, MANIFEST_FILE), "utf-8")
+    );
+
+    return {
+      version,
+      createdAt: new Date(manifest.createdAt),
+      languages: manifest.languages || [],
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists all snapshots, newest version first.
+ * Gives back an empty list if there's no versions folder yet.
+ */
+function listSnapshots(versionsDir) {
+  let entries;
+
+  try {
+    entries = fs.readdirSync(versionsDir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  return entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => readManifest(versionsDir, entry.name))
+    .filter(Boolean)
+    .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * Loads a whole snapshot: its manifest plus the translations of every language in it.
+ * Gives back { version, createdAt, languages, translations: { [lang]: {...} } },
+ * or null if there's no (complete) snapshot for that version.
+ */
+function readSnapshot(versionsDir, version) {
+  const manifest = readManifest(versionsDir, version);
+
+  if (manifest === null) {
+    return null;
+  }
+
+  try {
+    const translations = {};
+
+    for (const lang of manifest.languages) {
+      translations[lang] = JSON.parse(
+        fs.readFileSync(
+          path.join(versionsDir, version, `${lang}.json`),
+          "utf-8"
+        )
+      );
+    }
+
+    return { ...manifest, translations };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creates a reader that keeps loaded snapshots in memory.
+ * The list of versions is cached too, call refresh() when new snapshots may have
+ * been written (or old ones pruned).
+ *
+ * @param {string} versionsDir - Folder that holds one subfolder per version
+ * @returns {Object} { list(), get(version), refresh() }
+ */
+function createSnapshotReader(versionsDir) {
+  let list = null;
+  const loaded = new Map();
+
+  return {
+    list() {
+      if (list === null) {
+        list = listSnapshots(versionsDir);
+      }
+      return list;
+    },
+
+    get(version) {
+      if (!this.list().some((snapshot) => snapshot.version === version)) {
+        return null;
+      }
+
+      if (!loaded.has(version)) {
+        const snapshot = readSnapshot(versionsDir, version);
+        if (snapshot === null) {
+          return null;
+        }
+        loaded.set(version, snapshot);
+      }
+
+      return loaded.get(version);
+    },
+
+    refresh() {
+      list = null;
+
+      // Pruned snapshots shouldn't be served from memory either
+      const versions = new Set(this.list().map((snapshot) => snapshot.version));
+      for (const version of loaded.keys()) {
+        if (!versions.has(version)) {
+          loaded.delete(version);
+        }
+      }
+    },
+  };
+}
+
+export {
+  MANIFEST_FILE,
+  VERSION_PATTERN,
+  compareVersions,
+  listSnapshots,
+  readSnapshot,
+  createSnapshotReader,
+};
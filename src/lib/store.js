@@ -0,0 +1,337 @@
+/**
+ * In-memory translation store.
+ * Loads every language file and settings.json once, keeps them in memory, and watches the
+ * files so that when `npm run translate` regenerates them we swap in the new data.
+ * A file that can't be parsed (for example because it's only half written) never replaces
+ * the data we already have - we keep serving the last good version until it parses again.
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+
+// Per-key metadata (descriptions, max lengths, ...) written next to the language files.
+// Files starting with "@" are never languages.
+const METADATA_FILE = "@metadata.json";
+
+/**
+ * Reads and parses a JSON file.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} { raw: string, data: Object, modifiedAt: Date }
+ * @throws {Error} If the file can't be read or isn't valid JSON
+ */
+function readJSONFile(filePath) {
+  const modifiedAt = fs.statSync(filePath).mtime;
+  const raw = fs.readFileSync(filePath, "utf-8");
+  return { raw, data: JSON.parse(raw), modifiedAt };
+}
+
+/**
+ * Creates a translation store for a translation folder and a settings file.
+ *
+ * The store emits a "reload" event after new data has been swapped in, with
+ * { changedLanguages: Array<string>, settingsChanged: boolean, metadataChanged: boolean, previous, current }
+ * where previous/current are snapshots.
+ *
+ * @param {Object} options
+ * @param {string} options.translationDir - Folder with the <lang>.json files
+ * @param {string} options.settingsFile - Path to settings.json
+ * @param {number} options.debounceMs - How long to wait for more file changes before reloading (default 100)
+ * @returns {EventEmitter} The store, with the methods documented below
+ */
+function createTranslationStore({
+  translationDir,
+  settingsFile,
+  debounceMs = 100,
+}) {
+  const store = new EventEmitter();
+
+  // Everything lives in one snapshot object that we replace as a whole, so a request
+  // never sees languages from one generation and settings from another.
+  let snapshot = {
+    settings: {},
+    translations: {},
+    metadata: {},
+    raw: { settings: null, translations: {}, metadata: null },
+    modifiedAt: { settings: null, translations: {}, metadata: null },
+    loadedAt: null,
+  };
+
+  let watchers = [];
+  let reloadTimer = null;
+
+  /**
+   * Reads settings.json, falling back to what we had before if it can't be read.
+   */
+  function readSettings(previous) {
+    try {
+      if (!fs.existsSync(settingsFile)) {
+        return { raw: null, data: {}, modifiedAt: null };
+      }
+      return readJSONFile(settingsFile);
+    } catch (error) {
+      console.warn(`Warning: Could not read settings file: ${error.message}`);
+      return {
+        raw: previous.raw.settings,
+        data: previous.settings,
+        modifiedAt: previous.modifiedAt.settings,
+      };
+    }
+  }
+
+  /**
+   * Reads every <lang>.json in the translation folder. Files that can't be parsed
+   * keep their previous contents (if we had any).
+   */
+  function readTranslations(previous) {
+    const translations = {};
+    const raw = {};
+    const modifiedAt = {};
+
+    let files = [];
+    try {
+      if (fs.existsSync(translationDir)) {
+        files = fs
+          .readdirSync(translationDir)
+          .filter((file) => file.endsWith(".json") && !file.startsWith("@"));
+      }
+    } catch (error) {
+      console.error("Error reading translation directory:", error.message);
+      return {
+        translations: previous.translations,
+        raw: previous.raw.translations,
+        modifiedAt: previous.modifiedAt.translations,
+      };
+    }
+
+    for (const file of files) {
+      const lang = file.replace(/\.json$/, "");
+
+      try {
+        const result = readJSONFile(path.join(translationDir, file));
+        translations[lang] = result.data;
+        raw[lang] = result.raw;
+        modifiedAt[lang] = result.modifiedAt;
+      } catch (error) {
+        if (lang in previous.translations) {
+          console.warn(
+            `Warning: Could not load translation for ${lang}, keeping the previous version: ${error.message}`
+          );
+          translations[lang] = previous.translations[lang];
+          raw[lang] = previous.raw.translations[lang];
+          modifiedAt[lang] = previous.modifiedAt.translations[lang];
+        } else {
+          console.error(
+            `Error loading translation for ${lang}:`,
+            error.message
+          );
+        }
+      }
+    }
+
+    return { translations, raw, modifiedAt };
+  }
+
+  /**
+   * Reads @metadata.json, falling back to what we had before if it can't be parsed.
+   * No file means no metadata.
+   */
+  function readMetadata(previous) {
+    const metadataFile = path.join(translationDir, METADATA_FILE);
+
+    try {
+      if (!fs.existsSync(metadataFile)) {
+        return { raw: null, data: {}, modifiedAt: null };
+      }
+      return readJSONFile(metadataFile);
+    } catch (error) {
+      console.warn(
+        `Warning: Could not read ${METADATA_FILE}: ${error.message}`
+      );
+      return {
+        raw: previous.raw.metadata,
+        data: previous.metadata,
+        modifiedAt: previous.modifiedAt.metadata,
+      };
+    }
+  }
+
+  /**
+   * (Re)loads everything from disk and swaps the new snapshot in.
+   * Emits "reload" when anything changed compared to the previous snapshot.
+   *
+   * @returns {Object} The current snapshot
+   */
+  store.load = function load() {
+    const previous = snapshot;
+    const settings = readSettings(previous);
+    const { translations, raw, modifiedAt } = readTranslations(previous);
+    const metadata = readMetadata(previous);
+
+    const allLanguages = new Set([
+      ...Object.keys(previous.raw.translations),
+      ...Object.keys(raw),
+    ]);
+    const changedLanguages = [...allLanguages]
+      .filter((lang) => previous.raw.translations[lang] !== raw[lang])
+      .sort();
+    const settingsChanged = previous.raw.settings !== settings.raw;
+    const metadataChanged = previous.raw.metadata !== metadata.raw;
+
+    snapshot = {
+      settings: settings.data,
+      translations,
+      metadata: metadata.data,
+      raw: {
+        settings: settings.raw,
+        translations: raw,
+        metadata: metadata.raw,
+      },
+      modifiedAt: {
+        settings: settings.modifiedAt,
+        translations: modifiedAt,
+        metadata: metadata.modifiedAt,
+      },
+      loadedAt: new Date(),
+    };
+
+    if (
+      previous.loadedAt &&
+      (changedLanguages.length > 0 || settingsChanged || metadataChanged)
+    ) {
+      store.emit("reload", {
+        changedLanguages,
+        settingsChanged,
+        metadataChanged,
+        previous,
+        current: snapshot,
+      });
+    }
+
+    return snapshot;
+  };
+
+  /**
+   * Schedules a reload. Generating translations writes a bunch of files in a row,
+   * so we wait a moment and reload once instead of once per file.
+   */
+  function scheduleReload() {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      reloadTimer = null;
+      store.load();
+    }, debounceMs);
+  }
+
+  /**
+   * Starts watching the translation folder and settings.json for changes.
+   * We watch the folder that holds settings.json (not the file itself), because
+   * editors and atomic writes replace the file, which would end a watch on the old file.
+   */
+  store.watch = function watch() {
+    if (watchers.length > 0) {
+      return store;
+    }
+
+    const settingsName = path.basename(settingsFile);
+
+    const watchFolder = (folder, filter) => {
+      try {
+        const watcher = fs.watch(folder, (eventType, filename) => {
+          if (!filename || filter(filename.toString())) {
+            scheduleReload();
+          }
+        });
+        watcher.on("error", (error) => {
+          console.warn(`Warning: Stopped watching ${folder}: ${error.message}`);
+        });
+        watchers.push(watcher);
+      } catch (error) {
+        console.warn(`Warning: Could not watch ${folder}: ${error.message}`);
+      }
+    };
+
+    if (fs.existsSync(translationDir)) {
+      watchFolder(translationDir, (filename) => filename.endsWith(".json"));
+    }
+    watchFolder(
+      path.dirname(settingsFile),
+      (filename) => filename === settingsName
+    );
+
+    return store;
+  };
+
+  /**
+   * Stops watching files (lets the process exit cleanly).
+   */
+  store.close = function close() {
+    clearTimeout(reloadTimer);
+    reloadTimer = null;
+    watchers.forEach((watcher) => watcher.close());
+    watchers = [];
+  };
+
+  /**
+   * @returns {Object} The current snapshot ({ settings, translations, loadedAt })
+   */
+  store.getSnapshot = function getSnapshot() {
+    return snapshot;
+  };
+
+  /**
+   * @returns {Object} Parsed settings.json (empty object if there isn't one)
+   */
+  store.getSettings = function getSettings() {
+    return snapshot.settings;
+  };
+
+  /**
+   * @param {string} lang - Language code, e.g. "en"
+   * @returns {Object|null} Translations for the language or null if we don't have it
+   */
+  store.getTranslation = function getTranslation(lang) {
+    return Object.prototype.hasOwnProperty.call(snapshot.translations, lang)
+      ? snapshot.translations[lang]
+      : null;
+  };
+
+  /**
+   * Works out when the data behind a response last changed: the newest modification time
+   * of settings.json and the given language files.
+   *
+   * @param {Array<string>} languages - Languages the response was built from
+   * @returns {Date|null} Last modification time or null if we don't know
+   */
+  store.getLastModified = function getLastModified(languages = []) {
+    const times = [
+      snapshot.modifiedAt.settings,
+      ...languages.map((lang) => snapshot.modifiedAt.translations[lang]),
+    ].filter(Boolean);
+
+    if (times.length === 0) {
+      return null;
+    }
+
+    return new Date(Math.max(...times.map((time) => time.getTime())));
+  };
+
+  /**
+   * @returns {Object} Metadata per key ({ description, maxLength, status, tags, machineTranslated })
+   */
+  store.getMetadata = function getMetadata() {
+    return snapshot.metadata;
+  };
+
+  /**
+   * @returns {Array<string>} All languages we have translations for, sorted
+   */
+  store.getLanguages = function getLanguages() {
+    return Object.keys(snapshot.translations).sort();
+  };
+
+  return store;
+}
+
+export { METADATA_FILE, createTranslationStore };
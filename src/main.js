@@ -5,9 +5,42 @@
 
 import "dotenv/config";
 import express from "express";
-import fs from "fs";
+import compression from "compression";
 import path from "path";
-import { fileURLToPath } from "url";
+import { fileURLToPath, pathToFileURL } from "url";
+import {
+  DEFAULT_LANGUAGE,
+  findAvailableLanguage,
+  resolveTranslations,
+} from "./lib/fallback.js";
+import { negotiateLanguage } from "./lib/negotiation.js";
+import { isPseudoLocale } from "./lib/pseudo.js";
+import { describeLanguages } from "./lib/locales.js";
+import { createTranslationStore } from "./lib/store.js";
+import { IMMUTABLE_CACHE_CONTROL, sendCachedJSON } from "./lib/caching.js";
+import { MessageParameterError, formatMessage } from "./lib/messageformat.js";
+import {
+  calculateCoverage,
+  getSourceLanguage,
+  summarizeCoverage,
+} from "./lib/coverage.js";
+import { KEY_SEPARATOR, expandKeys, getSubtree } from "./lib/keys.js";
+import { createSnapshotReader } from "./lib/snapshots.js";
+import { countChanges, diffTranslations } from "./lib/changes.js";
+import { createEventHub } from "./lib/events.js";
+import {
+  authenticate,
+  canEditLanguage,
+  createKeyStore,
+  requireRole,
+  sendAuthError,
+} from "./lib/auth.js";
+import {
+  createEditor,
+  putKey,
+  setTranslation,
+  deleteKey,
+} from "./scripts/edit.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,114 +48,415 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// We set our own ETags from the version and the body (see lib/caching.js), so Express's are turned off
+app.set("etag", false);
+
+// gzip/brotli compress the JSON bodies, depending on what the client accepts
+app.use(compression());
+
 // Where we keep all our translation JSON files (they're in the root translation folder)
 const translationDir = path.join(__dirname, "..", "translation");
 
+// settings.json holds the version numbers, default language and fallback chains
+const settingsFile = path.join(__dirname, "..", "settings.json");
+
+// Everything is loaded into memory once and reloaded when the files change,
+// so requests never have to touch the disk
+const store = createTranslationStore({ translationDir, settingsFile });
+store.load();
+store.watch();
+
+// Every `npm run translate` also keeps a copy of the files under translation/versions/<version>/,
+// so clients can ask for an older version with ?version=
+const snapshots = createSnapshotReader(path.join(translationDir, "versions"));
+
+store.on("reload", ({ changedLanguages, settingsChanged, metadataChanged }) => {
+  // A new generation may have added (or pruned) snapshots
+  snapshots.refresh();
+
+  const changes = [...changedLanguages];
+  if (settingsChanged) {
+    changes.push("settings.json");
+  }
+  if (metadataChanged) {
+    changes.push("@metadata.json");
+  }
+  console.log(`Reloaded translations (${changes.join(", ")})`);
+});
+
+// Clients can subscribe to /api/events instead of polling for a new version
+const events = createEventHub({ store });
+
+// API keys live (hashed) in keys.json (see `npm run keys`) and/or API_KEYS.
+// As long as there are none, reads are open and the write API is off.
+const keys = createKeyStore({
+  file: process.env.API_KEYS_FILE || path.join(__dirname, "..", "keys.json"),
+  envValue: process.env.API_KEYS,
+});
+keys.load();
+keys.watch();
+
+// Every route goes through this, so once keys are configured nothing is served without one
+// (unless settings.json has "auth": { "publicRead": true }, which opens up the GET endpoints).
+// EventSource can't send headers, so /api/events also takes the key as ?apiKey=
+app.use(
+  authenticate({
+    keys,
+    getVersion: () => getVersion(),
+    isPublicRead: () => Boolean((getSettings().auth || {}).publicRead),
+    publicPaths: ["/health"],
+    queryKeyPaths: ["/api/events"],
+  })
+);
+
+/**
+ * Gives back our settings (version numbers, default language, fallback chains).
+ * If the settings file doesn't exist, this is just an empty object.
+ */
+function getSettings() {
+  return store.getSettings();
+}
+
 /**
- * Grabs the current version number from our settings file.
- * If something goes wrong or the file doesn't exist, we'll just use a default version.
+ * Grabs the current version number from our settings.
+ * If there isn't one, we'll just use a default version.
  */
 function getVersion() {
-  const versionFile = path.join(__dirname, "..", "settings.json");
+  return getSettings().version || "v1.0.0.0";
+}
 
-  try {
-    if (fs.existsSync(versionFile)) {
-      const content = fs.readFileSync(versionFile, "utf-8");
-      const data = JSON.parse(content);
-      return data.version || "v1.0.0.0";
-    }
-  } catch (error) {
-    console.warn(`Warning: Could not read version file: ${error.message}`);
+/**
+ * Gets the translations for a specific language.
+ * Just pass in the language code like 'en' or 'de', and we'll look it up in memory.
+ * If we don't have it, we'll return null so you know it's not available.
+ */
+function loadTranslation(lang) {
+  return store.getTranslation(lang);
+}
+
+/**
+ * Figures out which languages we have available.
+ * Basically the names of all the .json files in the translation folder (without the .json part).
+ */
+function getAvailableLanguages() {
+  return store.getLanguages();
+}
+
+// Coverage only changes when the files do, so we calculate it once per loaded snapshot
+const coverageCache = new WeakMap();
+
+/**
+ * Works out how complete every language is compared to the source language.
+ * Gives back { sourceLanguage, languages: { [lang]: { total, translated, empty, ... } } }.
+ * Pass a version snapshot to get the numbers for an older version.
+ */
+function getCoverage(snapshot = store.getSnapshot()) {
+  if (!coverageCache.has(snapshot)) {
+    const languages = Object.keys(snapshot.translations).sort();
+    coverageCache.set(
+      snapshot,
+      calculateCoverage(
+        snapshot.translations,
+        languages,
+        getSourceLanguage(getSettings(), languages)
+      )
+    );
   }
 
-  return "v1.0.0.0";
+  return coverageCache.get(snapshot);
 }
 
 /**
- * Loads up the translation file for a specific language.
- * Just pass in the language code like 'en' or 'de', and we'll try to find that JSON file.
- * If we can't find it, we'll return null so you know it's not available.
+ * Figures out where the translations for a request come from.
+ * Without ?version= (or with the current one) that's the live files, otherwise it's the
+ * stored snapshot of that version. Returns null if we don't have that version.
  */
-function loadTranslation(lang) {
-  try {
-    const filePath = path.join(translationDir, `${lang}.json`);
+function getTranslationSource(requestedVersion) {
+  const currentVersion = getVersion();
 
-    if (!fs.existsSync(filePath)) {
-      return null;
-    }
+  if (!requestedVersion || requestedVersion === currentVersion) {
+    return {
+      version: currentVersion,
+      getLanguages: getAvailableLanguages,
+      getTranslation: loadTranslation,
+      getLastModified: (languages) => store.getLastModified(languages),
+      getCoverage: () => getCoverage(),
+      cacheControl: undefined,
+    };
+  }
 
-    const fileContent = fs.readFileSync(filePath, "utf-8");
-    return JSON.parse(fileContent);
-  } catch (error) {
-    console.error(`Error loading translation for ${lang}:`, error.message);
+  const snapshot = snapshots.get(requestedVersion);
+
+  if (snapshot === null) {
     return null;
   }
+
+  // Old versions never change, so caches can keep them forever
+  return {
+    version: snapshot.version,
+    getLanguages: () => Object.keys(snapshot.translations).sort(),
+    getTranslation: (lang) => snapshot.translations[lang] || null,
+    getLastModified: () => snapshot.createdAt,
+    getCoverage: () => getCoverage(snapshot),
+    cacheControl: IMMUTABLE_CACHE_CONTROL,
+  };
 }
 
 /**
- * Scans the translation folder and figures out which languages we have available.
- * Basically just looks for all the .json files and returns their names (without the .json part).
+ * Sends the 404 for a ?version= we don't have a snapshot of.
  */
-function getAvailableLanguages() {
-  try {
-    if (!fs.existsSync(translationDir)) {
-      return [];
-    }
+function sendVersionNotFound(res, requestedVersion) {
+  return res.status(404).json({
+    version: getVersion(),
+    error: "Version not found",
+    message: `No snapshot of version '${requestedVersion}' is available`,
+    availableVersions: snapshots.list().map((snapshot) => snapshot.version),
+  });
+}
 
-    const files = fs.readdirSync(translationDir);
-    return files
-      .filter((file) => file.endsWith(".json"))
-      .map((file) => file.replace(".json", ""));
-  } catch (error) {
-    console.error("Error reading translation directory:", error.message);
-    return [];
+/**
+ * Loads translations for a language and fills the gaps from its fallback chain
+ * (see resolveTranslations in lib/fallback.js). Returns null for unknown languages.
+ * The translations come from the current files unless you pass another source.
+ */
+function loadTranslationWithFallback(lang, source = getTranslationSource()) {
+  return resolveTranslations(
+    lang,
+    getSettings(),
+    source.getLanguages(),
+    source.getTranslation
+  );
+}
+
+/**
+ * Pulls the message parameters out of a request.
+ * They can be sent as ?params[name]=Bob&params[count]=3, as ?params={"name":"Bob"}
+ * or as a "params" object in a POST body. Returns null when there aren't any.
+ * Throws a SyntaxError if a params string isn't valid JSON.
+ */
+function getMessageParams(input) {
+  let params = input.params;
+
+  if (typeof params === "string") {
+    params = JSON.parse(params);
   }
+
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    return null;
+  }
+
+  return Object.keys(params).length > 0 ? params : null;
 }
 
-// This is the main endpoint - ask for translations in a specific language
-app.get("/api/translate", (req, res) => {
-  const lang = req.query.lang;
-  const key = req.query.key;
+/**
+ * Shapes a set of translations (or their sources) for the response.
+ * They're flat with dotted keys, unless the client asked for ?nested=true.
+ */
+function shapeTranslations(flat, nested) {
+  return nested ? expandKeys(flat) : flat;
+}
 
-  const VERSION = getVersion();
+/**
+ * Gets the metadata (description, maxLength, status, tags) of the keys for ?meta=true.
+ * "sources" says which language each translation came from, so machineTranslated can be
+ * true or false for that language instead of a list. Keys without metadata are left out.
+ * The metadata always comes from the current files, also for an older ?version=.
+ */
+function getKeyMetadata(sources) {
+  const metadata = store.getMetadata();
+  const result = {};
+
+  for (const [key, lang] of Object.entries(sources)) {
+    if (Object.hasOwn(metadata, key)) {
+      const { machineTranslated = [], ...rest } = metadata[key];
+      result[key] = {
+        ...rest,
+        machineTranslated: machineTranslated.includes(lang),
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * This is the main endpoint - ask for translations in a specific language.
+ * ?ns=auth narrows everything down to the "auth" namespace, and ?key= can also be
+ * a path to a group of keys (like "auth.login"), which gives back that whole subtree.
+ * ?version=v1.0.0.3 serves the translations exactly as they were in that version,
+ * and ?meta=true adds the description, max length, status and tags of every key.
+ * Works for GET (everything in the query string) and POST (JSON body, handy for lots of params).
+ */
+function handleTranslate(req, res) {
+  // POST bodies can carry the same fields as the query string
+  const input = { ...req.query, ...(req.body || {}) };
+  const key = input.key;
+  const ns = input.ns;
+  const nested = input.nested === true || input.nested === "true";
+  const withMeta = input.meta === true || input.meta === "true";
+
+  const source = getTranslationSource(input.version);
 
-  // First, make sure they actually gave us a language code
+  if (source === null) {
+    return sendVersionNotFound(res, input.version);
+  }
+
+  const VERSION = source.version;
+  const availableLanguages = source.getLanguages();
+
+  // The answer depends on Accept-Language when there's no ?lang=, so caches need to know
+  res.vary("Accept-Language");
+
+  // An explicit ?lang= always wins, otherwise we negotiate from the Accept-Language header
+  const lang =
+    input.lang ||
+    negotiateLanguage(
+      req.get("Accept-Language"),
+      availableLanguages,
+      getSettings().defaultLanguage || DEFAULT_LANGUAGE
+    );
+
+  // First, make sure we ended up with a language code
   if (!lang) {
     return res.status(400).json({
       version: VERSION,
       error: "Missing language parameter",
       message:
-        "Please provide a language code using ?lang=<code> (e.g., ?lang=en or ?lang=de)",
-      availableLanguages: getAvailableLanguages(),
+        "Please provide a language code using ?lang=<code> (e.g., ?lang=en or ?lang=de) or an Accept-Language header matching one of the available languages",
+      availableLanguages: availableLanguages,
     });
   }
 
-  // Now let's try to load the translations for that language
-  const translations = loadTranslation(lang);
+  // Now let's try to load the translations for that language (plus its fallbacks)
+  const resolved = loadTranslationWithFallback(lang, source);
 
-  if (translations === null) {
+  if (resolved === null) {
     return res.status(404).json({
       version: VERSION,
       error: "Language not found",
       message: `Translation file for language '${lang}' not found`,
-      availableLanguages: getAvailableLanguages(),
+      availableLanguages: availableLanguages,
     });
   }
 
+  const { chain } = resolved;
+  let { translations, sources } = resolved;
+  let metadata = withMeta ? getKeyMetadata(sources) : null;
+
+  // Tell the client which language it's actually getting
+  res.set("Content-Language", chain[0]);
+
+  // Pseudo-locales (en-XA, en-XB) are generated test data, we say so in every answer
+  const pseudo = isPseudoLocale(chain[0]) ? { pseudo: true } : {};
+
+  // With a namespace, keys are relative to it ("login.title" means "auth.login.title")
+  if (ns) {
+    translations = getSubtree(translations, ns);
+    sources = getSubtree(sources, ns);
+    metadata = metadata && getSubtree(metadata, ns);
+
+    if (Object.keys(translations).length === 0) {
+      return res.status(404).json({
+        version: VERSION,
+        error: "Namespace not found",
+        message: `Namespace '${ns}' not found for language '${lang}'`,
+        language: lang,
+        namespace: ns,
+      });
+    }
+  }
+
   // If they asked for a specific translation key, just give them that one
   if (key) {
-    if (key in translations) {
-      return res.json({
+    // A key can also be a path to a group of keys, then they get the whole group
+    const subtree = Object.hasOwn(translations, key)
+      ? null
+      : getSubtree(translations, key);
+
+    if (subtree && Object.keys(subtree).length > 0) {
+      const subtreeSources = getSubtree(sources, key);
+
+      return sendCachedJSON(
+        req,
+        res,
+        {
+          version: VERSION,
+          language: lang,
+          fallbackChain: chain,
+          ...pseudo,
+          ...(ns ? { namespace: ns } : {}),
+          key: key,
+          translations: shapeTranslations(subtree, nested),
+          sources: shapeTranslations(subtreeSources, nested),
+          ...(metadata ? { meta: getSubtree(metadata, key) } : {}),
+        },
+        {
+          settings: getSettings(),
+          version: VERSION,
+          lastModified: source.getLastModified([
+            ...new Set(Object.values(subtreeSources)),
+          ]),
+          cacheControl: source.cacheControl,
+        }
+      );
+    }
+
+    const fullKey = ns ? `${ns}${KEY_SEPARATOR}${key}` : key;
+
+    // Own keys only, so ?key=constructor or ?key=__proto__ is a 404 like any other unknown key
+    if (Object.hasOwn(translations, key)) {
+      const body = {
         version: VERSION,
         language: lang,
+        fallbackChain: chain,
+        ...pseudo,
+        ...(ns ? { namespace: ns } : {}),
         key: key,
         translation: translations[key],
+        source: sources[key],
+        ...(metadata
+          ? { meta: Object.hasOwn(metadata, key) ? metadata[key] : {} }
+          : {}),
+      };
+
+      // With params we render the message, otherwise the raw message is returned as-is
+      try {
+        const params = getMessageParams(input);
+
+        if (params) {
+          body.translation = formatMessage(
+            translations[key],
+            params,
+            sources[key]
+          );
+          body.raw = translations[key];
+          body.params = params;
+        }
+      } catch (error) {
+        const badParams =
+          error instanceof MessageParameterError ||
+          error instanceof SyntaxError;
+
+        return res.status(badParams ? 400 : 500).json({
+          version: VERSION,
+          error: badParams ? "Invalid parameters" : "Invalid message",
+          message: error.message,
+          language: lang,
+          key: key,
+        });
+      }
+
+      return sendCachedJSON(req, res, body, {
+        settings: getSettings(),
+        version: VERSION,
+        lastModified: source.getLastModified([sources[key]]),
+        cacheControl: source.cacheControl,
       });
     } else {
       return res.status(404).json({
         version: VERSION,
         error: "Key not found",
-        message: `Translation key '${key}' not found for language '${lang}'`,
+        message: `Translation key '${fullKey}' not found for language '${lang}'`,
         language: lang,
         key: key,
       });
@@ -130,25 +464,360 @@ app.get("/api/translate", (req, res) => {
   }
 
   // Return all translations if no key is specified
-  res.json({
-    version: VERSION,
-    language: lang,
-    translations: translations,
-  });
+  sendCachedJSON(
+    req,
+    res,
+    {
+      version: VERSION,
+      language: lang,
+      fallbackChain: chain,
+      ...pseudo,
+      ...(ns ? { namespace: ns } : {}),
+      translations: shapeTranslations(translations, nested),
+      sources: shapeTranslations(sources, nested),
+      ...(metadata ? { meta: metadata } : {}),
+    },
+    {
+      settings: getSettings(),
+      version: VERSION,
+      lastModified: source.getLastModified(chain),
+      cacheControl: source.cacheControl,
+    }
+  );
+}
+
+app.get("/api/translate", handleTranslate);
+app.post("/api/translate", express.json(), handleTranslate);
+
+// Delta updates: what changed for a language since an older version (?since=v1.0.0.2),
+// so apps that cache the whole bundle only have to download the difference
+app.get("/api/translate/changes", (req, res) => {
+  const current = getTranslationSource();
+  const VERSION = current.version;
+  const since = req.query.since;
+
+  res.vary("Accept-Language");
+
+  if (!since) {
+    return res.status(400).json({
+      version: VERSION,
+      error: "Missing since parameter",
+      message:
+        "Please provide the version you have using ?since=<version> (e.g., ?since=v1.0.0.2)",
+      availableVersions: snapshots.list().map((snapshot) => snapshot.version),
+    });
+  }
+
+  const lang =
+    req.query.lang ||
+    negotiateLanguage(
+      req.get("Accept-Language"),
+      current.getLanguages(),
+      getSettings().defaultLanguage || DEFAULT_LANGUAGE
+    );
+
+  if (!lang) {
+    return res.status(400).json({
+      version: VERSION,
+      error: "Missing language parameter",
+      message:
+        "Please provide a language code using ?lang=<code> (e.g., ?lang=en or ?lang=de) or an Accept-Language header matching one of the available languages",
+      availableLanguages: current.getLanguages(),
+    });
+  }
+
+  const previous = getTranslationSource(since);
+
+  if (previous === null) {
+    return sendVersionNotFound(res, since);
+  }
+
+  const resolved = loadTranslationWithFallback(lang, current);
+
+  if (resolved === null) {
+    return res.status(404).json({
+      version: VERSION,
+      error: "Language not found",
+      message: `Translation file for language '${lang}' not found`,
+      availableLanguages: current.getLanguages(),
+    });
+  }
+
+  // We compare what /api/translate gave back then with what it gives back now (fallbacks
+  // included), so the result can be applied straight to the cached bundle.
+  // A language that didn't exist back then comes back as all added.
+  const before = loadTranslationWithFallback(lang, previous);
+  const diff = diffTranslations(
+    before ? before.translations : {},
+    resolved.translations
+  );
+
+  res.set("Content-Language", resolved.chain[0]);
+
+  sendCachedJSON(
+    req,
+    res,
+    {
+      version: VERSION,
+      since: previous.version,
+      language: lang,
+      fallbackChain: resolved.chain,
+      added: diff.added,
+      modified: Object.fromEntries(
+        Object.entries(diff.modified).map(([key, { to }]) => [key, to])
+      ),
+      removed: Object.keys(diff.removed),
+      counts: countChanges(diff),
+    },
+    {
+      settings: getSettings(),
+      version: VERSION,
+      lastModified: current.getLastModified(resolved.chain),
+    }
+  );
 });
 
-// API endpoint to get list of available languages
+// API endpoint to get list of available languages (?version= for an older version),
+// with names, text direction, plural categories etc. for each of them under "locales"
 app.get("/api/languages", (req, res) => {
+  const source = getTranslationSource(req.query.version);
+
+  if (source === null) {
+    return sendVersionNotFound(res, req.query.version);
+  }
+
+  const VERSION = source.version;
+  const languages = source.getLanguages();
+  const coverage = source.getCoverage();
+
+  sendCachedJSON(
+    req,
+    res,
+    {
+      version: VERSION,
+      languages: languages,
+      count: languages.length,
+      pseudo: languages.filter(isPseudoLocale),
+      locales: describeLanguages(languages, getSettings(), coverage),
+      coverage: Object.fromEntries(
+        languages.map((lang) => [
+          lang,
+          summarizeCoverage(coverage.languages[lang]),
+        ])
+      ),
+    },
+    {
+      settings: getSettings(),
+      version: VERSION,
+      lastModified: source.getLastModified(languages),
+      cacheControl: source.cacheControl,
+    }
+  );
+});
+
+// Which versions can be fetched with ?version=, newest first
+app.get("/api/versions", (req, res) => {
   const VERSION = getVersion();
-  const languages = getAvailableLanguages();
+  const versions = snapshots.list();
 
-  res.json({
-    version: VERSION,
-    languages: languages,
-    count: languages.length,
-  });
+  sendCachedJSON(
+    req,
+    res,
+    {
+      version: VERSION,
+      count: versions.length,
+      versions: versions.map((snapshot) => ({
+        version: snapshot.version,
+        createdAt: snapshot.createdAt.toISOString(),
+        languages: snapshot.languages,
+        current: snapshot.version === VERSION,
+      })),
+    },
+    {
+      settings: getSettings(),
+      version: VERSION,
+      lastModified: versions.length > 0 ? versions[0].createdAt : null,
+    }
+  );
+});
+
+// How complete is a language? Counts plus the list of keys that still need translating
+app.get("/api/languages/:lang/coverage", (req, res) => {
+  const VERSION = getVersion();
+  const lang = findAvailableLanguage(req.params.lang, getAvailableLanguages());
+
+  if (lang === null) {
+    return res.status(404).json({
+      version: VERSION,
+      error: "Language not found",
+      message: `Translation file for language '${req.params.lang}' not found`,
+      availableLanguages: getAvailableLanguages(),
+    });
+  }
+
+  const coverage = getCoverage();
+
+  sendCachedJSON(
+    req,
+    res,
+    {
+      version: VERSION,
+      language: lang,
+      sourceLanguage: coverage.sourceLanguage,
+      ...coverage.languages[lang],
+    },
+    {
+      settings: getSettings(),
+      version: VERSION,
+      lastModified: store.getLastModified([lang, coverage.sourceLanguage]),
+    }
+  );
 });
 
+// Editing translations: changes are written to the CSV files and the JSON files are
+// regenerated (bumping both versions), exactly as if someone edited the CSV and ran the scripts
+const editor = createEditor();
+
+// Creating and deleting keys changes every language, so only admins may do that
+const requireAdmin = requireRole("admin", { keys, getVersion });
+const requireTranslator = requireRole("translator", { keys, getVersion });
+
+/**
+ * Translators may only change the languages their API key lists (admins may change all of them).
+ */
+function requireLanguageAccess(req, res, next) {
+  if (!canEditLanguage(req.apiKey, req.params.lang)) {
+    return sendAuthError(
+      res,
+      403,
+      getVersion(),
+      `The API key '${req.apiKey.name}' may not change '${req.params.lang}' translations`
+    );
+  }
+  next();
+}
+
+// How edit errors (see scripts/edit.js) show up in the API
+const EDIT_ERRORS = {
+  invalid: { status: 400, error: "Invalid request" },
+  "not-found": { status: 404, error: "Key not found" },
+  conflict: { status: 409, error: "Key conflict" },
+  validation: { status: 422, error: "Validation failed" },
+  generation: { status: 422, error: "Generation failed" },
+  rollback: { status: 500, error: "Rollback failed" },
+};
+
+/**
+ * Runs an edit and sends the response that respond() builds.
+ * Once the files are regenerated we reload the store right away (instead of waiting for
+ * the file watcher), so the response and the next requests already see the new version.
+ */
+async function handleEdit(req, res, change, respond) {
+  try {
+    const result = await editor.edit(change);
+    store.load();
+    respond(result);
+  } catch (error) {
+    // The scripts may have written files before they were put back, and the file watcher
+    // may have picked some of them up already
+    if (error.code === "generation" || error.code === "rollback") {
+      store.load();
+    }
+
+    const { status, error: name } = EDIT_ERRORS[error.code] || {
+      status: 500,
+      error: "Edit failed",
+    };
+
+    res.status(status).json({
+      version: getVersion(),
+      error: name,
+      message: error.message,
+      ...(error.details && error.details.length > 0
+        ? { details: error.details }
+        : {}),
+      key: req.params.key,
+    });
+  }
+}
+
+/**
+ * Gives back what the regenerated API files now have for a key, per language.
+ */
+function getKeyTranslations(key) {
+  return Object.fromEntries(
+    getAvailableLanguages()
+      .filter((lang) => Object.hasOwn(loadTranslation(lang) || {}, key))
+      .map((lang) => [lang, loadTranslation(lang)[key]])
+  );
+}
+
+// Create a key or replace all of its translations: { "translations": { "en": "...", "de": "..." } }
+app.put("/api/keys/:key", requireAdmin, express.json(), (req, res) => {
+  const { key } = req.params;
+
+  handleEdit(
+    req,
+    res,
+    (documents) => putKey(documents, key, (req.body || {}).translations),
+    ({ created }) =>
+      res.status(created ? 201 : 200).json({
+        version: getVersion(),
+        i18nVersion: getSettings().i18nVersion,
+        key: key,
+        created: created,
+        translations: getKeyTranslations(key),
+      })
+  );
+});
+
+// Change one language of a key: { "translation": "..." }
+app.patch(
+  "/api/keys/:key/:lang",
+  requireTranslator,
+  requireLanguageAccess,
+  express.json(),
+  (req, res) => {
+    const { key, lang } = req.params;
+
+    handleEdit(
+      req,
+      res,
+      (documents) =>
+        setTranslation(documents, key, lang, (req.body || {}).translation),
+      () =>
+        res.json({
+          version: getVersion(),
+          i18nVersion: getSettings().i18nVersion,
+          key: key,
+          language: lang,
+          translation: (loadTranslation(lang) || {})[key],
+        })
+    );
+  }
+);
+
+// Delete a key in all languages
+app.delete("/api/keys/:key", requireAdmin, (req, res) => {
+  const { key } = req.params;
+
+  handleEdit(
+    req,
+    res,
+    (documents) => deleteKey(documents, key),
+    () =>
+      res.json({
+        version: getVersion(),
+        i18nVersion: getSettings().i18nVersion,
+        key: key,
+        deleted: true,
+      })
+  );
+});
+
+// Server-Sent Events: an "update" whenever the versions or a language file change
+app.get("/api/events", events.handle);
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   const VERSION = getVersion();
@@ -168,29 +837,77 @@ app.get("/", (req, res) => {
     endpoints: {
       translate: "/api/translate?lang=<language_code>",
       translateKey: "/api/translate?lang=<language_code>&key=<translation_key>",
+      translateWithParams:
+        "/api/translate?lang=<language_code>&key=<translation_key>&params[<name>]=<value>",
+      translateNamespace:
+        "/api/translate?lang=<language_code>&ns=<namespace>[&key=<key_path>]",
+      changes: "/api/translate/changes?lang=<language_code>&since=<version>",
+      translateVersion: "/api/translate?lang=<language_code>&version=<version>",
       languages: "/api/languages",
+      versions: "/api/versions",
+      events: "/api/events",
+      editKey: "PUT|DELETE /api/keys/<translation_key>",
+      editTranslation: "PATCH /api/keys/<translation_key>/<language_code>",
+      coverage: "/api/languages/<language_code>/coverage",
       health: "/health",
     },
     examples: [
       "/api/translate?lang=en",
       "/api/translate?lang=en&key=confirm_delete",
       "/api/translate?lang=de&key=welcome_message",
+      "/api/translate?lang=fr-CA",
     ],
     availableLanguages: getAvailableLanguages(),
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Translation API server is running on http://localhost:${PORT}`);
-  console.log(`Available languages: ${getAvailableLanguages().join(", ")}`);
-  console.log(`\nExample usage:`);
-  console.log(`  GET http://localhost:${PORT}/api/translate?lang=en`);
-  console.log(`  GET http://localhost:${PORT}/api/translate?lang=de`);
-  console.log(
-    `  GET http://localhost:${PORT}/api/translate?lang=en&key=confirm_delete`
-  );
-  console.log(`  GET http://localhost:${PORT}/api/languages`);
+// Errors that make it to Express (like a POST body that isn't valid JSON) get a JSON answer
+// in our usual shape, instead of Express's HTML error page with the stack trace.
+// Express only treats this as an error handler because it takes four arguments.
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      version: getVersion(),
+      error: "Invalid JSON",
+      message: `The request body isn't valid JSON: ${err.message}`,
+    });
+  }
+
+  // body-parser errors (too large, unsupported charset) carry their own 4xx status
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    console.error(err);
+  }
+
+  res.status(status).json({
+    version: getVersion(),
+    error: status === 500 ? "Internal server error" : "Invalid request",
+    message: status === 500 ? "Something went wrong on our side" : err.message,
+  });
 });
 
+// Start the server, but only when we're run directly (importing the app shouldn't open a port)
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  app.listen(PORT, () => {
+    console.log(
+      `Translation API server is running on http://localhost:${PORT}`
+    );
+    console.log(`Available languages: ${getAvailableLanguages().join(", ")}`);
+    console.log(`\nExample usage:`);
+    console.log(`  GET http://localhost:${PORT}/api/translate?lang=en`);
+    console.log(`  GET http://localhost:${PORT}/api/translate?lang=de`);
+    console.log(
+      `  GET http://localhost:${PORT}/api/translate?lang=en&key=confirm_delete`
+    );
+    console.log(`  GET http://localhost:${PORT}/api/languages`);
+  });
+}
+
 export default app;
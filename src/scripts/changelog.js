@@ -0,0 +1,91 @@
+/**
+ * Changelog for the generation script.
+ * Before the API files are rewritten we read the ones that are there now, and afterwards
+ * we write translation/changelog/<version>.json with the keys that were added, modified
+ * and removed per language, so you can review what a run actually changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileAtomic } from './files.js';
+import { diffTranslations, countChanges } from '../lib/changes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CHANGELOG_DIR = path.join(__dirname, '..', '..', 'translation', 'changelog');
+
+/**
+ * Read the API translation files as they are before a run.
+ * Languages without a file (or with a file that can't be parsed) are left out.
+ * 
+ * @param {string} translationDir - Folder with the <lang>.json files
+ * @param {Array<string>} languages - Language names
+ * @returns {Object} Translations by language
+ */
+function readPreviousTranslations(translationDir, languages) {
+  const previous = {};
+  
+  for (const langName of languages) {
+    try {
+      previous[langName] = JSON.parse(fs.readFileSync(path.join(translationDir, `${langName}.json`), 'utf-8'));
+    } catch (error) {
+      // New language (or a broken file), every key counts as added
+    }
+  }
+  
+  return previous;
+}
+
+/**
+ * Compare the previous translations with the generated ones, print a summary
+ * and write it to translation/changelog/<version>.json.
+ * 
+ * @param {Object} previous - Translations by language before the run (from readPreviousTranslations)
+ * @param {Object} translations - Generated translations by language
+ * @param {Array<string>} languages - Language names
+ * @param {Object} versions - { previousVersion, version }
+ * @param {string} [changelogDir] - Output folder (default translation/changelog)
+ * @returns {Object} The changelog
+ */
+function generateChangelog(previous, translations, languages, { previousVersion, version }, changelogDir = CHANGELOG_DIR) {
+  const changelog = {
+    version,
+    previousVersion,
+    generatedAt: new Date().toISOString(),
+    summary: {},
+    languages: {},
+  };
+  
+  console.log(`\nChanges since ${previousVersion}:`);
+  
+  for (const langName of languages) {
+    const diff = diffTranslations(previous[langName], translations[langName]);
+    const counts = countChanges(diff);
+    
+    changelog.summary[langName] = counts;
+    changelog.languages[langName] = diff;
+    
+    const isNew = !(langName in previous) ? ' (new language)' : '';
+    console.log(`  - ${langName}${isNew}: ${counts.added} added, ${counts.modified} modified, ${counts.removed} removed`);
+  }
+  
+  try {
+    fs.mkdirSync(changelogDir, { recursive: true });
+    
+    const changelogPath = path.join(changelogDir, `${version}.json`);
+    writeFileAtomic(changelogPath, JSON.stringify(changelog, null, 2));
+    console.log(`Created: ${changelogPath}`);
+  } catch (error) {
+    console.warn(`Warning: Could not write changelog: ${error.message}`);
+  }
+  
+  return changelog;
+}
+
+export {
+  CHANGELOG_DIR,
+  readPreviousTranslations,
+  generateChangelog
+};
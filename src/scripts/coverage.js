@@ -0,0 +1,68 @@
+/**
+ * Coverage report for the generation scripts.
+ * Shows how complete each language is (translated, empty and identical-to-source
+ * counts plus the missing keys) and writes the same numbers to a JSON report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { calculateCoverage, getSourceLanguage } from '../lib/coverage.js';
+import { writeFileAtomic } from './files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Print a coverage summary, one line per language, plus the missing keys.
+ * 
+ * @param {Object} coverage - Result of calculateCoverage
+ */
+function printCoverageReport(coverage) {
+  console.log(`\nCoverage (compared to '${coverage.sourceLanguage}'):`);
+  
+  for (const [langName, stats] of Object.entries(coverage.languages)) {
+    console.log(`  - ${langName}: ${stats.translated}/${stats.total} translated (${stats.percentage}%), `
+      + `${stats.empty} empty, ${stats.identicalToSource} identical to source`);
+    
+    if (stats.missingKeys.length > 0) {
+      console.log(`      missing: ${stats.missingKeys.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Calculate coverage for the parsed CSV, print it and write it to
+ * translation/reports/coverage.json.
+ * 
+ * @param {Object} translations - Translations by language (from readTranslationsFromCSV)
+ * @param {Array<string>} languages - Language names
+ * @param {Object} settings - Parsed settings.json (used to find the source language)
+ * @returns {Object} The coverage report
+ */
+function generateCoverageReport(translations, languages, settings) {
+  const coverage = calculateCoverage(translations, languages, getSourceLanguage(settings, languages));
+  const reportDir = path.join(__dirname, '..', '..', 'translation', 'reports');
+  const reportPath = path.join(reportDir, 'coverage.json');
+  
+  printCoverageReport(coverage);
+  
+  try {
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = { generatedAt: new Date().toISOString(), ...coverage };
+    writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+    console.log(`Created: ${reportPath}`);
+  } catch (error) {
+    console.warn(`Warning: Could not write coverage report: ${error.message}`);
+  }
+  
+  return coverage;
+}
+
+export {
+  printCoverageReport,
+  generateCoverageReport
+};
@@ -0,0 +1,340 @@
+/**
+ * RFC 4180 CSV parsing and writing shared by the translation scripts.
+ * 
+ * - Quoted cells may contain delimiters, escaped quotes ("") and line breaks
+ * - The delimiter is configurable (",", ";" as exported by European Excel, tab for TSV)
+ *   and detected from the header row when not given
+ * - The parser is incremental: files are read and parsed chunk by chunk
+ * - Writing preserves the BOM and line-ending style of the original file
+ * - Errors report the line and column where the problem is
+ */
+
+import fs from 'fs';
+import { StringDecoder } from 'string_decoder';
+import { writeFileAtomic } from './files.js';
+
+// How much of a file we read (and parse) at a time
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// Delimiters we try when detecting the format of a file
+const DELIMITERS = [',', ';', '\t'];
+
+// Names that can be used for delimiters on the command line or in settings.json
+const DELIMITER_NAMES = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  '\\t': '\t',
+};
+
+/**
+ * Error thrown for malformed CSV content.
+ * The message includes the position, and line/column are available as properties (1-based).
+ */
+class CSVParseError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'CSVParseError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Turn a delimiter option into the delimiter character.
+ * Accepts the character itself or a name like "semicolon" or "tab".
+ * 
+ * @param {string} delimiter - Delimiter or delimiter name
+ * @returns {string} Delimiter character
+ * @throws {Error} If the delimiter isn't a single character
+ */
+function resolveDelimiter(delimiter) {
+  const resolved = DELIMITER_NAMES[String(delimiter).toLowerCase()] || delimiter;
+  
+  if (typeof resolved !== 'string' || resolved.length !== 1 || /["\r\n]/.test(resolved)) {
+    throw new Error(`Invalid CSV delimiter '${delimiter}'. Use a single character, "semicolon" or "tab".`);
+  }
+  
+  return resolved;
+}
+
+/**
+ * Create an incremental CSV parser.
+ * Feed it text with write() (chunks may split anywhere, even inside a quoted cell)
+ * and call end() when there is no more input. Every complete row is passed to onRow.
+ * Blank lines are skipped.
+ * 
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Cell delimiter (default ",")
+ * @param {Function} options.onRow - Called as onRow(cells, line) for every row,
+ *   where line is the line the row starts on
+ * @returns {Object} { write(chunk), end() }
+ */
+function createCSVParser({ delimiter = ',', onRow }) {
+  const separator = resolveDelimiter(delimiter);
+  
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let afterQuote = false; // Just saw the closing quote of a quoted cell
+  let pendingCR = false; // Saw "\r" and need to check whether "\n" follows
+  let line = 1;
+  let column = 0;
+  let rowLine = 1;
+  let quoteLine = 1;
+  let quoteColumn = 1;
+  let ended = false;
+  
+  const endCell = () => {
+    cells.push(cell);
+    cell = '';
+    afterQuote = false;
+  };
+  
+  const endRow = () => {
+    endCell();
+    
+    // A blank line is a single empty cell, which we don't treat as a row
+    if (!(cells.length === 1 && cells[0] === '')) {
+      onRow(cells, rowLine);
+    }
+    
+    cells = [];
+  };
+  
+  const newLine = () => {
+    line++;
+    column = 0;
+  };
+  
+  function write(chunk) {
+    if (ended) {
+      throw new Error('Cannot write to a CSV parser after end()');
+    }
+    
+    for (const char of chunk) {
+      if (pendingCR) {
+        pendingCR = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+      
+      column++;
+      
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          afterQuote = true;
+        } else {
+          // Line breaks inside a cell are kept as they are, "\r\n" counts as one line
+          if (char === '\r' || (char === '\n' && !cell.endsWith('\r'))) {
+            newLine();
+          }
+          cell += char;
+        }
+        continue;
+      }
+      
+      if (afterQuote && char === '"') {
+        // "" inside a quoted cell is an escaped quote
+        cell += '"';
+        inQuotes = true;
+        afterQuote = false;
+        continue;
+      }
+      
+      if (char === separator) {
+        endCell();
+      } else if (char === '\n' || char === '\r') {
+        endRow();
+        newLine();
+        rowLine = line;
+        pendingCR = char === '\r';
+      } else if (afterQuote) {
+        throw new CSVParseError(`Unexpected character '${char}' after closing quote`, line, column);
+      } else if (char === '"') {
+        if (cell !== '') {
+          throw new CSVParseError('Unexpected quote inside an unquoted cell (quote the whole cell and escape quotes as "")', line, column);
+        }
+        inQuotes = true;
+        quoteLine = line;
+        quoteColumn = column;
+      } else {
+        cell += char;
+      }
+    }
+  }
+  
+  function end() {
+    if (ended) {
+      return;
+    }
+    ended = true;
+    
+    if (inQuotes) {
+      throw new CSVParseError('Unterminated quoted cell', quoteLine, quoteColumn);
+    }
+    
+    if (cell !== '' || cells.length > 0 || afterQuote) {
+      endRow();
+    }
+  }
+  
+  return { write, end };
+}
+
+/**
+ * Parse CSV content into rows.
+ * 
+ * @param {string} content - CSV content (without BOM)
+ * @param {Object} options - { delimiter } (default ",")
+ * @returns {Array<Array<string>>} Array of rows, each row is an array of cells
+ * @throws {CSVParseError} If the content is malformed
+ */
+function parseCSV(content, options = {}) {
+  const rows = [];
+  const parser = createCSVParser({ ...options, onRow: cells => rows.push(cells) });
+  
+  parser.write(content);
+  parser.end();
+  
+  return rows;
+}
+
+/**
+ * Work out how a CSV file is written: BOM, line endings and delimiter.
+ * The delimiter is the candidate that appears most often in the first line
+ * (outside of quotes), falling back to ",".
+ * 
+ * @param {string} content - Raw file content (may start with a BOM)
+ * @returns {Object} { bom: boolean, lineEnding: string, delimiter: string }
+ */
+function detectCSVFormat(content) {
+  const bom = content.charCodeAt(0) === 0xFEFF;
+  const text = bom ? content.slice(1) : content;
+  
+  const newlineIndex = text.indexOf('\n');
+  const lineEnding = newlineIndex > 0 && text[newlineIndex - 1] === '\r' ? '\r\n' : '\n';
+  
+  const counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+  
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+  
+  const [delimiter, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  
+  return { bom, lineEnding, delimiter: count > 0 ? delimiter : ',' };
+}
+
+/**
+ * Read and parse a CSV file.
+ * The file is read chunk by chunk and fed to the incremental parser, so only the parsed
+ * rows are kept in memory, not the file content as well. The format is detected from
+ * the first chunk (the header row).
+ * 
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - { delimiter } to override the detected delimiter
+ * @returns {Object} { rows: Array<Array<string>>, format: { bom, lineEnding, delimiter } }
+ * @throws {CSVParseError} If the file is malformed
+ */
+function readCSVFile(filePath, options = {}) {
+  const rows = [];
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  // Keeps multi-byte characters that are split between two chunks together
+  const decoder = new StringDecoder('utf-8');
+  let format = null;
+  let parser = null;
+  
+  const write = text => {
+    if (format === null) {
+      format = detectCSVFormat(text);
+      if (options.delimiter) {
+        format.delimiter = resolveDelimiter(options.delimiter);
+      }
+      parser = createCSVParser({ delimiter: format.delimiter, onRow: cells => rows.push(cells) });
+      text = format.bom ? text.slice(1) : text;
+    }
+    parser.write(text);
+  };
+  
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, null)) > 0) {
+      write(decoder.write(buffer.subarray(0, bytesRead)));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  write(decoder.end());
+  parser.end();
+  
+  return { rows, format };
+}
+
+/**
+ * Quote a cell if it needs it (delimiter, quote or line break inside).
+ * 
+ * @param {string} cell - Cell value
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} Cell as written to the file
+ */
+function formatCSVCell(cell, delimiter) {
+  const value = cell === undefined || cell === null ? '' : String(cell);
+  
+  if (value.includes(delimiter) || value.includes('"') || value.includes('\n') || value.includes('\r')) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  
+  return value;
+}
+
+/**
+ * Turn rows into CSV content.
+ * 
+ * @param {Array<Array<string>>} rows - Rows to write
+ * @param {Object} format - { bom, lineEnding, delimiter } (defaults: no BOM, "\n", ",")
+ * @returns {string} CSV content, every row terminated by the line ending
+ */
+function stringifyCSV(rows, format = {}) {
+  const delimiter = resolveDelimiter(format.delimiter || ',');
+  const lineEnding = format.lineEnding || '\n';
+  const bom = format.bom ? '\uFEFF' : '';
+  
+  return bom + rows
+    .map(row => row.map(cell => formatCSVCell(cell, delimiter)).join(delimiter) + lineEnding)
+    .join('');
+}
+
+/**
+ * Write rows to a CSV file (atomically).
+ * 
+ * @param {string} filePath - Path to the CSV file
+ * @param {Array<Array<string>>} rows - Rows to write
+ * @param {Object} format - { bom, lineEnding, delimiter }, usually the format readCSVFile detected
+ */
+function writeCSVFile(filePath, rows, format = {}) {
+  writeFileAtomic(filePath, stringifyCSV(rows, format));
+}
+
+export {
+  CSVParseError,
+  resolveDelimiter,
+  createCSVParser,
+  parseCSV,
+  detectCSVFormat,
+  readCSVFile,
+  formatCSVCell,
+  stringifyCSV,
+  writeCSVFile
+};
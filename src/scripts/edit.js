@@ -0,0 +1,592 @@
+/**
+ * Editing translations in the CSV files, for the write API of the server.
+ * Changes are made to the parsed rows of the main CSV file and the namespace CSV files
+ * (see settings.json "namespaces"), checked with the same rules the generation scripts
+ * use, written back atomically, and then the JSON files are regenerated by running
+ * translate.js and translate-i18n.js.
+ * 
+ * The generation scripts exit the process when something is wrong, so the server
+ * runs them as child processes instead of importing their main functions.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  isValidLanguageName,
+  getNamespaceFiles,
+  readSettings,
+  getCSVOptions
+} from './translate.js';
+import { BACKUP_DIR_VARIABLE, writeFileAtomic, restoreBackup } from './files.js';
+import { readCSVFile, writeCSVFile } from './csv.js';
+import { validateTranslations } from './validate.js';
+import { KEY_SEPARATOR, isValidKeyPath, findKeyConflicts, splitKeyPath } from '../lib/keys.js';
+import { getSourceLanguage } from '../lib/coverage.js';
+import { isMetadataColumn, getMetadataColumnName, readRowMetadata, setMachineTranslated } from './metadata.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Scripts that regenerate the JSON files, in the order they run
+const GENERATION_SCRIPTS = ['translate.js', 'translate-i18n.js'];
+
+// How long a generation script may take before we give up on it
+const GENERATION_TIMEOUT_MS = 60000;
+
+/**
+ * Error for edits that can't be made.
+ * code is 'invalid' (bad key, language or value), 'not-found' (unknown key),
+ * 'conflict' (the key would clash with another key), 'validation' (strict validation
+ * would reject the CSV files), 'generation' (regenerating failed) or 'rollback'
+ * (regenerating failed and the files it wrote couldn't all be put back).
+ */
+class EditError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'EditError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Read the CSV files that make up the translations: the main file plus the namespace files.
+ * 
+ * @param {string} csvFilePath - Path to the main CSV file
+ * @param {Object} settings - Parsed settings.json
+ * @param {Object} [options] - CSV options: { delimiter }
+ * @returns {Array<Object>} Documents: { file, namespace, rows, format, original, changed }
+ *   original is the file content as it was, so a failed edit can be rolled back
+ */
+function loadDocuments(csvFilePath, settings, options = {}) {
+  const files = [{ file: csvFilePath, namespace: '' }, ...getNamespaceFiles(settings)];
+  
+  return files.map(({ file, namespace }) => {
+    const { rows, format } = readCSVFile(file, options);
+    
+    if (rows.length === 0) {
+      throw new EditError('generation', `CSV file '${file}' is empty or has no header row`);
+    }
+    
+    return { file, namespace, rows, format, original: fs.readFileSync(file, 'utf-8'), changed: false };
+  });
+}
+
+/**
+ * Get the index of the namespace column of a document, -1 if it doesn't have one.
+ * 
+ * @param {Object} document - Document from loadDocuments
+ * @returns {number} Column index
+ */
+function getNamespaceColumn(document) {
+  return document.rows[0].findIndex((name, index) => index > 0 && name.trim().toLowerCase() === 'namespace');
+}
+
+/**
+ * Get the full key of a row (including its namespace), like the generated files have it.
+ * 
+ * @param {Object} document - Document from loadDocuments
+ * @param {Array<string>} row - CSV row
+ * @returns {string} Key, '' for rows without one
+ */
+function getRowKey(document, row) {
+  const key = (row[0] || '').trim();
+  const namespaceColumn = getNamespaceColumn(document);
+  const namespace = (namespaceColumn > 0 && (row[namespaceColumn] || '').trim()) || document.namespace;
+  
+  if (!key) {
+    return '';
+  }
+  
+  return namespace ? `${namespace}${KEY_SEPARATOR}${key}` : key;
+}
+
+/**
+ * Get all keys of all documents.
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ * @returns {Array<string>} Keys
+ */
+function listKeys(documents) {
+  return documents.flatMap(document => document.rows.slice(1).map(row => getRowKey(document, row)).filter(Boolean));
+}
+
+/**
+ * Find the row of a key.
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ * @param {string} key - Full key
+ * @returns {Object|null} { document, index } (index into document.rows) or null
+ */
+function findKey(documents, key) {
+  for (const document of documents) {
+    const index = document.rows.findIndex((row, i) => i > 0 && getRowKey(document, row) === key);
+    if (index !== -1) {
+      return { document, index };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the language columns of a document (the namespace and "@" metadata columns aren't languages).
+ * 
+ * @param {Object} document - Document from loadDocuments
+ * @returns {Object} Column index per language name
+ */
+function getLanguageColumns(document) {
+  const columns = {};
+  const namespaceColumn = getNamespaceColumn(document);
+  
+  document.rows[0].forEach((name, index) => {
+    if (index > 0 && index !== namespaceColumn && name.trim() && !isMetadataColumn(name)) {
+      columns[name.trim()] = index;
+    }
+  });
+  
+  return columns;
+}
+
+/**
+ * Get the column of a language, adding it to the document if it's new.
+ * 
+ * @param {Object} document - Document from loadDocuments
+ * @param {string} langName - Language name (already validated)
+ * @returns {number} Column index
+ */
+function ensureLanguageColumn(document, langName) {
+  const columns = getLanguageColumns(document);
+  
+  if (langName in columns) {
+    return columns[langName];
+  }
+  
+  const header = document.rows[0];
+  header.push(langName);
+  
+  for (const row of document.rows) {
+    while (row.length < header.length) {
+      row.push('');
+    }
+  }
+  
+  document.changed = true;
+  return header.length - 1;
+}
+
+/**
+ * Check a key for the write API: not empty, no surrounding whitespace or line breaks,
+ * and a valid dotted path.
+ * 
+ * @param {string} key - Key to check
+ * @throws {EditError} If the key isn't valid
+ */
+function validateKey(key) {
+  if (typeof key !== 'string' || !key.trim()) {
+    throw new EditError('invalid', 'Key must not be empty');
+  }
+  
+  if (key !== key.trim() || /[\r\n]/.test(key)) {
+    throw new EditError('invalid', `Key '${key}' must not contain line breaks or surrounding whitespace`);
+  }
+  
+  if (!isValidKeyPath(key)) {
+    throw new EditError('invalid', `Key '${key}' has an empty part between dots`);
+  }
+}
+
+/**
+ * Check a language name and a value for the write API.
+ * 
+ * @param {string} langName - Language name
+ * @param {*} value - Translation value
+ * @throws {EditError} If either isn't valid
+ */
+function validateValue(langName, value) {
+  if (!isValidLanguageName(langName) || langName !== langName.trim() || langName.toLowerCase() === 'namespace') {
+    throw new EditError('invalid',
+      `Invalid language name '${langName}'. Language names must contain only letters, numbers, underscores, and hyphens.`);
+  }
+  
+  if (typeof value !== 'string') {
+    throw new EditError('invalid', `Translation for '${langName}' must be a string`);
+  }
+}
+
+/**
+ * Collect the translations of the documents like the generation scripts read them
+ * (trimmed values, '' for languages a document doesn't have), for validation.
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ * @returns {Object} { translations, languages, rowNumbers, rawTranslations, metadata }
+ */
+function getDocumentData(documents) {
+  const languages = [];
+  const rawTranslations = {};
+  const rowNumbers = {};
+  const metadata = {};
+  
+  for (const document of documents) {
+    const columns = getLanguageColumns(document);
+    const metadataColumns = {};
+    
+    document.rows[0].forEach((name, index) => {
+      const column = index > 0 && isMetadataColumn(name) ? getMetadataColumnName(name) : null;
+      if (column) {
+        metadataColumns[column] = index;
+      }
+    });
+    
+    for (const langName of Object.keys(columns)) {
+      if (!languages.includes(langName)) {
+        languages.push(langName);
+        rawTranslations[langName] = {};
+      }
+    }
+    
+    document.rows.slice(1).forEach((row, index) => {
+      const key = getRowKey(document, row);
+      if (!key) {
+        return;
+      }
+      
+      rowNumbers[key] = index + 2;
+      for (const [langName, column] of Object.entries(columns)) {
+        rawTranslations[langName][key] = row[column] || '';
+      }
+      
+      try {
+        const rowMetadata = readRowMetadata(row, metadataColumns);
+        if (Object.keys(rowMetadata).length > 0) {
+          metadata[key] = rowMetadata;
+        }
+      } catch (error) {
+        // The generation scripts report broken metadata, it doesn't change what we validate
+      }
+    });
+  }
+  
+  const translations = {};
+  for (const langName of languages) {
+    translations[langName] = {};
+    for (const key of Object.keys(rowNumbers)) {
+      rawTranslations[langName][key] = rawTranslations[langName][key] || '';
+      translations[langName][key] = rawTranslations[langName][key].trim();
+    }
+  }
+  
+  return { translations, languages, rowNumbers, rawTranslations, metadata };
+}
+
+/**
+ * Validate the documents the way the generation scripts do (see validate.js).
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ * @param {Object} settings - Parsed settings.json (uses the "validation" section)
+ * @returns {Array<Object>} Problems from validateTranslations
+ */
+function findValidationProblems(documents, settings) {
+  const { translations, languages, rowNumbers, rawTranslations, metadata } = getDocumentData(documents);
+  const validationSettings = settings.validation || {};
+  
+  try {
+    return validateTranslations(translations, languages, {
+      sourceLanguage: getSourceLanguage(settings, languages),
+      rowNumbers,
+      rawTranslations,
+      maxLengthRatio: validationSettings.maxLengthRatio,
+      minLengthRatio: validationSettings.minLengthRatio,
+      metadata,
+    });
+  } catch (error) {
+    // The source language isn't a column, the scripts stop on that in any mode
+    return [{ key: '', language: '', row: null, type: 'source-language', severity: 'error', message: error.message }];
+  }
+}
+
+/**
+ * Refuse a change that the generation scripts would refuse in strict mode
+ * ("validation": { "strict": true } in settings.json), before anything is written.
+ * Problems the CSV files already had before the change are told apart from the
+ * ones the change brings in, since the fix is somewhere else then.
+ * 
+ * @param {Array<Object>} problems - Problems after the change (from findValidationProblems)
+ * @param {Array<Object>} previousProblems - Problems before the change
+ * @throws {EditError} 'validation' if there are any problems
+ */
+function checkStrictValidation(problems, previousProblems) {
+  if (problems.length === 0) {
+    return;
+  }
+  
+  const getId = problem => [problem.key, problem.language, problem.type, problem.message].join('\n');
+  const previous = new Set(previousProblems.map(getId));
+  const introduced = problems.filter(problem => !previous.has(getId(problem)));
+  
+  // Same lines as the validation report of the scripts
+  const describe = problem => `${problem.severity === 'error' ? 'Error' : 'Warning'}: `
+    + `${problem.row ? `row ${problem.row}` : 'row ?'} [${problem.language}] ${problem.key}: ${problem.message}`;
+  
+  if (introduced.length > 0) {
+    throw new EditError('validation', 'The change does not pass validation (strict mode), nothing was changed',
+      introduced.map(describe));
+  }
+  
+  throw new EditError('validation',
+    'The CSV files already fail validation (strict mode), fix them before editing other translations',
+    problems.map(describe));
+}
+
+/**
+ * Create a key or replace all of its translations.
+ * Languages that aren't in values are emptied, languages that aren't in the CSV yet are added.
+ * New keys go to the namespace CSV file of their first key part if there is one,
+ * otherwise to the main CSV file.
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments (changed in place)
+ * @param {string} key - Full key
+ * @param {Object} values - Translations by language
+ * @returns {Object} { created: boolean }
+ * @throws {EditError} If the key or a value isn't valid or the key conflicts with another key
+ */
+function putKey(documents, key, values) {
+  validateKey(key);
+  
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new EditError('invalid', 'Translations must be an object of language -> translation');
+  }
+  
+  for (const [langName, value] of Object.entries(values)) {
+    validateValue(langName, value);
+  }
+  
+  let found = findKey(documents, key);
+  const created = found === null;
+  
+  if (created) {
+    const conflicts = findKeyConflicts([...listKeys(documents), key])
+      .filter(conflict => conflict.key === key || conflict.child === key);
+    
+    if (conflicts.length > 0) {
+      const other = conflicts[0].key === key ? conflicts[0].child : conflicts[0].key;
+      throw new EditError('conflict', `Key '${key}' conflicts with '${other}', a key can't be both a message and a group of messages`);
+    }
+    
+    const namespace = splitKeyPath(key)[0];
+    const document = documents.find(doc => doc.namespace && doc.namespace === namespace && key !== namespace)
+      || documents[0];
+    const row = new Array(document.rows[0].length).fill('');
+    row[0] = document.namespace ? key.slice(document.namespace.length + KEY_SEPARATOR.length) : key;
+    
+    document.rows.push(row);
+    found = { document, index: document.rows.length - 1 };
+  }
+  
+  const { document, index } = found;
+  
+  for (const langName of Object.keys(values)) {
+    ensureLanguageColumn(document, langName.trim());
+  }
+  
+  const row = document.rows[index];
+  for (const [langName, column] of Object.entries(getLanguageColumns(document))) {
+    row[column] = langName in values ? values[langName] : '';
+    setMachineTranslated(document.rows, index, langName, false);
+  }
+  
+  document.changed = true;
+  return { created };
+}
+
+/**
+ * Set the translation of one language of an existing key.
+ * The translation counts as reviewed, so a machine-translated flag is taken off
+ * unless options.machine is true (that's how `npm run translate:fill` sets it).
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments (changed in place)
+ * @param {string} key - Full key
+ * @param {string} langName - Language name (the column is added if it's new)
+ * @param {string} value - Translation
+ * @param {Object} [options] - { machine: flag the translation as machine-translated }
+ * @throws {EditError} If the key doesn't exist or the language or value isn't valid
+ */
+function setTranslation(documents, key, langName, value, options = {}) {
+  validateValue(langName, value);
+  
+  const found = findKey(documents, key);
+  
+  if (found === null) {
+    throw new EditError('not-found', `Translation key '${key}' not found`);
+  }
+  
+  const column = ensureLanguageColumn(found.document, langName.trim());
+  found.document.rows[found.index][column] = value;
+  setMachineTranslated(found.document.rows, found.index, langName.trim(), options.machine === true);
+  found.document.changed = true;
+}
+
+/**
+ * Delete a key (its whole row).
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments (changed in place)
+ * @param {string} key - Full key
+ * @throws {EditError} If the key doesn't exist
+ */
+function deleteKey(documents, key) {
+  const found = findKey(documents, key);
+  
+  if (found === null) {
+    throw new EditError('not-found', `Translation key '${key}' not found`);
+  }
+  
+  found.document.rows.splice(found.index, 1);
+  found.document.changed = true;
+}
+
+/**
+ * Write the changed documents back to their CSV files (atomically, in their own format).
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ */
+function saveDocuments(documents) {
+  for (const document of documents.filter(doc => doc.changed)) {
+    writeCSVFile(document.file, document.rows, document.format);
+  }
+}
+
+/**
+ * Put the changed CSV files back the way they were before the edit.
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ */
+function restoreDocuments(documents) {
+  for (const document of documents.filter(doc => doc.changed)) {
+    writeFileAtomic(document.file, document.original);
+  }
+}
+
+/**
+ * Run one generation script as a child process.
+ * 
+ * @param {string} script - Script file name in this folder
+ * @param {string} csvFilePath - CSV file to pass to it
+ * @param {string} backupDir - Folder the script backs up the files it writes to (see files.js)
+ * @returns {Promise<string>} The script's output
+ * @throws {EditError} If the script fails (details hold its error lines)
+ */
+function runGenerationScript(script, csvFilePath, backupDir) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      timeout: GENERATION_TIMEOUT_MS,
+      env: { ...process.env, [BACKUP_DIR_VARIABLE]: backupDir },
+    };
+    
+    execFile(process.execPath, [path.join(__dirname, script), csvFilePath], options,
+      (error, stdout, stderr) => {
+        if (error) {
+          const details = `${stderr}`.split('\n').map(line => line.trim()).filter(line => /error/i.test(line));
+          reject(new EditError('generation', `Regenerating the translation files failed (${script})`,
+            details.length > 0 ? details : [error.message]));
+          return;
+        }
+        resolve(stdout);
+      });
+  });
+}
+
+/**
+ * Put things back after regenerating failed: the CSV files, and the files the scripts
+ * already wrote (JSON files, snapshot, changelog, the versions in settings.json).
+ * Nothing is regenerated, so a failed edit never publishes a version.
+ * Files the scripts removed (snapshots pruned by the retention policy) stay removed.
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ * @param {string} backupDir - Folder the scripts backed up the files they wrote to
+ * @param {EditError} error - Why regenerating failed
+ * @throws {EditError} 'rollback' if the files can't all be put back
+ */
+function rollBack(documents, backupDir, error) {
+  try {
+    // The scripts write the CSV files too (sorted), so those come back last
+    restoreBackup(backupDir);
+    restoreDocuments(documents);
+  } catch (rollbackError) {
+    console.error(`Error: ${error.message}, and putting the files back failed too: `
+      + `${rollbackError.message}. The translation files may not match the CSV files anymore.`);
+    throw new EditError('rollback',
+      `${error.message}, and putting the files back failed too, the translation files may not match the CSV files anymore`,
+      [...error.details, rollbackError.message]);
+  }
+}
+
+/**
+ * Create an editor for the CSV files.
+ * Edits run one at a time: read the CSV files, apply the change, check it (in strict mode),
+ * write them back and regenerate the API and i18n JSON files (which bumps both versions).
+ * If regenerating fails, the CSV files and every file the scripts wrote are put back
+ * the way they were.
+ * 
+ * @param {Object} options
+ * @param {string} [options.csvFile] - Main CSV file (default translations.csv in the root directory)
+ * @returns {Object} { edit(change) } where change(documents) makes the change and edit()
+ *   resolves with what it returns
+ */
+function createEditor({ csvFile = path.join(__dirname, '..', '..', 'translations.csv') } = {}) {
+  let queue = Promise.resolve();
+  
+  const edit = change => {
+    const run = queue.then(async () => {
+      const settings = readSettings();
+      const documents = loadDocuments(csvFile, settings, getCSVOptions({}, settings));
+      const strict = (settings.validation || {}).strict === true;
+      const previousProblems = strict ? findValidationProblems(documents, settings) : [];
+      const result = change(documents);
+      
+      if (strict) {
+        checkStrictValidation(findValidationProblems(documents, settings), previousProblems);
+      }
+      
+      const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-edit-'));
+      try {
+        saveDocuments(documents);
+        
+        try {
+          for (const script of GENERATION_SCRIPTS) {
+            await runGenerationScript(script, csvFile, backupDir);
+          }
+        } catch (error) {
+          rollBack(documents, backupDir, error);
+          throw error;
+        }
+      } finally {
+        fs.rmSync(backupDir, { recursive: true, force: true });
+      }
+      
+      return result;
+    });
+    
+    // The next edit waits for this one, whether it worked or not
+    queue = run.catch(() => {});
+    return run;
+  };
+  
+  return { edit };
+}
+
+export {
+  EditError,
+  loadDocuments,
+  getRowKey,
+  listKeys,
+  findKey,
+  putKey,
+  setTranslation,
+  deleteKey,
+  saveDocuments,
+  restoreDocuments,
+  createEditor
+};
@@ -0,0 +1,126 @@
+/**
+ * Export script that reads translations from the CSV file and writes them
+ * in other formats (gettext PO, XLIFF 2.0, Android, iOS, Flutter ARB, TMX).
+ * 
+ * Usage:
+ *   npm run translate:export -- --format=po,xliff [--out=translation/export] [path/to/translations.csv]
+ *   npm run translate:export -- --list
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  readAllTranslations,
+  readSettings,
+  readVersion,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions
+} from './translate.js';
+import { writeFileAtomic } from './files.js';
+import { getSourceLanguage } from '../lib/coverage.js';
+import { WRITERS, loadWriter } from './writers/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Run the given writers and write their files below outputDir/<writer name>/.
+ * 
+ * @param {Array<Object>} writers - Writers from loadWriter
+ * @param {Object} context - Export context passed to every writer (without warn)
+ * @param {string} outputDir - Base output folder
+ * @returns {Array<Object>} Warnings: { format, key, language, message }
+ */
+function runWriters(writers, context, outputDir) {
+  const warnings = [];
+  
+  for (const writer of writers) {
+    console.log(`\nExporting ${writer.name} (${writer.description})...`);
+    
+    const warn = (key, language, message) => warnings.push({ format: writer.name, key, language, message });
+    const files = writer.generate({ ...context, warn });
+    
+    for (const { file, content } of files) {
+      const filePath = path.join(outputDir, writer.name, file);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileAtomic(filePath, content);
+      console.log(`Created: ${filePath}`);
+    }
+  }
+  
+  return warnings;
+}
+
+/**
+ * Main function to export translations in other formats.
+ */
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  
+  if (flags.list) {
+    console.log('Available export formats:');
+    for (const [name, writer] of Object.entries(WRITERS)) {
+      console.log(`  - ${name}: ${writer.description}`);
+    }
+    return;
+  }
+  
+  if (typeof flags.format !== 'string' || !flags.format.trim()) {
+    console.error('Error: Please choose the export formats with --format=<format>[,<format>...]');
+    console.error(`Available formats: ${Object.keys(WRITERS).join(', ')} (or a path to a writer module)`);
+    process.exit(1);
+  }
+  
+  let writers;
+  try {
+    const formats = flags.format.split(',').map(format => format.trim()).filter(Boolean);
+    writers = await Promise.all(formats.map(loadWriter));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  const settings = readSettings();
+  const csvFile = resolveCSVPath(positional);
+  const outputDir = typeof flags.out === 'string'
+    ? path.resolve(process.cwd(), flags.out)
+    : path.join(__dirname, '..', '..', 'translation', 'export');
+  
+  console.log(`Reading translations from: ${csvFile}`);
+  const { translations, languages, metadata } = readAllTranslations(csvFile, settings, getCSVOptions(flags, settings));
+  
+  const sourceLanguage = getSourceLanguage(settings, languages);
+  const context = {
+    translations,
+    languages,
+    sourceLanguage,
+    keys: Object.keys(translations[sourceLanguage] || translations[languages[0]]).sort(),
+    version: readVersion(),
+    metadata,
+  };
+  
+  const warnings = runWriters(writers, context, outputDir);
+  
+  if (warnings.length > 0) {
+    console.warn('');
+    for (const { format, key, language, message } of warnings) {
+      console.warn(`  Warning: [${format}] [${language}] ${key}: ${message}`);
+    }
+  }
+  
+  console.log(`\nExport finished: ${writers.map(writer => writer.name).join(', ')} -> ${outputDir}`);
+}
+
+// Check if this module is being run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export {
+  runWriters
+};
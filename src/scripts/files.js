@@ -0,0 +1,120 @@
+/**
+ * File helpers shared by the generation scripts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Set by the server's editor (see edit.js) when it runs the generation scripts: every file
+// they write is backed up to this folder first, so a failed edit can put back exactly those files
+const BACKUP_DIR_VARIABLE = 'TRANSLATION_BACKUP_DIR';
+
+// One line per file: { file, backup } where backup is null for files that didn't exist
+const JOURNAL_FILE = 'journal.jsonl';
+
+// Files this process (or a script before it) already backed up, the first backup is the one we keep
+let backedUp = null;
+
+/**
+ * Read the list of backed up files.
+ * 
+ * @param {string} backupDir - Backup folder
+ * @returns {Array<Object>} { file, backup } in the order they were backed up
+ */
+function readBackupJournal(backupDir) {
+  const journalPath = path.join(backupDir, JOURNAL_FILE);
+  
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+  
+  return fs.readFileSync(journalPath, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Back up a file before it's written, when TRANSLATION_BACKUP_DIR is set.
+ * 
+ * @param {string} filePath - File that's about to be written
+ */
+function backUpFile(filePath) {
+  const backupDir = process.env[BACKUP_DIR_VARIABLE];
+  
+  if (!backupDir) {
+    return;
+  }
+  
+  if (backedUp === null) {
+    backedUp = new Set(readBackupJournal(backupDir).map(entry => entry.file));
+  }
+  
+  const file = path.resolve(filePath);
+  if (backedUp.has(file)) {
+    return;
+  }
+  
+  const backup = fs.existsSync(file) ? `${backedUp.size}.bak` : null;
+  if (backup) {
+    fs.copyFileSync(file, path.join(backupDir, backup));
+  }
+  
+  fs.appendFileSync(path.join(backupDir, JOURNAL_FILE), `${JSON.stringify({ file, backup })}\n`);
+  backedUp.add(file);
+}
+
+/**
+ * Write a file atomically.
+ * The content goes to a temporary file next to the target first and is then renamed
+ * over it, so anyone reading the file (like the API server) never sees it half written.
+ * 
+ * @param {string} filePath - Path to the output file
+ * @param {string|Buffer} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  
+  backUpFile(filePath);
+  
+  try {
+    fs.writeFileSync(tempPath, content, 'utf-8');
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Put back the files backed up in a folder, the last one written first.
+ * Files that didn't exist before are removed, and so is their folder if that's empty now
+ * (like the snapshot folder of a version that was never published).
+ * 
+ * @param {string} backupDir - Backup folder
+ * @returns {Array<string>} Files that were put back or removed
+ */
+function restoreBackup(backupDir) {
+  const entries = readBackupJournal(backupDir).reverse();
+  
+  for (const { file, backup } of entries) {
+    if (backup) {
+      writeFileAtomic(file, fs.readFileSync(path.join(backupDir, backup)));
+      continue;
+    }
+    
+    fs.rmSync(file, { force: true });
+    try {
+      fs.rmdirSync(path.dirname(file));
+    } catch (error) {
+      // Not empty, it was there before
+    }
+  }
+  
+  return entries.map(entry => entry.file);
+}
+
+export {
+  BACKUP_DIR_VARIABLE,
+  writeFileAtomic,
+  restoreBackup
+};
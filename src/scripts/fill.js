@@ -0,0 +1,311 @@
+/**
+ * Machine-translation pre-fill for empty cells.
+ * Finds the keys a language has no translation for yet, sends their source text in batches
+ * through a provider (see providers/index.js) and writes what comes back into the CSV,
+ * flagged in the @machine column so reviewers can find it.
+ * 
+ * Usage:
+ *   npm run translate:fill [-- path/to/translations.csv] [--lang=th[,de]] [--provider=memory|http|./my-provider.js]
+ *     [--source=en] [--batch-size=50] [--memory=path/to/memory.json] [--url=<url>] [--dry-run]
+ * 
+ * Defaults come from "fill" in settings.json:
+ * 
+ *   "fill": { "provider": "http", "languages": ["th"], "batchSize": 50, "http": { "url": "..." } }
+ * 
+ * Placeholders and HTML tags are protected (see placeholders.js); messages with plural or
+ * select arguments are skipped. If the provider fails halfway, what was translated so far
+ * is still written and the script exits with code 1.
+ */
+
+import { pathToFileURL } from 'url';
+import {
+  readAllTranslations,
+  isValidLanguageName,
+  readSettings,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions
+} from './translate.js';
+import { loadDocuments, getRowKey, setTranslation, saveDocuments } from './edit.js';
+import { getMachineLanguages } from './metadata.js';
+import { protectPlaceholders, restorePlaceholders, hasTranslatableText } from './placeholders.js';
+import { loadProvider } from './providers/index.js';
+import { getSourceLanguage } from '../lib/coverage.js';
+
+const DEFAULT_PROVIDER = 'memory';
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * Find the machine-translated cells of the CSV files.
+ * 
+ * @param {Array<Object>} documents - Documents from loadDocuments
+ * @returns {Object} { key: Array<string> } machine-translated languages per key
+ */
+function getMachineTranslated(documents) {
+  const flagged = {};
+  
+  for (const document of documents) {
+    document.rows.slice(1).forEach(row => {
+      const key = getRowKey(document, row);
+      if (key) {
+        flagged[key] = getMachineLanguages(document.rows[0], row);
+      }
+    });
+  }
+  
+  return flagged;
+}
+
+/**
+ * Collect the reviewed translations of the CSV (filled in and not machine-translated),
+ * for providers that want to reuse them.
+ * 
+ * @param {Object} translations - Translations by language
+ * @param {string} sourceLanguage - Source language
+ * @param {Array<string>} targetLanguages - Languages to fill
+ * @param {Object} flagged - Result of getMachineTranslated
+ * @returns {Object} { source: { target: { text: translation } } }
+ */
+function collectEntries(translations, sourceLanguage, targetLanguages, flagged) {
+  const entries = { [sourceLanguage]: {} };
+  
+  for (const langName of targetLanguages) {
+    const pairs = {};
+    
+    for (const [key, text] of Object.entries(translations[sourceLanguage])) {
+      const translation = (translations[langName] || {})[key];
+      if (text && translation && !(flagged[key] || []).includes(langName)) {
+        pairs[text] = translation;
+      }
+    }
+    
+    entries[sourceLanguage][langName] = pairs;
+  }
+  
+  return entries;
+}
+
+/**
+ * Find the empty cells of a language and protect their source text.
+ * 
+ * @param {Object} translations - Translations by language
+ * @param {string} sourceLanguage - Source language
+ * @param {string} langName - Language to fill
+ * @returns {Object} { pending: Array<{ key, text, placeholders }>, copied: Array<{ key, value }>,
+ *   skipped: Array<{ key, reason }> }
+ *   copied are messages with nothing to translate (like "{count}"), they get the source as it is
+ */
+function findEmptyCells(translations, sourceLanguage, langName) {
+  const result = { pending: [], copied: [], skipped: [] };
+  
+  for (const [key, text] of Object.entries(translations[sourceLanguage])) {
+    if (!text || (translations[langName] || {})[key]) {
+      continue;
+    }
+    
+    const protectedText = protectPlaceholders(text);
+    
+    if (protectedText === null) {
+      result.skipped.push({ key, reason: 'plural/select or invalid ICU message' });
+    } else if (!hasTranslatableText(protectedText.text)) {
+      result.copied.push({ key, value: text });
+    } else {
+      result.pending.push({ key, ...protectedText });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Send the pending cells of a language through the provider, batch by batch.
+ * 
+ * @param {Object} provider - Provider from create()
+ * @param {Array<Object>} pending - Pending cells from findEmptyCells
+ * @param {Object} options - { source, target, batchSize }
+ * @returns {Promise<Object>} { filled: Array<{ key, value }>, unmatched: Array<string>,
+ *   rejected: Array<{ key, reason }>, error: Error|null }
+ *   error is set when the provider failed, the cells after it weren't tried
+ */
+async function translateCells(provider, pending, { source, target, batchSize }) {
+  const result = { filled: [], unmatched: [], rejected: [], error: null };
+  
+  for (let start = 0; start < pending.length; start += batchSize) {
+    const batch = pending.slice(start, start + batchSize);
+    let translated;
+    
+    try {
+      translated = await provider.translate(batch.map(cell => cell.text), { source, target });
+      
+      if (!Array.isArray(translated) || translated.length !== batch.length) {
+        throw new Error(`expected ${batch.length} translations, got ${Array.isArray(translated) ? translated.length : typeof translated}`);
+      }
+    } catch (error) {
+      result.error = error;
+      return result;
+    }
+    
+    batch.forEach((cell, index) => {
+      const translation = translated[index];
+      
+      if (typeof translation !== 'string' || !translation.trim()) {
+        result.unmatched.push(cell.key);
+        return;
+      }
+      
+      try {
+        result.filled.push({ key: cell.key, value: restorePlaceholders(translation.trim(), cell.placeholders) });
+      } catch (error) {
+        result.rejected.push({ key: cell.key, reason: error.message });
+      }
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Print what a fill did for one language.
+ * 
+ * @param {string} langName - Language
+ * @param {Object} result - { filled, unmatched, rejected, skipped }
+ * @param {boolean} dryRun - Print the translations too
+ */
+function printFillReport(langName, result, dryRun) {
+  console.log(`\n${langName}: ${result.filled.length} filled, ${result.unmatched.length} without a translation, ` +
+    `${result.skipped.length} skipped, ${result.rejected.length} rejected`);
+  
+  if (dryRun) {
+    for (const { key, value } of result.filled) {
+      console.log(`  + ${key}: ${value}`);
+    }
+  }
+  
+  for (const { key, reason } of result.skipped) {
+    console.log(`  Skipped ${key}: ${reason}`);
+  }
+  
+  for (const { key, reason } of result.rejected) {
+    console.log(`  Rejected ${key}: ${reason}`);
+  }
+}
+
+/**
+ * Main function to fill the empty cells.
+ */
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const csvFile = resolveCSVPath(positional);
+  const settings = readSettings();
+  const csvOptions = getCSVOptions(flags, settings);
+  const config = settings.fill || {};
+  const dryRun = flags['dry-run'] === true;
+  
+  console.log(`Reading translations from: ${csvFile}`);
+  
+  const { translations, languages } = readAllTranslations(csvFile, settings, csvOptions);
+  const documents = loadDocuments(csvFile, settings, csvOptions);
+  
+  const sourceLanguage = typeof flags.source === 'string' ? flags.source : (config.source || getSourceLanguage(settings, languages));
+  
+  if (!languages.includes(sourceLanguage)) {
+    console.error(`Error: Source language '${sourceLanguage}' is not in the CSV file.`);
+    process.exit(1);
+  }
+  
+  const targetLanguages = typeof flags.lang === 'string'
+    ? flags.lang.split(',').map(lang => lang.trim()).filter(Boolean)
+    : (config.languages || languages.filter(lang => lang !== sourceLanguage));
+  
+  for (const langName of targetLanguages) {
+    if (!isValidLanguageName(langName) || langName === sourceLanguage) {
+      console.error(`Error: Can't fill '${langName}'. Language names must contain only letters, numbers, underscores, and hyphens, and can't be the source language.`);
+      process.exit(1);
+    }
+  }
+  
+  const batchSize = Number(typeof flags['batch-size'] === 'string' ? flags['batch-size'] : (config.batchSize || DEFAULT_BATCH_SIZE));
+  
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.error('Error: --batch-size must be a positive whole number.');
+    process.exit(1);
+  }
+  
+  const providerName = typeof flags.provider === 'string' ? flags.provider : (config.provider || DEFAULT_PROVIDER);
+  const providerConfig = { ...(config[providerName] || {}) };
+  
+  if (typeof flags.url === 'string') {
+    providerConfig.url = flags.url;
+  }
+  if (typeof flags.memory === 'string') {
+    providerConfig.file = flags.memory;
+  }
+  
+  const flagged = getMachineTranslated(documents);
+  let provider;
+  
+  try {
+    const definition = await loadProvider(providerName);
+    provider = await definition.create(providerConfig, {
+      entries: collectEntries(translations, sourceLanguage, targetLanguages, flagged),
+    });
+    console.log(`Filling ${targetLanguages.join(', ')} from '${sourceLanguage}' with the ${definition.name} provider`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  let total = 0;
+  let failure = null;
+  
+  for (const langName of targetLanguages) {
+    const { pending, copied, skipped } = findEmptyCells(translations, sourceLanguage, langName);
+    const result = await translateCells(provider, pending, { source: sourceLanguage, target: langName, batchSize });
+    
+    result.filled.unshift(...copied);
+    result.skipped = skipped;
+    
+    for (const { key, value } of result.filled) {
+      setTranslation(documents, key, langName, value, { machine: true });
+    }
+    
+    total += result.filled.length;
+    printFillReport(langName, result, dryRun);
+    
+    if (result.error) {
+      failure = { langName, error: result.error };
+      break;
+    }
+  }
+  
+  if (dryRun) {
+    console.log('\nDry run, the CSV file was not changed.');
+  } else if (total > 0) {
+    saveDocuments(documents);
+    console.log(`\nFilled ${total} cell(s), flagged in the @machine column for review.`);
+    console.log('Run "npm run translate" to regenerate the translation files.');
+  } else {
+    console.log('\nNothing to fill, the CSV file was not changed.');
+  }
+  
+  if (failure) {
+    console.error(`\nError: The provider failed while filling '${failure.langName}': ${failure.error.message}`);
+    console.error(total > 0 && !dryRun ? 'The cells filled before that were saved, run the command again to continue.' : 'Nothing was filled.');
+    process.exit(1);
+  }
+}
+
+// Check if this module is being run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export {
+  getMachineTranslated,
+  collectEntries,
+  findEmptyCells,
+  translateCells
+};
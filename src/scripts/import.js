@@ -0,0 +1,254 @@
+/**
+ * Import script that reads translations for one language from another format
+ * (gettext PO, XLIFF, Flutter ARB, flat or nested JSON) and merges them into
+ * the language's column of the CSV file.
+ * 
+ * Usage:
+ *   npm run translate:import -- path/to/de.po [--lang=de] [--format=po] [--csv=path/to/translations.csv]
+ *     [--overwrite] [--add-keys] [--dry-run]
+ * 
+ * Existing non-empty cells are never changed unless --overwrite is passed, the
+ * differences are reported as conflicts instead. Keys that aren't in the CSV are
+ * skipped unless --add-keys is passed.
+ * 
+ * Keys are matched including their namespace ("auth.login.title"), like the export writes them,
+ * so files exported from a namespace CSV can be imported back into it with --csv.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  readTranslationsFromCSV,
+  isValidLanguageName,
+  sortCSVFile,
+  getNamespaceFiles,
+  readSettings,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions
+} from './translate.js';
+import { readCSVFile, writeCSVFile } from './csv.js';
+import { getReader } from './readers/index.js';
+import { KEY_SEPARATOR } from '../lib/keys.js';
+import { setMachineTranslated } from './metadata.js';
+
+/**
+ * Merge imported translations into the CSV rows for one language.
+ * The rows are changed in place. A new column is added when the language isn't
+ * in the header yet, and the new cells of every row are filled with ''.
+ * 
+ * @param {Array<Array<string>>} rows - CSV rows including the header row
+ * @param {string} langName - Language column to merge into
+ * @param {Object} entries - Imported translations: { key: value }
+ * @param {Object} options - Merge options
+ * @param {boolean} options.overwrite - Replace existing non-empty values that differ
+ * @param {boolean} options.addKeys - Add rows for keys that aren't in the CSV
+ * @param {string} options.namespace - Namespace of the whole CSV file (for namespace CSV files)
+ * @returns {Object} { added: Array<string>, updated: Array<string>, unchanged: Array<string>,
+ *   newKeys: Array<string>, unknownKeys: Array<string>, conflicts: Array<Object>, columnAdded: boolean }
+ *   conflicts are { key, row, current, imported }
+ */
+function mergeIntoRows(rows, langName, entries, options = {}) {
+  const header = rows[0];
+  const result = { added: [], updated: [], unchanged: [], newKeys: [], unknownKeys: [], conflicts: [], columnAdded: false };
+  
+  let column = header.findIndex((name, index) => index > 0 && name.trim() === langName);
+  
+  if (column === -1) {
+    column = header.length;
+    header.push(langName);
+    result.columnAdded = true;
+  }
+  
+  // Make every row as wide as the header so the new column lines up
+  for (const row of rows) {
+    while (row.length < header.length) {
+      row.push('');
+    }
+  }
+  
+  // Keys include the namespace (from the namespace column or the whole file), like in the generated files
+  const namespaceColumn = header.findIndex((name, index) => index > 0 && name.trim().toLowerCase() === 'namespace');
+  const prefix = options.namespace ? `${options.namespace}${KEY_SEPARATOR}` : '';
+  const rowIndexes = {};
+  rows.forEach((row, index) => {
+    if (index > 0 && row[0] && row[0].trim()) {
+      const namespace = (namespaceColumn > 0 && row[namespaceColumn].trim()) || options.namespace;
+      rowIndexes[namespace ? `${namespace}${KEY_SEPARATOR}${row[0].trim()}` : row[0].trim()] = index;
+    }
+  });
+  
+  for (const [key, value] of Object.entries(entries)) {
+    // An empty imported value means "not translated", it never clears a cell
+    if (!value.trim()) {
+      continue;
+    }
+    
+    if (!(key in rowIndexes)) {
+      if (!options.addKeys || !key.startsWith(prefix)) {
+        result.unknownKeys.push(key);
+        continue;
+      }
+      
+      const row = new Array(header.length).fill('');
+      row[0] = key.slice(prefix.length);
+      row[column] = value;
+      rowIndexes[key] = rows.push(row) - 1;
+      result.newKeys.push(key);
+      continue;
+    }
+    
+    const row = rows[rowIndexes[key]];
+    const current = row[column];
+    
+    if (!current.trim()) {
+      row[column] = value;
+      setMachineTranslated(rows, rowIndexes[key], langName, false);
+      result.added.push(key);
+    } else if (current.trim() === value.trim()) {
+      result.unchanged.push(key);
+    } else {
+      result.conflicts.push({ key, row: rowIndexes[key] + 1, current, imported: value });
+      
+      if (options.overwrite) {
+        row[column] = value;
+        setMachineTranslated(rows, rowIndexes[key], langName, false);
+        result.updated.push(key);
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Print what an import changed (or would change) and the conflicts it found.
+ * 
+ * @param {Object} result - Result of mergeIntoRows
+ * @param {string} langName - Imported language
+ * @param {boolean} overwrite - Whether conflicting values were overwritten
+ */
+function printImportReport(result, langName, overwrite) {
+  console.log(`\nImport into '${langName}'${result.columnAdded ? ' (new column)' : ''}:`);
+  console.log(`  - ${result.added.length} filled, ${result.updated.length} overwritten, `
+    + `${result.unchanged.length} unchanged, ${result.newKeys.length} new keys`);
+  
+  if (result.unknownKeys.length > 0) {
+    console.warn(`  Warning: ${result.unknownKeys.length} key(s) not in the CSV were skipped (use --add-keys to add them): `
+      + result.unknownKeys.join(', '));
+  }
+  
+  if (result.conflicts.length > 0) {
+    console.warn(`\n${result.conflicts.length} conflict(s) with existing values`
+      + (overwrite ? ' (overwritten):' : ' (kept, use --overwrite to replace them):'));
+    
+    for (const conflict of result.conflicts) {
+      console.warn(`  Conflict: row ${conflict.row} ${conflict.key}`);
+      console.warn(`      csv:    ${JSON.stringify(conflict.current)}`);
+      console.warn(`      import: ${JSON.stringify(conflict.imported)}`);
+    }
+  }
+}
+
+/**
+ * Main function to import a translated file into the CSV.
+ */
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  
+  if (positional.length === 0) {
+    console.error('Error: Please pass the file to import, e.g. npm run translate:import -- de.po --lang=de');
+    process.exit(1);
+  }
+  
+  const inputFile = path.resolve(process.cwd(), positional[0]);
+  const csvFile = resolveCSVPath(typeof flags.csv === 'string' ? [flags.csv] : []);
+  const settings = readSettings();
+  const csvOptions = getCSVOptions(flags, settings);
+  
+  let reader;
+  let imported;
+  const warnings = [];
+  
+  try {
+    reader = getReader(inputFile, typeof flags.format === 'string' ? flags.format : undefined);
+    const content = fs.readFileSync(inputFile, 'utf-8').replace(/^\uFEFF/, '');
+    imported = reader.read(content, (key, message) => warnings.push({ key, message }));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.error(`Error: File '${inputFile}' not found.`);
+    } else {
+      console.error(`Error: Could not read '${inputFile}': ${error.message}`);
+    }
+    process.exit(1);
+  }
+  
+  const langName = typeof flags.lang === 'string' ? flags.lang.trim() : imported.language;
+  
+  if (!langName) {
+    console.error(`Error: '${path.basename(inputFile)}' doesn't say which language it is, please pass --lang=<language>`);
+    process.exit(1);
+  }
+  
+  if (!isValidLanguageName(langName)) {
+    console.error(`Error: Invalid language name '${langName}'.`);
+    console.error('Language names must contain only letters, numbers, underscores, and hyphens.');
+    process.exit(1);
+  }
+  
+  if (imported.language && imported.language !== langName) {
+    console.warn(`Warning: '${path.basename(inputFile)}' declares language '${imported.language}', importing it as '${langName}'`);
+  }
+  
+  console.log(`Importing ${reader.name} file: ${inputFile}`);
+  console.log(`Reading translations from: ${csvFile}`);
+  
+  // Make sure the CSV is valid (no duplicate keys, valid language names) before we change it
+  readTranslationsFromCSV(csvFile, csvOptions);
+  const { rows, format } = readCSVFile(csvFile, csvOptions);
+  
+  const overwrite = flags.overwrite === true;
+  const namespaceFile = getNamespaceFiles(settings).find(({ file }) => path.resolve(file) === csvFile);
+  const result = mergeIntoRows(rows, langName, imported.entries, {
+    overwrite,
+    addKeys: flags['add-keys'] === true,
+    namespace: namespaceFile ? namespaceFile.namespace : undefined,
+  });
+  
+  for (const { key, message } of warnings) {
+    console.warn(`  Warning: ${key}: ${message}`);
+  }
+  
+  printImportReport(result, langName, overwrite);
+  
+  if (flags['dry-run'] === true) {
+    console.log('\nDry run, the CSV file was not changed.');
+    return;
+  }
+  
+  const changed = result.added.length + result.updated.length + result.newKeys.length > 0 || result.columnAdded;
+  
+  if (!changed) {
+    console.log('\nNothing to import, the CSV file was not changed.');
+    return;
+  }
+  
+  writeCSVFile(csvFile, rows, format);
+  console.log(`\nUpdated: ${csvFile}`);
+  
+  // Keep the master file canonical (sorted by key, same format)
+  sortCSVFile(csvFile, csvOptions);
+  
+  console.log('\nRun "npm run translate" to regenerate the translation files.');
+}
+
+// Check if this module is being run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export {
+  mergeIntoRows,
+  printImportReport
+};
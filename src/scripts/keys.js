@@ -0,0 +1,182 @@
+/**
+ * Manages the API keys of the translation server (keys.json in the project root).
+ * Only a hash of every key is stored, the key itself is printed once when it's created.
+ * 
+ * Usage:
+ *   npm run keys -- create --name=ci --role=reader
+ *   npm run keys -- create --name=anna --role=translator --languages=de,fr
+ *   npm run keys -- list
+ *   npm run keys -- revoke --name=ci
+ * 
+ * Roles: reader (read endpoints), translator (also PATCH translations of its languages,
+ * --languages=* for all of them) and admin (everything). Pass --file=path/to/keys.json
+ * to use another file (the server reads API_KEYS_FILE).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs, isValidLanguageName } from './translate.js';
+import { writeFileAtomic } from './files.js';
+import { ROLES, hashApiKey, generateApiKey } from '../lib/auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const KEYS_FILE = path.join(__dirname, '..', '..', 'keys.json');
+
+/**
+ * Read the key entries from the keys file ([] if it doesn't exist yet).
+ * 
+ * @param {string} keysFile - Path to keys.json
+ * @returns {Array<Object>} Entries { name, hash, role, languages, createdAt }
+ */
+function readKeys(keysFile) {
+  if (!fs.existsSync(keysFile)) {
+    return [];
+  }
+  
+  const data = JSON.parse(fs.readFileSync(keysFile, 'utf-8'));
+  return Array.isArray(data.keys) ? data.keys : [];
+}
+
+/**
+ * Write the key entries to the keys file.
+ * 
+ * @param {string} keysFile - Path to keys.json
+ * @param {Array<Object>} entries - Key entries
+ */
+function writeKeys(keysFile, entries) {
+  writeFileAtomic(keysFile, JSON.stringify({ keys: entries }, null, 2) + '\n');
+  
+  // The hashes aren't secret, but there's no reason for anyone else to read them either
+  fs.chmodSync(keysFile, 0o600);
+}
+
+/**
+ * Create a new key entry. The key itself is only given back here, the entry just has its hash.
+ * 
+ * @param {Array<Object>} entries - Existing key entries
+ * @param {Object} options - { name, role, languages }
+ * @returns {Object} { key, entry }
+ */
+function createKey(entries, { name, role, languages }) {
+  if (!name || !/^[\w.@-]+$/.test(name)) {
+    throw new Error('Please pass a --name (letters, numbers, dots, @, underscores and hyphens)');
+  }
+  
+  if (entries.some((entry) => entry.name === name)) {
+    throw new Error(`There already is a key named '${name}', revoke it first`);
+  }
+  
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role '${role}', use one of: ${ROLES.join(', ')}`);
+  }
+  
+  const entry = { name, role, hash: '', createdAt: new Date().toISOString() };
+  
+  if (role === 'translator') {
+    if (!languages || languages.length === 0) {
+      throw new Error('Translators need --languages=<lang>,<lang> (or --languages=* for all of them)');
+    }
+    
+    const invalid = languages.filter((lang) => lang !== '*' && !isValidLanguageName(lang));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid language name(s): ${invalid.join(', ')}`);
+    }
+    
+    entry.languages = languages;
+  }
+  
+  const key = generateApiKey();
+  entry.hash = hashApiKey(key);
+  
+  return { key, entry };
+}
+
+/**
+ * Main function to manage the API keys.
+ */
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const command = positional[0];
+  const keysFile = typeof flags.file === 'string' ? path.resolve(process.cwd(), flags.file) : KEYS_FILE;
+  
+  let entries;
+  try {
+    entries = readKeys(keysFile);
+  } catch (error) {
+    console.error(`Error: Could not read '${keysFile}': ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (command === 'create') {
+    const languages = typeof flags.languages === 'string'
+      ? flags.languages.split(',').map((lang) => lang.trim()).filter(Boolean)
+      : [];
+    
+    let created;
+    try {
+      created = createKey(entries, {
+        name: typeof flags.name === 'string' ? flags.name.trim() : '',
+        role: typeof flags.role === 'string' ? flags.role.trim() : 'reader',
+        languages,
+      });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    
+    writeKeys(keysFile, [...entries, created.entry]);
+    
+    const { entry } = created;
+    console.log(`Created ${entry.role} key '${entry.name}'${entry.languages ? ` for ${entry.languages.join(', ')}` : ''} in ${keysFile}`);
+    console.log('\nThis is the only time the key is shown, store it somewhere safe:');
+    console.log(`\n  ${created.key}\n`);
+    return;
+  }
+  
+  if (command === 'list') {
+    if (entries.length === 0) {
+      console.log(`No API keys in ${keysFile}`);
+      return;
+    }
+    
+    console.log(`API keys in ${keysFile}:`);
+    for (const entry of entries) {
+      const languages = entry.languages ? ` (${entry.languages.join(', ')})` : '';
+      console.log(`  - ${entry.name}: ${entry.role}${languages}, created ${entry.createdAt || 'unknown'}`);
+    }
+    return;
+  }
+  
+  if (command === 'revoke') {
+    const name = typeof flags.name === 'string' ? flags.name.trim() : '';
+    const remaining = entries.filter((entry) => entry.name !== name);
+    
+    if (remaining.length === entries.length) {
+      console.error(`Error: There is no key named '${name}' in ${keysFile}`);
+      process.exit(1);
+    }
+    
+    writeKeys(keysFile, remaining);
+    console.log(`Revoked key '${name}'`);
+    return;
+  }
+  
+  console.error('Error: Please pass a command: create, list or revoke');
+  console.error('  npm run keys -- create --name=<name> --role=<reader|translator|admin> [--languages=de,fr]');
+  process.exit(1);
+}
+
+// Check if this module is being run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export {
+  KEYS_FILE,
+  readKeys,
+  writeKeys,
+  createKey
+};
@@ -0,0 +1,357 @@
+/**
+ * Translation memory analysis of the CSV.
+ * Groups keys whose source texts are identical or nearly identical ("Close" / "Close"
+ * / "Close window"), flags identical source texts that are translated differently,
+ * and suggests translations for empty cells from the most similar translated key.
+ * 
+ * Usage:
+ *   npm run translate:memory [-- path/to/translations.csv] [--lang=de[,fr]] [--threshold=0.85]
+ *     [--min-score=0.7] [--tmx[=path/to/file.tmx]] [--strict]
+ * 
+ * Similarity is 1 - (edit distance / length of the longer text), ignoring case and runs of
+ * whitespace, so 1 is identical and 0 has nothing in common. --threshold is how similar
+ * source texts must be to end up in the same group, --min-score how similar a source text
+ * must be to suggest its translation. Both can also be set in the "memory" section of
+ * settings.json: { "threshold": 0.85, "minScore": 0.7 }
+ * 
+ * With --tmx the approved translations are also written as a TMX file (see writers/tmx.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  readAllTranslations,
+  readSettings,
+  readVersion,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions
+} from './translate.js';
+import { writeFileAtomic } from './files.js';
+import { generateTMX } from './writers/tmx.js';
+import { getSourceLanguage } from '../lib/coverage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const DEFAULT_THRESHOLD = 0.85;
+const DEFAULT_MIN_SCORE = 0.7;
+
+/**
+ * Normalize a text for comparing (trimmed, runs of whitespace count as one space).
+ */
+function normalizeText(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Edit distance (insertions, deletions and substitutions) between two strings.
+ * 
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * How similar two texts are, ignoring case and whitespace differences.
+ * 
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @param {number} [minimum] - Texts that can't reach this score are given 0 without comparing them
+ * @returns {number} Similarity from 0 to 1, rounded to two decimals
+ */
+function similarity(a, b, minimum = 0) {
+  const left = normalizeText(a).toLowerCase();
+  const right = normalizeText(b).toLowerCase();
+  const longest = Math.max(left.length, right.length);
+  
+  if (longest === 0) {
+    return 1;
+  }
+  
+  // The edit distance is at least the difference in length, so we can skip hopeless pairs
+  if (1 - Math.abs(left.length - right.length) / longest < minimum) {
+    return 0;
+  }
+  
+  return Math.round((1 - levenshtein(left, right) / longest) * 100) / 100;
+}
+
+/**
+ * Group the keys whose source texts are identical or similar enough.
+ * Groups are transitive: if A is like B and B is like C, all three end up together.
+ * 
+ * @param {Object} sourceTexts - Source text per key (empty ones are skipped)
+ * @param {number} threshold - Minimum similarity
+ * @returns {Array<Object>} Clusters of two or more keys, sorted by their first key:
+ *   { keys, texts: { text: [keys] }, score } where score is the lowest similarity that
+ *   linked two texts of the cluster (1 if they're all identical)
+ */
+function findClusters(sourceTexts, threshold) {
+  const byText = new Map();
+  
+  for (const [key, text] of Object.entries(sourceTexts)) {
+    if (text) {
+      const normalized = normalizeText(text);
+      byText.set(normalized, [...(byText.get(normalized) || []), key]);
+    }
+  }
+  
+  const texts = [...byText.keys()];
+  const parent = texts.map((text, index) => index);
+  const scores = texts.map(() => 1);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  
+  for (let i = 0; i < texts.length; i++) {
+    for (let j = i + 1; j < texts.length; j++) {
+      const score = similarity(texts[i], texts[j], threshold);
+      
+      if (score >= threshold) {
+        const [rootI, rootJ] = [find(i), find(j)];
+        parent[rootJ] = rootI;
+        scores[rootI] = Math.min(scores[rootI], scores[rootJ], score);
+      }
+    }
+  }
+  
+  const groups = new Map();
+  texts.forEach((text, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), text]);
+  });
+  
+  return [...groups.entries()]
+    .map(([root, members]) => ({
+      keys: members.flatMap(text => byText.get(text)).sort(),
+      texts: Object.fromEntries(members.map(text => [text, byText.get(text).sort()])),
+      score: scores[root],
+    }))
+    .filter(cluster => cluster.keys.length > 1)
+    .sort((a, b) => a.keys[0].localeCompare(b.keys[0]));
+}
+
+/**
+ * Find identical source texts that are translated differently.
+ * Similar but not identical texts may well need different translations, so only
+ * identical ones are compared.
+ * 
+ * @param {Object} cluster - Cluster from findClusters
+ * @param {Object} translations - Translations by language
+ * @param {Array<string>} languages - Languages to check
+ * @returns {Array<Object>} { text, language, variants: { translation: [keys] } }
+ */
+function findInconsistencies(cluster, translations, languages) {
+  const inconsistencies = [];
+  
+  for (const [text, keys] of Object.entries(cluster.texts)) {
+    if (keys.length < 2) {
+      continue;
+    }
+    
+    for (const langName of languages) {
+      const variants = {};
+      
+      for (const key of keys) {
+        const translation = (translations[langName] || {})[key];
+        if (translation) {
+          (variants[translation] = variants[translation] || []).push(key);
+        }
+      }
+      
+      if (Object.keys(variants).length > 1) {
+        inconsistencies.push({ text, language: langName, variants });
+      }
+    }
+  }
+  
+  return inconsistencies;
+}
+
+/**
+ * Suggest translations for empty cells: the translation of the key with the most similar
+ * source text. Machine translations aren't suggested, they haven't been reviewed yet.
+ * 
+ * @param {Object} translations - Translations by language
+ * @param {string} sourceLanguage - Source language
+ * @param {Array<string>} languages - Languages to suggest for
+ * @param {Object} metadata - Metadata per key (for @machine)
+ * @param {number} minScore - Minimum similarity
+ * @returns {Array<Object>} { key, language, suggestion, from, score }, best score first
+ */
+function suggestTranslations(translations, sourceLanguage, languages, metadata, minScore) {
+  const source = translations[sourceLanguage];
+  const suggestions = [];
+  
+  for (const langName of languages) {
+    const target = translations[langName] || {};
+    const isReviewed = key => target[key] && !((metadata[key] || {}).machineTranslated || []).includes(langName);
+    const candidates = Object.keys(source).filter(key => source[key] && isReviewed(key));
+    
+    for (const key of Object.keys(source)) {
+      if (!source[key] || target[key]) {
+        continue;
+      }
+      
+      let best = null;
+      for (const candidate of candidates) {
+        const score = similarity(source[key], source[candidate], minScore);
+        if (score >= minScore && (!best || score > best.score)) {
+          best = { key, language: langName, suggestion: target[candidate], from: candidate, score };
+        }
+      }
+      
+      if (best) {
+        suggestions.push(best);
+      }
+    }
+  }
+  
+  return suggestions.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+}
+
+/**
+ * Print the analysis.
+ * 
+ * @param {Object} result - { clusters, suggestions } (clusters with their inconsistencies)
+ */
+function printMemoryReport({ clusters, suggestions }) {
+  const inconsistent = clusters.filter(cluster => cluster.inconsistencies.length > 0);
+  
+  console.log(`\n${clusters.length} group(s) of keys with identical or similar source texts` +
+    `${inconsistent.length > 0 ? `, ${inconsistent.length} translated inconsistently` : ''}:`);
+  
+  for (const cluster of clusters) {
+    const texts = Object.entries(cluster.texts).map(([text, keys]) => `"${text}" (${keys.join(', ')})`);
+    const kind = texts.length > 1 ? `similar (${cluster.score})` : 'identical';
+    console.log(`  - ${kind}: ${texts.join(', ')}`);
+    
+    for (const { text, language, variants } of cluster.inconsistencies) {
+      const described = Object.entries(variants).map(([translation, keys]) => `"${translation}" (${keys.join(', ')})`);
+      console.warn(`    Warning: [${language}] "${text}" is translated as ${described.join(', ')}`);
+    }
+  }
+  
+  if (suggestions.length > 0) {
+    console.log(`\n${suggestions.length} suggestion(s) for empty cells:`);
+    for (const { key, language, suggestion, from, score } of suggestions) {
+      console.log(`  - [${language}] ${key}: "${suggestion}" (from ${from}, ${score})`);
+    }
+  }
+}
+
+/**
+ * Main function to analyze the translation memory.
+ */
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const csvFile = resolveCSVPath(positional);
+  const settings = readSettings();
+  const csvOptions = getCSVOptions(flags, settings);
+  const memorySettings = settings.memory || {};
+  
+  const threshold = Number(typeof flags.threshold === 'string' ? flags.threshold : (memorySettings.threshold || DEFAULT_THRESHOLD));
+  const minScore = Number(typeof flags['min-score'] === 'string' ? flags['min-score'] : (memorySettings.minScore || DEFAULT_MIN_SCORE));
+  
+  if ([threshold, minScore].some(value => Number.isNaN(value) || value <= 0 || value > 1)) {
+    console.error('Error: --threshold and --min-score must be numbers between 0 and 1 (like 0.85).');
+    process.exit(1);
+  }
+  
+  console.log(`Reading translations from: ${csvFile}`);
+  
+  const { translations, languages, metadata } = readAllTranslations(csvFile, settings, csvOptions);
+  const sourceLanguage = getSourceLanguage(settings, languages);
+  const targetLanguages = typeof flags.lang === 'string'
+    ? flags.lang.split(',').map(lang => lang.trim()).filter(Boolean)
+    : languages.filter(lang => lang !== sourceLanguage);
+  
+  const unknown = targetLanguages.filter(lang => !languages.includes(lang));
+  if (unknown.length > 0) {
+    console.error(`Error: Language not in the CSV file: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+  
+  const clusters = findClusters(translations[sourceLanguage], threshold).map(cluster => ({
+    ...cluster,
+    inconsistencies: findInconsistencies(cluster, translations, targetLanguages),
+  }));
+  const suggestions = suggestTranslations(translations, sourceLanguage, targetLanguages, metadata, minScore);
+  
+  printMemoryReport({ clusters, suggestions });
+  
+  const reportDir = path.join(ROOT_DIR, 'translation', 'reports');
+  const reportPath = path.join(reportDir, 'memory.json');
+  try {
+    fs.mkdirSync(reportDir, { recursive: true });
+    writeFileAtomic(reportPath, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      sourceLanguage,
+      threshold,
+      minScore,
+      clusters,
+      suggestions,
+    }, null, 2));
+    console.log(`\nCreated: ${reportPath}`);
+  } catch (error) {
+    console.warn(`Warning: Could not write memory report: ${error.message}`);
+  }
+  
+  if (flags.tmx) {
+    const tmxPath = typeof flags.tmx === 'string'
+      ? path.resolve(process.cwd(), flags.tmx)
+      : path.join(ROOT_DIR, 'translation', 'export', 'tmx', 'translations.tmx');
+    const [{ content }] = generateTMX({
+      translations,
+      languages: [sourceLanguage, ...targetLanguages],
+      sourceLanguage,
+      keys: Object.keys(translations[sourceLanguage]).sort(),
+      version: readVersion(),
+      metadata,
+      warn: (key, language, message) => console.warn(`Warning: ${message}`),
+    });
+    
+    fs.mkdirSync(path.dirname(tmxPath), { recursive: true });
+    writeFileAtomic(tmxPath, content);
+    console.log(`Created: ${tmxPath}`);
+  }
+  
+  if (flags.strict === true && clusters.some(cluster => cluster.inconsistencies.length > 0)) {
+    console.error('\nError: Identical source texts are translated differently (strict mode).');
+    process.exit(1);
+  }
+}
+
+// Check if this module is being run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export {
+  normalizeText,
+  similarity,
+  findClusters,
+  findInconsistencies,
+  suggestTranslations
+};
@@ -0,0 +1,197 @@
+/**
+ * Metadata columns of the translation CSV.
+ * Header names that start with "@" hold information about a row instead of a language,
+ * so they are skipped when the languages are detected:
+ * 
+ * - @description: what the string is for, shown to translators (PO comments, XLIFF notes)
+ * - @maxLength: the most characters a translation may have (checked for every language)
+ * - @status: draft, review, approved or deprecated
+ * - @tags: comma-separated tags, e.g. "button,checkout"
+ * - @machine: the languages of the row that were filled in by `npm run translate:fill`
+ *   (comma-separated, e.g. "th,fr"). A language is taken off the list as soon as someone
+ *   edits or imports its translation, so the list is what still needs a review.
+ */
+
+// Header names starting with this are metadata, not languages
+const METADATA_PREFIX = '@';
+
+// Column with the machine-translated languages of a row
+const MACHINE_COLUMN = '@machine';
+
+const STATUSES = ['draft', 'review', 'approved', 'deprecated'];
+
+// Header names people use for metadata without the "@", which would otherwise become languages
+const METADATA_LOOKALIKES = ['description', 'notes', 'note', 'comment', 'comments', 'context', 'maxlength', 'status', 'tags'];
+
+/**
+ * Split a comma-separated cell into its trimmed, non-empty parts.
+ */
+function splitList(value) {
+  return value.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// Known metadata columns: the property they become and how their cells are read
+const METADATA_COLUMNS = {
+  '@description': {
+    property: 'description',
+    parse: value => value.trim(),
+  },
+  '@maxLength': {
+    property: 'maxLength',
+    parse: value => {
+      if (!/^\d+$/.test(value.trim()) || Number(value) < 1) {
+        throw new Error(`@maxLength must be a positive whole number, got '${value.trim()}'`);
+      }
+      return Number(value);
+    },
+  },
+  '@status': {
+    property: 'status',
+    parse: value => {
+      const status = value.trim().toLowerCase();
+      if (!STATUSES.includes(status)) {
+        throw new Error(`@status must be one of ${STATUSES.join(', ')}, got '${value.trim()}'`);
+      }
+      return status;
+    },
+  },
+  '@tags': {
+    property: 'tags',
+    parse: splitList,
+  },
+  [MACHINE_COLUMN]: {
+    property: 'machineTranslated',
+    parse: splitList,
+  },
+};
+
+/**
+ * Check if a header name is a metadata column.
+ * 
+ * @param {string} name - Header name
+ * @returns {boolean} True for "@..." columns
+ */
+function isMetadataColumn(name) {
+  return typeof name === 'string' && name.trim().startsWith(METADATA_PREFIX);
+}
+
+/**
+ * Get the known metadata column a header name stands for (the case of the name doesn't matter).
+ * 
+ * @param {string} name - Header name, e.g. '@MaxLength'
+ * @returns {string|null} Column name as in METADATA_COLUMNS, or null for unknown columns
+ */
+function getMetadataColumnName(name) {
+  const lower = name.trim().toLowerCase();
+  return Object.keys(METADATA_COLUMNS).find(column => column.toLowerCase() === lower) || null;
+}
+
+/**
+ * Read the metadata of a row. Empty cells are left out.
+ * 
+ * @param {Array<string>} row - CSV row
+ * @param {Object} columns - Column index per metadata column name (from getMetadataColumnName)
+ * @returns {Object} { description, maxLength, status, tags, machineTranslated } (only the ones that are set)
+ * @throws {Error} If a cell isn't valid for its column
+ */
+function readRowMetadata(row, columns) {
+  const metadata = {};
+  
+  for (const [name, index] of Object.entries(columns)) {
+    const value = index < row.length ? row[index] : '';
+    
+    if (!value.trim()) {
+      continue;
+    }
+    
+    const parsed = METADATA_COLUMNS[name].parse(value);
+    
+    if (!Array.isArray(parsed) || parsed.length > 0) {
+      metadata[METADATA_COLUMNS[name].property] = parsed;
+    }
+  }
+  
+  return metadata;
+}
+
+/**
+ * Find a metadata column in the header row.
+ * 
+ * @param {Array<string>} header - CSV header row
+ * @param {string} name - Column name, e.g. '@machine'
+ * @returns {number} Column index, -1 if there is none
+ */
+function findMetadataColumn(header, name) {
+  return header.findIndex((cell, index) => index > 0 && cell.trim().toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Get the machine-translated languages of a row.
+ * 
+ * @param {Array<string>} header - CSV header row
+ * @param {Array<string>} row - CSV row
+ * @returns {Array<string>} Language names
+ */
+function getMachineLanguages(header, row) {
+  const column = findMetadataColumn(header, MACHINE_COLUMN);
+  
+  if (column === -1) {
+    return [];
+  }
+  
+  return splitList(row[column] || '');
+}
+
+/**
+ * Flag (or unflag) the translation of a language in a row as machine-translated.
+ * The @machine column is added when a language is flagged and the CSV doesn't have it yet.
+ * 
+ * @param {Array<Array<string>>} rows - CSV rows including the header row (changed in place)
+ * @param {number} index - Index of the row in rows
+ * @param {string} langName - Language name
+ * @param {boolean} flagged - True to flag, false to take the flag off
+ * @returns {boolean} True if the rows changed
+ */
+function setMachineTranslated(rows, index, langName, flagged) {
+  const header = rows[0];
+  let column = findMetadataColumn(header, MACHINE_COLUMN);
+  
+  if (column === -1) {
+    if (!flagged) {
+      return false;
+    }
+    
+    column = header.length;
+    header.push(MACHINE_COLUMN);
+    for (const row of rows) {
+      while (row.length < header.length) {
+        row.push('');
+      }
+    }
+  }
+  
+  const row = rows[index];
+  const languages = getMachineLanguages(header, row);
+  const listed = languages.includes(langName);
+  
+  if (listed === flagged) {
+    return false;
+  }
+  
+  row[column] = (flagged ? [...languages, langName] : languages.filter(lang => lang !== langName)).join(',');
+  return true;
+}
+
+export {
+  METADATA_PREFIX,
+  MACHINE_COLUMN,
+  METADATA_COLUMNS,
+  METADATA_LOOKALIKES,
+  STATUSES,
+  isMetadataColumn,
+  getMetadataColumnName,
+  readRowMetadata,
+  findMetadataColumn,
+  getMachineLanguages,
+  setMachineTranslated
+};
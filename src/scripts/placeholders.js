@@ -0,0 +1,100 @@
+/**
+ * Placeholder protection for machine translation.
+ * Before a message goes to a provider, its {arguments} and HTML tags are swapped for
+ * numbered tokens ({0}, {1}, ...) that translation engines leave alone, and afterwards
+ * they are put back. A translation that lost, duplicated or invented a token is rejected,
+ * so a provider can never break the ICU syntax of a message.
+ * 
+ * Messages with plural or select arguments are not protected (they hold translatable text
+ * inside the braces), those are left for a translator.
+ */
+
+import { parseMessage, getMessageArguments } from '../lib/messageformat.js';
+
+// {name}, {count, number}, {when, date, short} and HTML tags like <b>, </b> and <br/>
+const PLACEHOLDER_PATTERN = /\{[^{}]*\}|<\/?[a-zA-Z][^<>]*>/g;
+
+const TOKEN_PATTERN = /\{(\d+)\}/g;
+
+/**
+ * Swap the placeholders of a message for numbered tokens.
+ * 
+ * @param {string} message - ICU message
+ * @returns {Object|null} { text, placeholders } where text has the tokens and placeholders[i]
+ *   is what {i} stands for, or null if the message can't be protected (invalid ICU, plural or select)
+ */
+function protectPlaceholders(message) {
+  let nodes;
+  try {
+    nodes = parseMessage(message);
+  } catch (error) {
+    return null;
+  }
+  
+  if (nodes.some(node => node.type === 'plural' || node.type === 'select')) {
+    return null;
+  }
+  
+  const placeholders = [];
+  const text = message.replace(PLACEHOLDER_PATTERN, placeholder => {
+    placeholders.push(placeholder);
+    return `{${placeholders.length - 1}}`;
+  });
+  
+  return { text, placeholders };
+}
+
+/**
+ * Put the placeholders back into a translated text.
+ * 
+ * @param {string} text - Translation with tokens
+ * @param {Array<string>} placeholders - Placeholders from protectPlaceholders
+ * @returns {string} Translation with the placeholders
+ * @throws {Error} If a token is missing, duplicated or unknown, or the result isn't valid ICU
+ */
+function restorePlaceholders(text, placeholders) {
+  const seen = new Set();
+  
+  const restored = text.replace(TOKEN_PATTERN, (token, index) => {
+    const number = Number(index);
+    
+    if (number >= placeholders.length) {
+      throw new Error(`unknown placeholder token ${token}`);
+    }
+    if (seen.has(number)) {
+      throw new Error(`placeholder ${placeholders[number]} appears more than once`);
+    }
+    
+    seen.add(number);
+    return placeholders[number];
+  });
+  
+  const missing = placeholders.filter((placeholder, index) => !seen.has(index));
+  if (missing.length > 0) {
+    throw new Error(`placeholder ${missing.join(', ')} got lost`);
+  }
+  
+  try {
+    getMessageArguments(restored);
+  } catch (error) {
+    throw new Error(`the translation isn't valid ICU MessageFormat: ${error.message}`);
+  }
+  
+  return restored;
+}
+
+/**
+ * Check if a protected text has anything left to translate (not only tokens, digits and punctuation).
+ * 
+ * @param {string} text - Text from protectPlaceholders
+ * @returns {boolean} True if there are letters outside the tokens
+ */
+function hasTranslatableText(text) {
+  return /\p{L}/u.test(text.replace(TOKEN_PATTERN, ''));
+}
+
+export {
+  protectPlaceholders,
+  restorePlaceholders,
+  hasTranslatableText
+};
@@ -0,0 +1,119 @@
+/**
+ * HTTP provider for a translation server with a LibreTranslate-compatible API,
+ * like a self-hosted LibreTranslate. Settings in settings.json under "fill.http":
+ * 
+ *   {
+ *     "url": "http://localhost:5000/translate",
+ *     "headers": { "X-Team": "web" },
+ *     "languages": { "zh_TW": "zh-Hant" },
+ *     "timeout": 30000
+ *   }
+ * 
+ * Every batch is one POST of { q: [texts], source, target, format: "text" }, answered with
+ * { translatedText: [translations] } (a { translations: [{ text }] } body works too).
+ * The API key, if the server needs one, comes from the TRANSLATION_PROVIDER_KEY environment
+ * variable and is sent as api_key, so it doesn't end up in settings.json.
+ */
+
+// How long one batch may take
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Get the translations out of a response body.
+ * 
+ * @param {Object|Array} body - Parsed response
+ * @returns {Array<string>|null} Translations, null if the body has none
+ */
+function readTranslations(body) {
+  if (Array.isArray(body)) {
+    return body.map(item => (typeof item === 'string' ? item : item && item.translatedText));
+  }
+  
+  if (body && Array.isArray(body.translatedText)) {
+    return body.translatedText;
+  }
+  
+  if (body && typeof body.translatedText === 'string') {
+    return [body.translatedText];
+  }
+  
+  if (body && Array.isArray(body.translations)) {
+    return body.translations.map(item => (typeof item === 'string' ? item : item && item.text));
+  }
+  
+  return null;
+}
+
+/**
+ * Create the HTTP provider.
+ * 
+ * @param {Object} config - { url, headers, languages, timeout } (see above)
+ * @returns {Object} { translate(texts, { source, target }) }
+ * @throws {Error} If there is no url
+ */
+function createHTTPProvider(config = {}) {
+  if (!config.url) {
+    throw new Error('The http provider needs a url, set "fill.http.url" in settings.json or pass --url=<url>');
+  }
+  
+  const languages = config.languages || {};
+  const apiKey = process.env.TRANSLATION_PROVIDER_KEY;
+  
+  return {
+    async translate(texts, { source, target }) {
+      const body = {
+        q: texts,
+        source: languages[source] || source,
+        target: languages[target] || target,
+        format: 'text',
+      };
+      
+      if (apiKey) {
+        body.api_key = apiKey;
+      }
+      
+      // The body is read in here too: the timeout and dropped connections also hit while it's being read
+      let response;
+      let text;
+      try {
+        response = await fetch(config.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(config.headers || {}) },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(config.timeout || DEFAULT_TIMEOUT_MS),
+        });
+        text = await response.text();
+      } catch (error) {
+        throw new Error(`Could not reach ${config.url}: ${error.cause ? error.cause.message : error.message}`);
+      }
+      
+      if (!response.ok) {
+        let message = text.slice(0, 200);
+        try {
+          message = JSON.parse(text).error || message;
+        } catch (error) {
+          // Not JSON, the text will do
+        }
+        throw new Error(`${config.url} answered with HTTP ${response.status}: ${message}`);
+      }
+      
+      let translations;
+      try {
+        translations = readTranslations(JSON.parse(text));
+      } catch (error) {
+        translations = null;
+      }
+      
+      if (!translations || translations.length !== texts.length) {
+        throw new Error(`${config.url} did not answer with one translation per text`);
+      }
+      
+      return translations.map(translation => (typeof translation === 'string' && translation.trim() ? translation : null));
+    },
+  };
+}
+
+export {
+  readTranslations,
+  createHTTPProvider
+};
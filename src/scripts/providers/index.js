@@ -0,0 +1,68 @@
+/**
+ * Registry of the machine-translation providers available to `npm run translate:fill`.
+ * 
+ * A provider module has a create function that sets up a provider from its settings
+ * ("fill.<name>" in settings.json) and what the CSV already has:
+ * 
+ *   create(config, { entries }) -> { translate(texts, { source, target }) -> Promise<Array<string|null>> }
+ * 
+ * entries are the reviewed translations of the CSV ({ source: { target: { text: translation } } }).
+ * translate gets the texts of one batch with their placeholders swapped for {0}, {1}, ...
+ * (see placeholders.js) and gives back one translation per text, null when it has none.
+ * It throws when the provider itself fails (the fill stops there and keeps what it got).
+ * 
+ * Custom providers can be used without registering them here by passing the path of a
+ * module that exports a `create` function: --provider=./my-provider.js
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createMemoryProvider } from './memory.js';
+import { createHTTPProvider } from './http.js';
+
+const PROVIDERS = {
+  memory: {
+    description: 'Offline, exact matches from a translation memory file and the CSV itself',
+    create: createMemoryProvider,
+  },
+  http: {
+    description: 'A translation server with a LibreTranslate-compatible API (e.g. self-hosted)',
+    create: createHTTPProvider,
+  },
+};
+
+/**
+ * Find a provider by name, or load it from a module path.
+ * 
+ * @param {string} name - Provider name (e.g. "memory") or path to a provider module
+ * @returns {Promise<Object>} { name, description, create }
+ * @throws {Error} If the provider doesn't exist or the module has no create function
+ */
+async function loadProvider(name) {
+  if (name in PROVIDERS) {
+    return { name, ...PROVIDERS[name] };
+  }
+  
+  if (name.endsWith('.js') || name.endsWith('.mjs')) {
+    const modulePath = path.isAbsolute(name) ? name : path.join(process.cwd(), name);
+    const module = await import(pathToFileURL(modulePath).href);
+    const create = module.create || (module.default && module.default.create);
+    
+    if (typeof create !== 'function') {
+      throw new Error(`Provider module '${name}' does not export a create function`);
+    }
+    
+    return {
+      name: path.basename(name).replace(/\.m?js$/, ''),
+      description: module.description || `Custom provider from ${name}`,
+      create,
+    };
+  }
+  
+  throw new Error(`Unknown provider '${name}'. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+export {
+  PROVIDERS,
+  loadProvider
+};
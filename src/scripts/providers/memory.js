@@ -0,0 +1,131 @@
+/**
+ * Offline translation memory provider.
+ * Looks up every text in a translation memory file and in the reviewed translations of the
+ * CSV itself, and only gives back exact matches (whitespace aside), so it never guesses.
+ * 
+ * The file (default translation-memory.json in the root directory, "fill.memory.file"
+ * in settings.json) maps source language -> target language -> source text -> translation:
+ * 
+ *   { "en": { "th": { "Close": "ปิด", "Hello {name}": "สวัสดี {name}" } } }
+ * 
+ * Placeholder names don't have to match: "Hello {name}" also fills "Hello {user}".
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { protectPlaceholders } from '../placeholders.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MEMORY_FILE = path.join(__dirname, '..', '..', '..', 'translation-memory.json');
+
+/**
+ * Read the translation memory file. A missing file is an empty memory.
+ * 
+ * @param {string} file - Path to the file
+ * @returns {Object} { source: { target: { text: translation } } }
+ * @throws {Error} If the file isn't valid JSON
+ */
+function readMemoryFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Could not read translation memory '${file}': ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a text for lookups (runs of whitespace count as one space).
+ */
+function normalize(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Turn a memory pair into the protected form the provider gets, with the tokens of the
+ * translation numbered like the ones of the source.
+ * 
+ * @param {string} source - Source text
+ * @param {string} target - Translation
+ * @returns {Object|null} { source, target } or null if the pair can't be used
+ */
+function protectPair(source, target) {
+  const from = protectPlaceholders(source);
+  const to = protectPlaceholders(target);
+  
+  if (!from || !to || from.placeholders.length !== to.placeholders.length) {
+    return null;
+  }
+  
+  // Map every placeholder of the translation to the same placeholder in the source
+  const used = new Set();
+  const numbers = to.placeholders.map(placeholder => {
+    const index = from.placeholders.findIndex((candidate, i) => candidate === placeholder && !used.has(i));
+    used.add(index);
+    return index;
+  });
+  
+  if (numbers.includes(-1)) {
+    return null;
+  }
+  
+  return {
+    source: normalize(from.text),
+    target: to.text.replace(/\{(\d+)\}/g, (token, index) => `{${numbers[Number(index)]}}`).trim(),
+  };
+}
+
+/**
+ * Create the memory provider.
+ * 
+ * @param {Object} [config] - { file } path of the translation memory (relative to the root directory)
+ * @param {Object} [context] - { entries } reviewed translations of the CSV (they win over the file)
+ * @returns {Object} { translate(texts, { source, target }) }
+ */
+function createMemoryProvider(config = {}, { entries = {} } = {}) {
+  const file = config.file
+    ? path.resolve(path.join(__dirname, '..', '..', '..'), config.file)
+    : MEMORY_FILE;
+  const memory = readMemoryFile(file);
+  const indexes = {};
+  
+  const getIndex = (source, target) => {
+    const name = `${source}\u0000${target}`;
+    
+    if (!indexes[name]) {
+      const index = new Map();
+      
+      for (const pairs of [(memory[source] || {})[target], (entries[source] || {})[target]]) {
+        for (const [text, translation] of Object.entries(pairs || {})) {
+          const pair = typeof translation === 'string' && translation.trim() ? protectPair(text, translation) : null;
+          if (pair) {
+            index.set(pair.source, pair.target);
+          }
+        }
+      }
+      
+      indexes[name] = index;
+    }
+    
+    return indexes[name];
+  };
+  
+  return {
+    async translate(texts, { source, target }) {
+      const index = getIndex(source, target);
+      return texts.map(text => index.get(normalize(text)) || null);
+    },
+  };
+}
+
+export {
+  MEMORY_FILE,
+  readMemoryFile,
+  createMemoryProvider
+};
@@ -0,0 +1,140 @@
+/**
+ * Pseudo-locales for the generation scripts.
+ * When they're turned on, translate.js and translate-i18n.js also write en-XA (accented,
+ * bracketed and longer) and en-XB (right-to-left), made from the source language column
+ * (see src/lib/pseudo.js). They're written and served like any other language, but they
+ * never come from the CSV, and they're marked as pseudo wherever they show up.
+ * 
+ * settings.json:
+ *   "pseudo": { "locales": ["en-XA", "en-XB"], "expansion": 0.3 }
+ * 
+ * --pseudo turns on every pseudo-locale for one run, --pseudo=en-XA only the ones listed.
+ * Pseudo-locale files that are no longer generated are removed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  DEFAULT_EXPANSION,
+  PSEUDO_LOCALES,
+  findPseudoLocale,
+  pseudoLocalize
+} from '../lib/pseudo.js';
+import { getSourceLanguage } from '../lib/coverage.js';
+
+/**
+ * Work out which pseudo-locales to generate, from --pseudo and the "pseudo" section of settings.json.
+ * Exits with an error for unknown pseudo-locales or an invalid expansion.
+ * 
+ * @param {Object} flags - Flags from parseArgs
+ * @param {Object} settings - Parsed settings.json
+ * @returns {Object} { locales: Array<string>, expansion: number }
+ */
+function getPseudoOptions(flags, settings) {
+  const configured = settings.pseudo || {};
+  let requested = Array.isArray(configured.locales) ? configured.locales : [];
+  
+  if (flags.pseudo === true) {
+    requested = Object.keys(PSEUDO_LOCALES);
+  } else if (typeof flags.pseudo === 'string') {
+    requested = flags.pseudo.split(',').map(locale => locale.trim()).filter(Boolean);
+  }
+  
+  const locales = [];
+  for (const locale of requested) {
+    const name = findPseudoLocale(locale);
+    
+    if (name === null) {
+      console.error(`Error: Unknown pseudo-locale '${locale}' (available: ${Object.keys(PSEUDO_LOCALES).join(', ')})`);
+      process.exit(1);
+    }
+    if (!locales.includes(name)) {
+      locales.push(name);
+    }
+  }
+  
+  const expansion = configured.expansion === undefined ? DEFAULT_EXPANSION : Number(configured.expansion);
+  if (!Number.isFinite(expansion) || expansion < 0) {
+    console.error(`Error: pseudo.expansion in settings.json must be a number of 0 or more, got '${configured.expansion}'`);
+    process.exit(1);
+  }
+  
+  return { locales, expansion };
+}
+
+/**
+ * Generate the pseudo-locale translations from the source language.
+ * A pseudo-locale the CSV already has a column for is left alone (the CSV wins),
+ * and messages that aren't valid ICU are copied as they are (validation reports them).
+ * 
+ * @param {Object} translations - Translations by language (from readAllTranslations)
+ * @param {Array<string>} languages - Languages of the CSV
+ * @param {Object} settings - Parsed settings.json (for the source language)
+ * @param {Object} options - { locales, expansion } from getPseudoOptions
+ * @returns {Object} { translations: { locale: { key: text } }, languages: Array<string> }
+ */
+function generatePseudoTranslations(translations, languages, settings, { locales, expansion }) {
+  const result = {};
+  
+  if (locales.length === 0) {
+    return { translations: result, languages: [] };
+  }
+  
+  const sourceLanguage = getSourceLanguage(settings, languages);
+  const source = translations[sourceLanguage] || {};
+  const invalid = new Set();
+  
+  for (const locale of locales) {
+    if (languages.some(langName => findPseudoLocale(langName) === locale)) {
+      console.warn(`Warning: The CSV has a '${locale}' column, so that pseudo-locale is not generated`);
+      continue;
+    }
+    
+    result[locale] = {};
+    
+    for (const [key, message] of Object.entries(source)) {
+      try {
+        result[locale][key] = pseudoLocalize(message, locale, { expansion });
+      } catch (error) {
+        result[locale][key] = message;
+        invalid.add(key);
+      }
+    }
+  }
+  
+  if (invalid.size > 0) {
+    console.warn(`Warning: ${invalid.size} ${sourceLanguage} messages aren't valid ICU and were copied to the pseudo-locales as they are: ${[...invalid].sort().join(', ')}`);
+  }
+  
+  return { translations: result, languages: Object.keys(result) };
+}
+
+/**
+ * Remove the files of pseudo-locales that aren't generated anymore
+ * (<locale>.json, and the <locale> folder of the namespaced i18n files).
+ * Languages that come from the CSV are never removed.
+ * 
+ * @param {string} dir - Output directory (translation or translation/i18n)
+ * @param {Array<string>} generated - Pseudo-locales written by this run
+ * @param {Array<string>} languages - Languages of the CSV
+ */
+function removeStalePseudoFiles(dir, generated, languages) {
+  for (const locale of Object.keys(PSEUDO_LOCALES)) {
+    if (generated.includes(locale) || languages.some(langName => findPseudoLocale(langName) === locale)) {
+      continue;
+    }
+    
+    for (const target of [path.join(dir, `${locale}.json`), path.join(dir, locale)]) {
+      if (fs.existsSync(target)) {
+        fs.rmSync(target, { recursive: true, force: true });
+        console.log(`Removed: ${target}`);
+      }
+    }
+  }
+}
+
+export {
+  getPseudoOptions,
+  generatePseudoTranslations,
+  removeStalePseudoFiles
+};
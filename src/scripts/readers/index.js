@@ -0,0 +1,64 @@
+/**
+ * Registry of the import readers available to `npm run translate:import`.
+ * 
+ * A reader is a function that turns file content into translations for one language:
+ * 
+ *   read(content, warn) -> { entries: { key: value }, language: string|null }
+ * 
+ * where "language" is the language the file declares (if the format has that).
+ */
+
+import path from 'path';
+import { readPO } from './po.js';
+import { readXLIFF } from './xliff.js';
+import { readJSON, readARB } from './json.js';
+
+const READERS = {
+  po: {
+    extensions: ['.po'],
+    read: readPO,
+  },
+  xliff: {
+    extensions: ['.xlf', '.xliff'],
+    read: readXLIFF,
+  },
+  arb: {
+    extensions: ['.arb'],
+    read: readARB,
+  },
+  json: {
+    extensions: ['.json'],
+    read: readJSON,
+  },
+};
+
+/**
+ * Find the reader for a file, by explicit format name or by file extension.
+ * 
+ * @param {string} filePath - File to import
+ * @param {string} [format] - Format name (po, xliff, arb, json)
+ * @returns {Object} { name, extensions, read }
+ * @throws {Error} If the format is unknown or can't be detected
+ */
+function getReader(filePath, format) {
+  if (format) {
+    if (!(format in READERS)) {
+      throw new Error(`Unknown import format '${format}'. Available formats: ${Object.keys(READERS).join(', ')}`);
+    }
+    return { name: format, ...READERS[format] };
+  }
+  
+  const extension = path.extname(filePath).toLowerCase();
+  const name = Object.keys(READERS).find(reader => READERS[reader].extensions.includes(extension));
+  
+  if (!name) {
+    throw new Error(`Cannot detect the format of '${filePath}', please pass --format=<${Object.keys(READERS).join('|')}>`);
+  }
+  
+  return { name, ...READERS[name] };
+}
+
+export {
+  READERS,
+  getReader
+};
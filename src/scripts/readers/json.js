@@ -0,0 +1,81 @@
+/**
+ * JSON and Flutter ARB readers.
+ * JSON files can be flat ({ "about_us": "..." }) or nested ({ "auth": { "title": "..." } }),
+ * nested keys are joined with dots. The "_version" and "_pseudo" properties of i18n files are ignored.
+ */
+
+/**
+ * Flatten a nested object into dotted keys.
+ * 
+ * @param {Object} data - Parsed JSON
+ * @param {Function} warn - Called as warn(key, message) for values that aren't strings
+ * @param {string} prefix - Key prefix (used while recursing)
+ * @param {Object} entries - Result object (used while recursing)
+ * @returns {Object} Flat key -> value object
+ */
+function flattenJSON(data, warn, prefix = '', entries = {}) {
+  for (const [name, value] of Object.entries(data)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenJSON(value, warn, key, entries);
+    } else if (typeof value === 'string') {
+      entries[key] = value;
+    } else {
+      warn(key, `skipped value of type ${Array.isArray(value) ? 'array' : typeof value}`);
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Read translations from a flat or nested JSON file.
+ * 
+ * @param {string} content - JSON file content
+ * @param {Function} warn - Called as warn(key, message) for values that are skipped
+ * @returns {Object} { entries: { key: value }, language: null }
+ */
+function readJSON(content, warn) {
+  const data = JSON.parse(content);
+  
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('JSON file must contain an object');
+  }
+  
+  const { _version, _pseudo, ...translations } = data;
+  return { entries: flattenJSON(translations, warn), language: null };
+}
+
+/**
+ * Read translations from a Flutter ARB file.
+ * Metadata ("@key" and "@@locale" style properties) is skipped.
+ * 
+ * @param {string} content - ARB file content
+ * @param {Function} warn - Called as warn(key, message) for values that are skipped
+ * @returns {Object} { entries: { key: value }, language: string|null }
+ */
+function readARB(content, warn) {
+  const data = JSON.parse(content);
+  const entries = {};
+  
+  for (const [key, value] of Object.entries(data)) {
+    if (key.startsWith('@')) {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      warn(key, `skipped value of type ${typeof value}`);
+      continue;
+    }
+    entries[key] = value;
+  }
+  
+  const language = typeof data['@@locale'] === 'string' ? data['@@locale'].replace(/_/g, '-') : null;
+  return { entries, language };
+}
+
+export {
+  flattenJSON,
+  readJSON,
+  readARB
+};
@@ -0,0 +1,121 @@
+/**
+ * gettext PO reader.
+ * The key of an entry is its msgctxt (that's how translate:export writes them),
+ * falling back to the msgid. Fuzzy entries and plural entries (msgid_plural) are
+ * skipped with a warning, since they can't be mapped onto a single CSV cell.
+ */
+
+/**
+ * Unquote and unescape a PO string literal.
+ * 
+ * @param {string} literal - Quoted string, e.g. "Hello \"world\"\n"
+ * @returns {string} Unescaped text
+ */
+function unquotePO(literal) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+  return literal
+    .trim()
+    .slice(1, -1)
+    .replace(/\\(.)/g, (match, char) => (char in escapes ? escapes[char] : char));
+}
+
+/**
+ * Split PO content into entries.
+ * 
+ * @param {string} content - PO file content
+ * @returns {Array<Object>} Entries: { flags: Array<string>, msgctxt, msgid, msgid_plural, msgstr, line }
+ */
+function parseEntries(content) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+  
+  const finish = () => {
+    if (entry && entry.msgid !== undefined) {
+      entries.push(entry);
+    }
+    entry = null;
+    field = null;
+  };
+  
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    
+    if (line === '') {
+      finish();
+      return;
+    }
+    
+    if (line.startsWith('#')) {
+      // A comment after a complete entry starts the next one
+      if (entry && field) {
+        finish();
+      }
+      entry = entry || { flags: [], line: index + 1 };
+      if (line.startsWith('#,')) {
+        entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()));
+      }
+      return;
+    }
+    
+    const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+(".*")$/);
+    
+    if (match) {
+      // A new msgctxt/msgid after a msgstr starts the next entry
+      if (entry && field && field.startsWith('msgstr') && !match[1].startsWith('msgstr')) {
+        finish();
+      }
+      entry = entry || { flags: [], line: index + 1 };
+      field = match[1];
+      entry[field] = unquotePO(match[2]);
+    } else if (line.startsWith('"') && entry && field) {
+      entry[field] += unquotePO(line);
+    } else {
+      throw new Error(`Unexpected content on line ${index + 1}: ${line}`);
+    }
+  });
+  
+  finish();
+  return entries;
+}
+
+/**
+ * Read translations from a PO file.
+ * 
+ * @param {string} content - PO file content
+ * @param {Function} warn - Called as warn(key, message) for entries that are skipped
+ * @returns {Object} { entries: { key: value }, language: string|null }
+ */
+function readPO(content, warn) {
+  const entries = {};
+  let language = null;
+  
+  for (const entry of parseEntries(content)) {
+    if (entry.msgid === '' && entry.msgctxt === undefined) {
+      const match = (entry.msgstr || '').match(/^Language:\s*(\S+)/m);
+      language = match ? match[1].replace(/_/g, '-') : null;
+      continue;
+    }
+    
+    const key = entry.msgctxt !== undefined ? entry.msgctxt : entry.msgid;
+    
+    if (entry.msgid_plural !== undefined) {
+      warn(key, `skipped plural entry (line ${entry.line}), use ICU plural syntax instead`);
+      continue;
+    }
+    
+    if (entry.flags.includes('fuzzy')) {
+      warn(key, `skipped fuzzy entry (line ${entry.line})`);
+      continue;
+    }
+    
+    entries[key] = entry.msgstr || '';
+  }
+  
+  return { entries, language };
+}
+
+export {
+  unquotePO,
+  readPO
+};
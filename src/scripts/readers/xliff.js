@@ -0,0 +1,92 @@
+/**
+ * XLIFF reader for XLIFF 2.0 (<unit id> with <segment><target>) and
+ * XLIFF 1.2 (<trans-unit id> with <target>).
+ * Inline markup inside targets is dropped and only its text is kept.
+ */
+
+/**
+ * Decode XML entities and CDATA sections.
+ * 
+ * @param {string} text - XML text content
+ * @returns {string} Decoded text
+ */
+function decodeXML(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  
+  return text
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => {
+      if (part.startsWith('<![CDATA[')) {
+        return part.slice(9, -3);
+      }
+      return part
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+          if (entity.startsWith('#x')) {
+            return String.fromCodePoint(parseInt(entity.slice(2), 16));
+          }
+          if (entity.startsWith('#')) {
+            return String.fromCodePoint(parseInt(entity.slice(1), 10));
+          }
+          return entity in entities ? entities[entity] : match;
+        });
+    })
+    .join('');
+}
+
+/**
+ * Get an attribute value from an XML start tag.
+ * 
+ * @param {string} tag - Start tag, e.g. '<unit id="about_us">'
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded attribute value or null
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeXML(match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+/**
+ * Read translations from an XLIFF file.
+ * Units without a target (or with an empty one) are skipped.
+ * 
+ * @param {string} content - XLIFF file content
+ * @param {Function} warn - Called as warn(key, message) for units that are skipped
+ * @returns {Object} { entries: { key: value }, language: string|null }
+ */
+function readXLIFF(content, warn) {
+  const entries = {};
+  const root = content.match(/<xliff\b[^>]*>/);
+  const file = content.match(/<file\b[^>]*>/);
+  const language = (root && getAttribute(root[0], 'trgLang'))
+    || (file && getAttribute(file[0], 'target-language'))
+    || null;
+  
+  const unitPattern = /(<(unit|trans-unit)\b[^>]*>)([\s\S]*?)<\/\2>/g;
+  let match;
+  
+  while ((match = unitPattern.exec(content)) !== null) {
+    const key = getAttribute(match[1], 'id');
+    
+    if (key === null) {
+      warn('?', 'skipped unit without an id');
+      continue;
+    }
+    
+    // XLIFF 2.0 units may have several segments, which together make up the text
+    const targets = [...match[3].matchAll(/<target\b[^>]*>([\s\S]*?)<\/target>/g)];
+    
+    if (targets.length === 0) {
+      continue;
+    }
+    
+    entries[key] = targets.map(target => decodeXML(target[1])).join('');
+  }
+  
+  return { entries, language };
+}
+
+export {
+  decodeXML,
+  readXLIFF
+};
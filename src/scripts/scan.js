@@ -0,0 +1,615 @@
+/**
+ * Scans source code for the translation keys it uses and compares them with the CSV.
+ * Reports keys nobody uses, keys the code uses that don't exist, and call sites whose
+ * key is built at runtime (so we can't tell which key they use). Can also remove the
+ * unused rows from the CSV files.
+ * 
+ * Usage:
+ *   npm run translate:scan [-- ../frontend/src ../admin/src] [--csv=path/to/translations.csv]
+ *     [--strict] [--prune] [--dry-run] [--force]
+ * 
+ * What counts as a usage:
+ * - t('key') / $t("key") / i18n.t(`key`) and the other function names in "scan.functions"
+ * - i18nKey="key" (react-i18next's <Trans>)
+ * - /api/translate?...key=... URLs (with &ns= the key is relative to the namespace)
+ * 
+ * A key built at runtime with a fixed start (t(`errors.${code}`) or t('errors.' + code))
+ * keeps every key starting with "errors." from being reported as unused.
+ * 
+ * The directories and everything else can be set in the "scan" section of settings.json:
+ * { "paths": ["../frontend/src"], "functions": ["t", "$t"], "extensions": [".js", ".vue"],
+ *   "ignore": ["node_modules"], "keep": ["legal.*"] }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  readAllTranslations,
+  readSettings,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions
+} from './translate.js';
+import { loadDocuments, deleteKey, saveDocuments } from './edit.js';
+import { writeFileAtomic } from './files.js';
+import { KEY_SEPARATOR } from '../lib/keys.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const DEFAULT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte', '.html'];
+const DEFAULT_IGNORE = ['node_modules', '.git', 'dist', 'build', 'coverage'];
+
+// "t" also matches i18n.t(, req.t( and this.t(, since only the name right before "(" counts
+const DEFAULT_FUNCTIONS = ['t', '$t'];
+
+// Files that are markup with JavaScript in <script> blocks
+const MARKUP_EXTENSIONS = ['.vue', '.svelte', '.html'];
+
+// Keywords a regular expression literal can come right after ("return /'/.test(x)")
+const REGEX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+/**
+ * Get the scan settings from the "scan" section of settings.json, with defaults.
+ * Relative paths are resolved from the root directory.
+ * 
+ * @param {Object} settings - Parsed settings.json
+ * @returns {Object} { paths, extensions, functions, ignore, keep }
+ */
+function getScanSettings(settings) {
+  const scan = settings.scan || {};
+  
+  return {
+    paths: (scan.paths || []).map((dir) => path.isAbsolute(dir) ? dir : path.join(ROOT_DIR, dir)),
+    extensions: scan.extensions || DEFAULT_EXTENSIONS,
+    functions: scan.functions || DEFAULT_FUNCTIONS,
+    ignore: scan.ignore || DEFAULT_IGNORE,
+    keep: scan.keep || [],
+  };
+}
+
+/**
+ * List the source files in some directories (recursively).
+ * Symlinks are followed, but every directory is only visited once (so a link to a parent
+ * directory can't send us round in circles), and broken links are skipped.
+ * 
+ * @param {Array<string>} dirs - Directories (or single files) to scan
+ * @param {Object} options - { extensions, ignore }
+ * @returns {Array<string>} File paths, sorted
+ */
+function listSourceFiles(dirs, { extensions, ignore }) {
+  const files = [];
+  const visited = new Set();
+  
+  const visit = (entryPath) => {
+    let stat;
+    try {
+      stat = fs.statSync(entryPath);
+    } catch (error) {
+      console.warn(`Warning: Skipping ${entryPath}: ${error.message}`);
+      return;
+    }
+    
+    if (stat.isDirectory()) {
+      const realPath = fs.realpathSync(entryPath);
+      if (visited.has(realPath)) {
+        return;
+      }
+      visited.add(realPath);
+      
+      for (const name of fs.readdirSync(entryPath)) {
+        if (!ignore.includes(name)) {
+          visit(path.join(entryPath, name));
+        }
+      }
+    } else if (extensions.includes(path.extname(entryPath))) {
+      files.push(entryPath);
+    }
+  };
+  
+  dirs.forEach(visit);
+  return files.sort();
+}
+
+/**
+ * Read the argument that starts at a position in the source.
+ * Gives back { key } for a plain string, { prefix } for a string that's built at runtime
+ * (prefix is the fixed part at the start, '' if there is none).
+ * 
+ * @param {string} source - Source code
+ * @param {number} start - Position of the argument
+ * @param {Array<string>|null} terminators - Characters that end the argument (like ',' and ')'),
+ *   or null when the closing quote always ends it (JSX attribute values like i18nKey="key")
+ * @returns {Object} { key } or { prefix }
+ */
+function readKeyArgument(source, start, terminators) {
+  const quote = source[start];
+  
+  if (quote !== '\'' && quote !== '"' && quote !== '`') {
+    return { prefix: '' };
+  }
+  
+  let value = '';
+  let index = start + 1;
+  
+  while (index < source.length && source[index] !== quote) {
+    if (source[index] === '\\') {
+      value += source[index + 1] || '';
+      index += 2;
+      continue;
+    }
+    
+    // A template literal with ${...} is only known up to the first placeholder
+    if (quote === '`' && source.startsWith('${', index)) {
+      return { prefix: value };
+    }
+    
+    // Plain strings can't span lines, so this isn't a string we understand
+    if (quote !== '`' && source[index] === '\n') {
+      return { prefix: '' };
+    }
+    
+    value += source[index];
+    index += 1;
+  }
+  
+  // An attribute value ends at its closing quote, whatever comes after it
+  if (terminators === null) {
+    return index < source.length ? { key: value } : { prefix: value };
+  }
+  
+  const rest = source.slice(index + 1).match(/^\s*(.)/);
+  
+  // 'errors.' + code
+  if (!rest || !terminators.includes(rest[1])) {
+    return { prefix: value };
+  }
+  
+  return { key: value };
+}
+
+/**
+ * Find the comments and string literals in JavaScript (or TypeScript) code.
+ * Template literals count as strings, except for the code in their ${...} placeholders,
+ * and so do regular expression literals (they can hold quotes).
+ * 
+ * @param {string} source - Source code
+ * @param {number} from - Where the code starts (default: the start of the source)
+ * @param {number} to - Where it ends (default: the end of the source)
+ * @returns {Array<Object>} { type: 'comment' | 'string', start, end } ranges
+ */
+function findCommentsAndStrings(source, from = 0, to = source.length) {
+  const ranges = [];
+  // Brace depth at every ${ we're in, so we know which } goes back into the template literal
+  const placeholders = [];
+  let braces = 0;
+  let index = from;
+  
+  const add = (type, start, end) => {
+    ranges.push({ type, start, end: Math.min(end, to) });
+    index = Math.min(end, to);
+  };
+  
+  // The rest of a template literal, up to its closing backtick or its next ${
+  const readTemplate = (start) => {
+    let end = start + 1;
+    while (end < to && source[end] !== '`' && !source.startsWith('${', end)) {
+      end += source[end] === '\\' ? 2 : 1;
+    }
+    
+    if (source.startsWith('${', end)) {
+      placeholders.push(braces);
+      add('string', start, end + 2);
+    } else {
+      add('string', start, end + 1);
+    }
+  };
+  
+  while (index < to) {
+    const char = source[index];
+    
+    if (source.startsWith('//', index)) {
+      const end = source.indexOf('\n', index);
+      add('comment', index, end === -1 ? to : end);
+    } else if (source.startsWith('/*', index)) {
+      const end = source.indexOf('*/', index + 2);
+      add('comment', index, end === -1 ? to : end + 2);
+    } else if ((char === '\'' || char === '"') && !/[\w$]/.test(source[index - 1] || '')) {
+      // A quote right after a letter is text (JSX like <p>Don't</p>), not the start of a string
+      let end = index + 1;
+      while (end < to && source[end] !== char && source[end] !== '\n') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      add('string', index, source[end] === char ? end + 1 : end);
+    } else if (char === '`') {
+      readTemplate(index);
+    } else if (char === '}' && placeholders.length > 0 && placeholders[placeholders.length - 1] === braces) {
+      placeholders.pop();
+      readTemplate(index);
+    } else if (char === '/' && isRegexStart(source, index)) {
+      let end = index + 1;
+      let inClass = false;
+      while (end < to && source[end] !== '\n' && (source[end] !== '/' || inClass)) {
+        if (source[end] === '\\') {
+          end++;
+        } else if (source[end] === '[' || source[end] === ']') {
+          inClass = source[end] === '[';
+        }
+        end++;
+      }
+      
+      if (source[end] === '/') {
+        add('string', index, end + 1);
+      } else {
+        index++;
+      }
+    } else {
+      if (char === '{') {
+        braces++;
+      } else if (char === '}') {
+        braces--;
+      }
+      index++;
+    }
+  }
+  
+  return ranges;
+}
+
+/**
+ * Does a "/" start a regular expression literal (and isn't a division)?
+ * It does after an operator, an opening bracket or a keyword like return. After a closing
+ * bracket, a string or a JSX tag (<p>Hi</p>, <Trans />) it doesn't.
+ */
+function isRegexStart(source, index) {
+  const before = source.slice(Math.max(0, index - 100), index).match(/([\w$]+|[^\s\w$])?\s*$/)[1];
+  
+  if (before === undefined || REGEX_KEYWORDS.includes(before)) {
+    return true;
+  }
+  
+  return !/^[\w$]/.test(before) && !')]}\'"`<>'.includes(before);
+}
+
+/**
+ * Find the comments and string literals in a source file.
+ * Markup files (Vue, Svelte, HTML) only have JavaScript in their <script> blocks,
+ * the rest is markup with <!-- comments -->, and attribute values that hold code.
+ * 
+ * @param {string} source - Source code
+ * @param {string} file - File path (the extension tells us what's in it)
+ * @returns {Array<Object>} { type: 'comment' | 'string', start, end } ranges
+ */
+function findIgnoredRanges(source, file) {
+  if (!MARKUP_EXTENSIONS.includes(path.extname(file))) {
+    return findCommentsAndStrings(source);
+  }
+  
+  const ranges = [];
+  
+  for (const match of source.matchAll(/<!--[\s\S]*?(?:-->|$)|(<script\b[^>]*>)([\s\S]*?)(?:<\/script\s*>|$)/gi)) {
+    if (match[1] === undefined) {
+      ranges.push({ type: 'comment', start: match.index, end: match.index + match[0].length });
+    } else {
+      const start = match.index + match[1].length;
+      ranges.push(...findCommentsAndStrings(source, start, start + match[2].length));
+    }
+  }
+  
+  return ranges;
+}
+
+/**
+ * Blank out some of the ranges of the source with spaces. Line breaks are kept,
+ * so positions and line numbers stay the same as in the source.
+ * 
+ * @param {string} source - Source code
+ * @param {Array<Object>} ranges - From findIgnoredRanges
+ * @param {Array<string>} types - Types of ranges to blank out
+ * @returns {string} The source with those ranges blanked out
+ */
+function blankRanges(source, ranges, types) {
+  let result = '';
+  let index = 0;
+  
+  for (const { type, start, end } of ranges) {
+    if (types.includes(type)) {
+      result += source.slice(index, start) + source.slice(start, end).replace(/[^\n]/g, ' ');
+      index = end;
+    }
+  }
+  
+  return result + source.slice(index);
+}
+
+/**
+ * Get the line number of a position in the source.
+ */
+function getLineNumber(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Find the key usages in one source file.
+ * Calls in comments and strings ("// t('old_key')") don't count, and neither do URLs in comments.
+ * 
+ * @param {string} source - Source code
+ * @param {string} file - File path (for the report)
+ * @param {Object} options - { functions }
+ * @returns {Object} { usages: Array<{ key, file, line }>, dynamic: Array<{ prefix, file, line, code }> }
+ */
+function scanSource(source, file, { functions }) {
+  const usages = [];
+  const dynamic = [];
+  const lines = source.split('\n');
+  
+  // We look for usages in these and read the keys from the source (same positions)
+  const ranges = findIgnoredRanges(source, file);
+  const code = blankRanges(source, ranges, ['comment', 'string']);
+  const withoutComments = blankRanges(source, ranges, ['comment']);
+  
+  // Where the argument starts, after a match that ends right before it (or before whitespace)
+  const whitespace = /\s*/y;
+  const skipWhitespace = (index) => {
+    whitespace.lastIndex = index;
+    whitespace.exec(source);
+    return whitespace.lastIndex;
+  };
+  
+  const record = (result, index) => {
+    const line = getLineNumber(source, index);
+    
+    if ('key' in result) {
+      usages.push({ key: result.key, file, line });
+    } else {
+      dynamic.push({ prefix: result.prefix, file, line, code: lines[line - 1].trim().slice(0, 120) });
+    }
+  };
+  
+  // t('key'), $t("key"), ...
+  const names = functions.map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const callPattern = new RegExp(`(?<![\\w$])(?:${names})\\s*\\(`, 'g');
+  
+  for (const match of code.matchAll(callPattern)) {
+    const start = skipWhitespace(match.index + match[0].length);
+    
+    // t() without arguments isn't a translation call, and function t(key) defines one
+    const isDefinition = /function\s*$/.test(source.slice(Math.max(0, match.index - 20), match.index));
+    
+    if (source[start] !== ')' && !isDefinition) {
+      record(readKeyArgument(source, start, [',', ')']), match.index);
+    }
+  }
+  
+  // <Trans i18nKey="key"> and i18nKey={'key'}
+  for (const match of code.matchAll(/\bi18nKey\s*=/g)) {
+    const start = skipWhitespace(match.index + match[0].length);
+    const braced = source[start] === '{';
+    record(readKeyArgument(source, braced ? skipWhitespace(start + 1) : start, braced ? ['}'] : null), match.index);
+  }
+  
+  // /api/translate?lang=de&key=confirm_delete (optionally with &ns=auth)
+  for (const match of withoutComments.matchAll(/\/api\/translate\?([^'"`\s<>)]*)/g)) {
+    const params = {};
+    
+    for (const part of match[1].split('&')) {
+      const [name, ...value] = part.split('=');
+      params[name] = value.join('=');
+    }
+    
+    if (!('key' in params)) {
+      continue;
+    }
+    
+    let key = params.key;
+    try {
+      key = decodeURIComponent(key);
+    } catch (error) {
+      // Keep it as it is
+    }
+    
+    const ns = params.ns || '';
+    const prefix = ns ? `${ns}${KEY_SEPARATOR}` : '';
+    const placeholder = key.search(/\$\{|\{\{/);
+    
+    if (ns.includes('${')) {
+      record({ prefix: '' }, match.index);
+    } else if (key === '' || placeholder !== -1) {
+      record({ prefix: prefix + (placeholder === -1 ? key : key.slice(0, placeholder)) }, match.index);
+    } else {
+      record({ key: prefix + key }, match.index);
+    }
+  }
+  
+  return { usages, dynamic };
+}
+
+/**
+ * Turn a "keep" pattern ("legal.*") into a regular expression.
+ */
+function toKeepPattern(pattern) {
+  return new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+/**
+ * Compare the keys the code uses with the keys in the CSV.
+ * 
+ * @param {Array<string>} definedKeys - Keys in the CSV
+ * @param {Object} scan - { usages, dynamic } of all files
+ * @param {Array<string>} keep - Patterns of keys that are never reported as unused
+ * @returns {Object} { unused, undefinedKeys: { key: [usages] }, possiblyUsed, dynamic }
+ */
+function analyzeUsage(definedKeys, { usages, dynamic }, keep = []) {
+  const defined = new Set(definedKeys);
+  const used = new Set();
+  const undefinedKeys = {};
+  
+  for (const usage of usages) {
+    // A key can also be a group of keys (the API gives back the whole subtree)
+    const groupPrefix = usage.key + KEY_SEPARATOR;
+    const matches = defined.has(usage.key)
+      ? [usage.key]
+      : definedKeys.filter((key) => key.startsWith(groupPrefix));
+    
+    if (matches.length === 0) {
+      (undefinedKeys[usage.key] = undefinedKeys[usage.key] || []).push(usage);
+    }
+    matches.forEach((key) => used.add(key));
+  }
+  
+  const prefixes = [...new Set(dynamic.map((site) => site.prefix).filter(Boolean))];
+  const keepPatterns = keep.map(toKeepPattern);
+  const possiblyUsed = [];
+  const unused = [];
+  
+  for (const key of [...definedKeys].sort()) {
+    if (used.has(key) || keepPatterns.some((pattern) => pattern.test(key))) {
+      continue;
+    }
+    
+    if (prefixes.some((prefix) => key.startsWith(prefix))) {
+      possiblyUsed.push(key);
+    } else {
+      unused.push(key);
+    }
+  }
+  
+  return { unused, undefinedKeys, possiblyUsed, dynamic };
+}
+
+/**
+ * Print the usage report.
+ * 
+ * @param {Object} result - Result of analyzeUsage
+ * @param {Object} counts - { files, keys, usages }
+ */
+function printUsageReport(result, counts) {
+  const relative = (file) => path.relative(process.cwd(), file);
+  
+  console.log(`\nScanned ${counts.files} file(s): ${counts.usages} key usage(s), ${counts.keys} key(s) in the CSV`);
+  
+  const undefinedKeys = Object.entries(result.undefinedKeys);
+  if (undefinedKeys.length > 0) {
+    console.warn(`\n${undefinedKeys.length} key(s) used but not defined:`);
+    for (const [key, usages] of undefinedKeys) {
+      console.warn(`  - ${key} (${usages.map((usage) => `${relative(usage.file)}:${usage.line}`).join(', ')})`);
+    }
+  }
+  
+  if (result.unused.length > 0) {
+    console.log(`\n${result.unused.length} unused key(s):`);
+    result.unused.forEach((key) => console.log(`  - ${key}`));
+  }
+  
+  if (result.possiblyUsed.length > 0) {
+    console.log(`\n${result.possiblyUsed.length} key(s) only matched by a dynamic key (kept): ${result.possiblyUsed.join(', ')}`);
+  }
+  
+  if (result.dynamic.length > 0) {
+    console.log(`\n${result.dynamic.length} call site(s) with a key built at runtime:`);
+    for (const site of result.dynamic) {
+      const prefix = site.prefix ? ` [${site.prefix}*]` : ' [unknown]';
+      console.log(`  - ${relative(site.file)}:${site.line}${prefix} ${site.code}`);
+    }
+  }
+  
+  if (undefinedKeys.length === 0 && result.unused.length === 0) {
+    console.log('\nEvery key is used and every used key is defined.');
+  }
+}
+
+/**
+ * Main function to scan source code for key usages.
+ */
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const settings = readSettings();
+  const scanSettings = getScanSettings(settings);
+  const csvFile = resolveCSVPath(typeof flags.csv === 'string' ? [flags.csv] : []);
+  const csvOptions = getCSVOptions(flags, settings);
+  
+  const dirs = positional.length > 0 ? positional.map((dir) => path.resolve(process.cwd(), dir)) : scanSettings.paths;
+  
+  if (dirs.length === 0) {
+    console.error('Error: Please pass the source directories to scan, or set "scan.paths" in settings.json');
+    process.exit(1);
+  }
+  
+  const missing = dirs.filter((dir) => !fs.existsSync(dir));
+  if (missing.length > 0) {
+    console.error(`Error: Source directory not found: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+  
+  console.log(`Reading translations from: ${csvFile}`);
+  const { translations, languages } = readAllTranslations(csvFile, settings, csvOptions);
+  const definedKeys = [...new Set(languages.flatMap((langName) => Object.keys(translations[langName])))];
+  
+  console.log(`Scanning: ${dirs.join(', ')}`);
+  const files = listSourceFiles(dirs, scanSettings);
+  const scan = { usages: [], dynamic: [] };
+  
+  for (const file of files) {
+    const { usages, dynamic } = scanSource(fs.readFileSync(file, 'utf-8'), file, scanSettings);
+    scan.usages.push(...usages);
+    scan.dynamic.push(...dynamic);
+  }
+  
+  const result = analyzeUsage(definedKeys, scan, scanSettings.keep);
+  printUsageReport(result, { files: files.length, keys: definedKeys.length, usages: scan.usages.length });
+  
+  const reportDir = path.join(ROOT_DIR, 'translation', 'reports');
+  const reportPath = path.join(reportDir, 'usage.json');
+  try {
+    fs.mkdirSync(reportDir, { recursive: true });
+    writeFileAtomic(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), directories: dirs, ...result }, null, 2));
+    console.log(`\nCreated: ${reportPath}`);
+  } catch (error) {
+    console.warn(`Warning: Could not write usage report: ${error.message}`);
+  }
+  
+  if (flags.prune === true && result.unused.length > 0) {
+    // Without a fixed start we have no idea which keys these call sites use
+    const unresolved = result.dynamic.filter((site) => !site.prefix);
+    
+    if (unresolved.length > 0 && flags.force !== true) {
+      console.error(`\nError: Not pruning, ${unresolved.length} call site(s) use keys we can't resolve and might use "unused" keys.`);
+      console.error('Check them (or add the keys to "scan.keep") and pass --force to prune anyway.');
+      process.exit(1);
+    }
+    
+    if (flags['dry-run'] === true) {
+      console.log(`\nDry run, would remove ${result.unused.length} unused key(s) from the CSV.`);
+    } else {
+      const documents = loadDocuments(csvFile, settings, csvOptions);
+      result.unused.forEach((key) => deleteKey(documents, key));
+      saveDocuments(documents);
+      
+      for (const document of documents.filter((doc) => doc.changed)) {
+        console.log(`Updated: ${document.file}`);
+      }
+      console.log(`\nRemoved ${result.unused.length} unused key(s). Run "npm run translate" to regenerate the translation files.`);
+    }
+  }
+  
+  if (flags.strict === true && Object.keys(result.undefinedKeys).length > 0) {
+    console.error('\nError: The code uses keys that are not defined (strict mode).');
+    process.exit(1);
+  }
+}
+
+// Check if this module is being run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export {
+  getScanSettings,
+  listSourceFiles,
+  scanSource,
+  analyzeUsage,
+  printUsageReport
+};
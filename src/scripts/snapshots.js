@@ -0,0 +1,156 @@
+/**
+ * Versioned snapshots for the generation script.
+ * Every run stores the generated API files under translation/versions/<version>/
+ * (plus a manifest.json) so the API can serve them again with ?version=, and
+ * old snapshots are pruned according to the "snapshots" section of settings.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileAtomic } from './files.js';
+import { MANIFEST_FILE, VERSION_PATTERN, listSnapshots } from '../lib/snapshots.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const VERSIONS_DIR = path.join(__dirname, '..', '..', 'translation', 'versions');
+
+// How many snapshots we keep when settings.json doesn't say
+const DEFAULT_KEEP = 20;
+
+/**
+ * Store the translations of a version as an immutable snapshot.
+ * The language files are written first and the manifest last, so a snapshot
+ * only shows up (for the API) once it's complete. An existing snapshot of the
+ * same version is never overwritten.
+ * 
+ * @param {string} version - Version the translations are published as
+ * @param {Object} translations - Translations by language
+ * @param {Array<string>} languages - Language names
+ * @param {string} [versionsDir] - Snapshot folder (default translation/versions)
+ * @returns {boolean} True if the snapshot was written
+ */
+function writeSnapshot(version, translations, languages, versionsDir = VERSIONS_DIR) {
+  if (!VERSION_PATTERN.test(version)) {
+    console.warn(`Warning: Cannot store a snapshot for version '${version}', it isn't a valid folder name`);
+    return false;
+  }
+  
+  const snapshotDir = path.join(versionsDir, version);
+  
+  if (fs.existsSync(path.join(snapshotDir, MANIFEST_FILE))) {
+    console.warn(`Warning: Snapshot ${version} already exists and was not overwritten`);
+    return false;
+  }
+  
+  try {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+    
+    for (const langName of languages) {
+      const sortedData = {};
+      for (const key of Object.keys(translations[langName]).sort()) {
+        sortedData[key] = translations[langName][key];
+      }
+      writeFileAtomic(path.join(snapshotDir, `${langName}.json`), JSON.stringify(sortedData, null, 2));
+    }
+    
+    const manifest = {
+      version,
+      createdAt: new Date().toISOString(),
+      languages: [...languages].sort(),
+    };
+    writeFileAtomic(path.join(snapshotDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    
+    console.log(`Created snapshot: ${snapshotDir}`);
+    return true;
+  } catch (error) {
+    console.warn(`Warning: Could not write snapshot ${version}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Store the files the API serves now as the snapshot of the current version, unless there is one.
+ * Snapshots are written when a version is published, so the version a fresh install starts
+ * with has none: without this, ?version= and /api/translate/changes?since= couldn't go back to it.
+ * 
+ * @param {string} version - Version the files are served as now
+ * @param {Object} translations - Translations by language, as they are in the files now
+ * @param {string} [versionsDir] - Snapshot folder (default translation/versions)
+ * @returns {boolean} True if the snapshot was written
+ */
+function writeBaselineSnapshot(version, translations, versionsDir = VERSIONS_DIR) {
+  const languages = Object.keys(translations);
+  
+  // Nothing has been generated yet, so there's nothing to go back to
+  if (languages.length === 0 || fs.existsSync(path.join(versionsDir, version, MANIFEST_FILE))) {
+    return false;
+  }
+  
+  return writeSnapshot(version, translations, languages, versionsDir);
+}
+
+/**
+ * Get the retention policy from the "snapshots" section of settings.json:
+ * { "keep": 20, "maxAgeDays": 90 }
+ * keep is the number of newest snapshots to keep (0 keeps all of them),
+ * maxAgeDays removes snapshots older than that (not set: no age limit).
+ * 
+ * @param {Object} settings - Parsed settings.json
+ * @returns {Object} { keep: number, maxAgeDays: number|null }
+ */
+function getRetentionPolicy(settings) {
+  const snapshotSettings = settings.snapshots || {};
+  
+  return {
+    keep: Number.isInteger(snapshotSettings.keep) && snapshotSettings.keep >= 0 ? snapshotSettings.keep : DEFAULT_KEEP,
+    maxAgeDays: typeof snapshotSettings.maxAgeDays === 'number' ? snapshotSettings.maxAgeDays : null,
+  };
+}
+
+/**
+ * Remove the snapshots the retention policy doesn't keep.
+ * The snapshot of the current version is always kept.
+ * 
+ * @param {Object} settings - Parsed settings.json
+ * @param {string} currentVersion - Version the API serves now
+ * @param {string} [versionsDir] - Snapshot folder (default translation/versions)
+ * @returns {Array<string>} Versions that were removed
+ */
+function pruneSnapshots(settings, currentVersion, versionsDir = VERSIONS_DIR) {
+  const { keep, maxAgeDays } = getRetentionPolicy(settings);
+  const oldest = maxAgeDays === null ? null : Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const removed = [];
+  
+  // Newest first, so everything after the first "keep" entries goes
+  listSnapshots(versionsDir).forEach((snapshot, index) => {
+    const tooMany = keep > 0 && index >= keep;
+    const tooOld = oldest !== null && snapshot.createdAt.getTime() < oldest;
+    
+    if (snapshot.version === currentVersion || (!tooMany && !tooOld)) {
+      return;
+    }
+    
+    try {
+      fs.rmSync(path.join(versionsDir, snapshot.version), { recursive: true, force: true });
+      removed.push(snapshot.version);
+    } catch (error) {
+      console.warn(`Warning: Could not remove snapshot ${snapshot.version}: ${error.message}`);
+    }
+  });
+  
+  if (removed.length > 0) {
+    console.log(`Removed ${removed.length} old snapshot(s): ${removed.join(', ')}`);
+  }
+  
+  return removed;
+}
+
+export {
+  VERSIONS_DIR,
+  writeSnapshot,
+  writeBaselineSnapshot,
+  getRetentionPolicy,
+  pruneSnapshots
+};
@@ -1,16 +1,39 @@
 /**
  * Translation script for generating i18n-friendly JSON files for frontend libraries.
- * Generates translation files with only keys and a "_version" property.
+ * Generates translation files with only keys and a "_version" property
+ * (plus "_pseudo": true in the files of pseudo-locales like en-XA).
+ * translation/i18n/@languages.json describes every language (names, text direction,
+ * plural categories, completion and fallbacks), the same as /api/languages does.
+ * Dotted keys ("auth.login.title") are written as nested objects, and keys in a
+ * namespace go to their own file (translation/i18n/<lang>/<namespace>.json).
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
-import { readTranslationsFromCSV, incrementVersion } from './translate.js';
+import {
+  readAllTranslations,
+  incrementVersion,
+  readSettings,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions
+} from './translate.js';
+import { writeFileAtomic } from './files.js';
+import { runValidation } from './validate.js';
+import { generateCoverageReport } from './coverage.js';
+import { calculateCoverage, getSourceLanguage } from '../lib/coverage.js';
+import { describeLanguages } from '../lib/locales.js';
+import { getPseudoOptions, generatePseudoTranslations, removeStalePseudoFiles } from './pseudo.js';
+import { KEY_SEPARATOR, expandKeys } from '../lib/keys.js';
+import { DEFAULT_LANGUAGE } from '../lib/fallback.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Describes the languages ("@" so it can't be mistaken for a language file)
+const LANGUAGES_FILE = '@languages.json';
+
 /**
  * Read i18n version from settings.json file
  * @returns {string} Current i18n version or default v1.0.0.0
@@ -49,7 +72,7 @@ function writeI18nVersion(i18nVersion) {
     
     data.i18nVersion = i18nVersion;
     
-    fs.writeFileSync(versionFile, JSON.stringify(data, null, 2), 'utf-8');
+    writeFileAtomic(versionFile, JSON.stringify(data, null, 2));
     console.log(`i18n Version updated to: ${i18nVersion}`);
   } catch (error) {
     console.error(`Error writing i18n version file: ${error.message}`);
@@ -58,27 +81,36 @@ function writeI18nVersion(i18nVersion) {
 
 /**
  * Write i18n translation file with _version property.
- * Keys are sorted alphabetically.
+ * Dotted keys are expanded into nested objects, and keys are sorted alphabetically at every level.
  * 
  * @param {string} filePath - Path to the output JSON file
- * @param {Object} data - Dictionary to write
+ * @param {Object} data - Dictionary to write (flat, dotted keys)
  * @param {string} version - Version string to include
+ * @param {Object} options - { pseudo: boolean } Marks the file as a pseudo-locale with "_pseudo": true
  */
-function writeI18nJSONFile(filePath, data, version) {
+function writeI18nJSONFile(filePath, data, version, options = {}) {
   try {
-    // Sort the dictionary by keys alphabetically
-    const sortedData = {};
-    const sortedKeys = Object.keys(data).sort();
-    
-    // Add _version property first
-    sortedData['_version'] = version;
-    
-    // Add sorted translation keys
-    for (const key of sortedKeys) {
-      sortedData[key] = data[key];
-    }
+    // Add _version property first, then the nested and sorted translations
+    const sortedData = { _version: version, ...(options.pseudo ? { _pseudo: true } : {}), ...expandKeys(data) };
     
-    fs.writeFileSync(filePath, JSON.stringify(sortedData, null, 2), 'utf-8');
+    writeFileAtomic(filePath, JSON.stringify(sortedData, null, 2));
+    console.log(`Created: ${filePath}`);
+  } catch (error) {
+    console.error(`Error writing ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Write the language descriptions for language pickers and layouts.
+ * 
+ * @param {string} filePath - Path to the output JSON file
+ * @param {Object} locales - Result of describeLanguages
+ * @param {Object} options - { version, defaultLanguage }
+ */
+function writeLanguagesFile(filePath, locales, { version, defaultLanguage }) {
+  try {
+    writeFileAtomic(filePath, JSON.stringify({ _version: version, defaultLanguage, languages: locales }, null, 2));
     console.log(`Created: ${filePath}`);
   } catch (error) {
     console.error(`Error writing ${filePath}: ${error.message}`);
@@ -86,23 +118,51 @@ function writeI18nJSONFile(filePath, data, version) {
   }
 }
 
+/**
+ * Split the translations of one language by namespace.
+ * Keys in a namespace are made relative to it ("auth.login.title" -> "login.title"),
+ * keys without a namespace end up under ''.
+ * 
+ * @param {Object} data - Translations of one language (flat, dotted keys)
+ * @param {Object} namespaces - Namespace per key (from readAllTranslations)
+ * @returns {Object} Translations per namespace: { '': {...}, auth: {...} }
+ */
+function groupByNamespace(data, namespaces) {
+  const groups = { '': {} };
+  
+  for (const [key, value] of Object.entries(data)) {
+    const namespace = namespaces[key] || '';
+    const relativeKey = namespace ? key.slice(namespace.length + KEY_SEPARATOR.length) : key;
+    
+    groups[namespace] = groups[namespace] || {};
+    groups[namespace][relativeKey] = value;
+  }
+  
+  return groups;
+}
+
 /**
  * Main function to generate i18n translation files.
  */
 function main() {
-  // Default CSV file name (look in root directory)
-  let csvFile = path.join(__dirname, '..', '..', 'translations.csv');
+  // CSV file can be passed as command line argument (defaults to translations.csv in the root directory)
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const csvFile = resolveCSVPath(positional);
   
-  // Allow CSV file to be passed as command line argument
-  if (process.argv.length > 2) {
-    const argPath = process.argv[2];
-    csvFile = path.isAbsolute(argPath) ? argPath : path.join(process.cwd(), argPath);
-  }
+  const settings = readSettings();
+  const csvOptions = getCSVOptions(flags, settings);
   
   console.log(`Reading translations from: ${csvFile}`);
   
-  // Read translations from CSV
-  const { translations, languages } = readTranslationsFromCSV(csvFile);
+  // Read translations from CSV (plus the namespace CSV files from settings.json)
+  const csvData = readAllTranslations(csvFile, settings, csvOptions);
+  const { translations, languages, namespaces } = csvData;
+  
+  // Check placeholders, tags, etc. against the source language (exits in strict mode)
+  runValidation(csvData, settings, flags.strict === true);
+  
+  // Pseudo-locales (en-XA, en-XB) made from the source language, when they're turned on
+  const pseudo = generatePseudoTranslations(translations, languages, settings, getPseudoOptions(flags, settings));
   
   // Read current i18n version
   const currentI18nVersion = readI18nVersion();
@@ -113,13 +173,34 @@ function main() {
     fs.mkdirSync(i18nDir, { recursive: true });
   }
   
-  // Write JSON files for each language with _version property
+  // Write JSON files for each language (and namespace) with _version property
   console.log('\nGenerating i18n translation files...');
-  for (const langName of languages) {
-    const jsonFilename = `${langName}.json`;
-    const jsonPath = path.join(i18nDir, jsonFilename);
-    writeI18nJSONFile(jsonPath, translations[langName], currentI18nVersion);
+  const written = [];
+  for (const langName of [...languages, ...pseudo.languages]) {
+    const isPseudo = pseudo.languages.includes(langName);
+    const groups = groupByNamespace(isPseudo ? pseudo.translations[langName] : translations[langName], namespaces);
+    
+    for (const [namespace, data] of Object.entries(groups)) {
+      const jsonFilename = namespace ? path.join(langName, `${namespace}.json`) : `${langName}.json`;
+      const jsonPath = path.join(i18nDir, jsonFilename);
+      
+      fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+      writeI18nJSONFile(jsonPath, data, currentI18nVersion, { pseudo: isPseudo });
+      written.push({ file: jsonFilename.split(path.sep).join('/'), keys: Object.keys(data).length, pseudo: isPseudo });
+    }
   }
+  removeStalePseudoFiles(i18nDir, pseudo.languages, languages);
+  
+  // Names, text direction, plural categories, completion and fallbacks of every language
+  const allLanguages = [...languages, ...pseudo.languages];
+  const coverage = calculateCoverage({ ...translations, ...pseudo.translations }, allLanguages, getSourceLanguage(settings, languages));
+  writeLanguagesFile(path.join(i18nDir, LANGUAGES_FILE), describeLanguages(allLanguages, settings, coverage), {
+    version: currentI18nVersion,
+    defaultLanguage: settings.defaultLanguage || DEFAULT_LANGUAGE,
+  });
+  
+  // Report how complete each language is
+  generateCoverageReport(translations, languages, settings);
   
   // Increment and save i18n version
   console.log('\nUpdating i18n version...');
@@ -127,19 +208,23 @@ function main() {
   writeI18nVersion(newI18nVersion);
   
   console.log('\ni18n translation files generated successfully!');
-  for (const langName of languages) {
-    console.log(`  - translation/i18n/${langName}.json: ${Object.keys(translations[langName]).length} keys`);
+  for (const { file, keys, pseudo: isPseudo } of written) {
+    console.log(`  - translation/i18n/${file}: ${keys} keys${isPseudo ? ' (pseudo)' : ''}`);
   }
+  console.log(`  - translation/i18n/${LANGUAGES_FILE}: ${allLanguages.length} languages`);
   console.log(`  - i18n Version: ${currentI18nVersion} -> ${newI18nVersion}`);
 }
 
 // Check if this module is being run directly
-if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
   main();
 }
 
 export {
+  LANGUAGES_FILE,
   writeI18nJSONFile,
+  writeLanguagesFile,
+  groupByNamespace,
   readI18nVersion,
   writeI18nVersion
 };
@@ -0,0 +1,245 @@
+/**
+ * TypeScript generator for frontends.
+ * Writes translation/types/translations.d.ts with every key, the nested shape of the
+ * translations and the parameters each message expects, so unknown keys and missing
+ * parameters are compile errors instead of a 404 "Key not found" at runtime.
+ * 
+ * Usage:
+ *   npm run translate:types [-- path/to/translations.csv] [--out=src/i18n] [--constants]
+ * 
+ * With --constants it also writes keys.js (plus keys.d.ts), an ES module with the keys
+ * as constants: keys.auth.login.title === 'auth.login.title'.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  readAllTranslations,
+  readSettings,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions
+} from './translate.js';
+import { writeFileAtomic } from './files.js';
+import { getMessageArguments } from '../lib/messageformat.js';
+import { getSourceLanguage } from '../lib/coverage.js';
+import { expandKeys } from '../lib/keys.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TYPES_DIR = path.join(__dirname, '..', '..', 'translation', 'types');
+
+// TypeScript type for each kind of ICU argument
+const ARGUMENT_TYPES = {
+  argument: 'string | number',
+  select: 'string',
+  date: 'Date | number',
+  time: 'Date | number',
+  number: 'number',
+  plural: 'number',
+};
+
+// When languages use an argument differently, the strictest use wins ({count} vs {count, plural, ...})
+const ARGUMENT_PRECEDENCE = ['argument', 'select', 'date', 'time', 'number', 'plural'];
+
+const HEADER = '// Generated by `npm run translate:types` from the translation CSV. Do not edit.\n';
+
+/**
+ * Collect the parameters every key needs, over all languages.
+ * A parameter that only one language uses is still needed, because that language would fail without it.
+ * Messages that aren't valid ICU are skipped (the validation of the other scripts reports them).
+ * 
+ * @param {Object} translations - Translations by language
+ * @param {Array<string>} languages - Language names
+ * @param {Array<string>} keys - All keys
+ * @returns {Object} { key: { param: argumentType } }
+ */
+function collectParameters(translations, languages, keys) {
+  const parameters = {};
+  
+  for (const key of keys) {
+    parameters[key] = {};
+    
+    for (const langName of languages) {
+      const message = translations[langName][key];
+      if (!message) {
+        continue;
+      }
+      
+      let args;
+      try {
+        args = getMessageArguments(message);
+      } catch (error) {
+        continue;
+      }
+      
+      for (const [name, type] of Object.entries(args)) {
+        const previous = parameters[key][name];
+        if (!previous || ARGUMENT_PRECEDENCE.indexOf(type) > ARGUMENT_PRECEDENCE.indexOf(previous)) {
+          parameters[key][name] = type;
+        }
+      }
+    }
+  }
+  
+  return parameters;
+}
+
+/**
+ * Turn a list of strings into a TypeScript union of string literals.
+ */
+function toUnion(values) {
+  return values.length > 0 ? values.map((value) => JSON.stringify(value)).join(' | ') : 'never';
+}
+
+/**
+ * Write a nested object as a TypeScript object type, with leafType for the leaves.
+ */
+function toObjectType(tree, leafType, indent = '') {
+  const lines = Object.entries(tree).map(([name, value]) => {
+    const type = typeof value === 'object' ? toObjectType(value, leafType, indent + '  ') : leafType(value);
+    return `${indent}  readonly ${JSON.stringify(name)}: ${type};`;
+  });
+  
+  return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : '{}';
+}
+
+/**
+ * Build translations.d.ts.
+ * 
+ * @param {Object} options - { keys, languages, namespaces, parameters, sourceTranslations }
+ * @returns {string} File content
+ */
+function generateDeclarations({ keys, languages, namespaces, parameters, sourceTranslations }) {
+  const paramLines = keys.map((key) => {
+    const params = Object.entries(parameters[key])
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, type]) => `${JSON.stringify(name)}: ${ARGUMENT_TYPES[type] || ARGUMENT_TYPES.argument}`);
+    return `  ${JSON.stringify(key)}: {${params.length > 0 ? ` ${params.join('; ')} ` : ''}};`;
+  });
+  
+  return `${HEADER}
+/** Every translation key. */
+export type TranslationKey =
+  | ${keys.map((key) => JSON.stringify(key)).join('\n  | ') || 'never'};
+
+/** Every language there are translations for. */
+export type Language = ${toUnion(languages)};
+
+/** Every namespace (see "namespaces" in settings.json). */
+export type Namespace = ${toUnion(namespaces)};
+
+/** The parameters each message needs (an empty object when it needs none). */
+export interface TranslationParams {
+${paramLines.join('\n')}
+}
+
+/** Keys whose message needs parameters. */
+export type KeyWithParams = {
+  [K in TranslationKey]: keyof TranslationParams[K] extends never ? never : K;
+}[TranslationKey];
+
+/** Keys whose message needs no parameters. */
+export type KeyWithoutParams = Exclude<TranslationKey, KeyWithParams>;
+
+/** Arguments after the key: the params if the message needs them, nothing otherwise. */
+export type TranslationArgs<K extends TranslationKey> = keyof TranslationParams[K] extends never
+  ? [params?: Record<string, never>]
+  : [params: TranslationParams[K]];
+
+/** A typed t(): t("files_selected", { name: "Bob", count: 3 }). */
+export type TranslateFunction = <K extends TranslationKey>(key: K, ...args: TranslationArgs<K>) => string;
+
+/** The nested shape of the translations (like the i18n files). */
+export type Translations = ${toObjectType(expandKeys(sourceTranslations), () => 'string')};
+`;
+}
+
+/**
+ * Build keys.js and keys.d.ts, the key constants.
+ * 
+ * @param {Array<string>} keys - All keys
+ * @returns {Object} { js, dts } File contents
+ */
+function generateConstants(keys) {
+  const tree = expandKeys(Object.fromEntries(keys.map((key) => [key, key])));
+  
+  return {
+    js: `${HEADER}
+const freeze = (object) => {
+  Object.values(object).forEach((value) => typeof value === 'object' && freeze(value));
+  return Object.freeze(object);
+};
+
+export const keys = freeze(${JSON.stringify(tree, null, 2)});
+`,
+    dts: `${HEADER}
+export declare const keys: ${toObjectType(tree, (key) => JSON.stringify(key))};
+`,
+  };
+}
+
+/**
+ * Main function to generate the TypeScript declarations.
+ */
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const csvFile = resolveCSVPath(positional);
+  const outDir = typeof flags.out === 'string' ? path.resolve(process.cwd(), flags.out) : TYPES_DIR;
+  
+  const settings = readSettings();
+  const csvOptions = getCSVOptions(flags, settings);
+  
+  console.log(`Reading translations from: ${csvFile}`);
+  
+  const { translations, languages, namespaces } = readAllTranslations(csvFile, settings, csvOptions);
+  
+  const keys = [...new Set(languages.flatMap((langName) => Object.keys(translations[langName])))].sort();
+  const sourceLanguage = getSourceLanguage(settings, languages);
+  const sourceTranslations = Object.fromEntries(keys.map((key) => [key, (translations[sourceLanguage] || {})[key] || '']));
+  const parameters = collectParameters(translations, languages, keys);
+  
+  fs.mkdirSync(outDir, { recursive: true });
+  
+  const written = [];
+  const write = (filename, content) => {
+    writeFileAtomic(path.join(outDir, filename), content);
+    written.push(path.join(outDir, filename));
+  };
+  
+  write('translations.d.ts', generateDeclarations({
+    keys,
+    languages: [...languages].sort(),
+    namespaces: [...new Set(Object.values(namespaces))].sort(),
+    parameters,
+    sourceTranslations,
+  }));
+  
+  if (flags.constants === true) {
+    const { js, dts } = generateConstants(keys);
+    write('keys.js', js);
+    write('keys.d.ts', dts);
+  }
+  
+  const withParams = keys.filter((key) => Object.keys(parameters[key]).length > 0).length;
+  
+  console.log('\nTypeScript declarations generated successfully!');
+  console.log(`  - ${keys.length} keys (${withParams} with parameters), ${languages.length} languages`);
+  for (const file of written) {
+    console.log(`  - ${file}`);
+  }
+}
+
+// Check if this module is being run directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export {
+  TYPES_DIR,
+  collectParameters,
+  generateDeclarations,
+  generateConstants
+};
@@ -7,10 +7,28 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
+import { writeFileAtomic } from './files.js';
+import { CSVParseError, readCSVFile, writeCSVFile } from './csv.js';
+import { runValidation } from './validate.js';
+import { generateCoverageReport } from './coverage.js';
+import { writeSnapshot, writeBaselineSnapshot, pruneSnapshots } from './snapshots.js';
+import { readPreviousTranslations, generateChangelog } from './changelog.js';
+import { getPseudoOptions, generatePseudoTranslations, removeStalePseudoFiles } from './pseudo.js';
+import { KEY_SEPARATOR, isValidKeyPath, findKeyConflicts } from '../lib/keys.js';
+import {
+  METADATA_LOOKALIKES,
+  isMetadataColumn,
+  getMetadataColumnName,
+  readRowMetadata
+} from './metadata.js';
+import { METADATA_FILE } from '../lib/store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Header of the optional column that puts a row into a namespace (excluded from language detection)
+const NAMESPACE_COLUMN = 'namespace';
+
 /**
  * Validate if a language name/code is valid.
  * 
@@ -33,78 +51,41 @@ function isValidLanguageName(langName) {
   return pattern.test(langName.trim());
 }
 
-/**
- * Parse CSV file content
- * 
- * @param {string} content - CSV file content
- * @returns {Array<Array<string>>} Array of rows, each row is an array of cells
- */
-function parseCSV(content) {
-  const rows = [];
-  const lines = content.split(/\r?\n/);
-  
-  for (const line of lines) {
-    if (line.trim() === '') continue;
-    
-    const cells = [];
-    let currentCell = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          // Escaped quote
-          currentCell += '"';
-          i++;
-        } else {
-          // Toggle quote state
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        cells.push(currentCell);
-        currentCell = '';
-      } else {
-        currentCell += char;
-      }
-    }
-    
-    cells.push(currentCell);
-    rows.push(cells);
-  }
-  
-  return rows;
-}
-
 /**
  * Read translations from CSV file.
  * 
  * Expected CSV format:
  * - Column 1: Key (unique identifier)
  * - Column 2+: Language columns (identified by header names)
+ * - Optional "namespace" column: rows with a namespace get it as the first part of
+ *   their key (namespace "auth" + key "login.title" -> "auth.login.title")
+ * - Optional metadata columns starting with "@" (@description, @maxLength, @status, @tags,
+ *   @machine, see metadata.js), which aren't languages
  * 
  * @param {string} csvFilePath - Path to CSV file
- * @returns {Object} Object with translations and languages: {translations: Object, languages: Array<string>}
+ * @param {Object} [options] - CSV options: { delimiter } (detected from the header row by default)
+ *   and { namespace } to put every row of the file into a namespace
+ * @returns {Object} Object with translations and languages: {translations: Object, languages: Array<string>,
+ *   rowNumbers: Object, rawTranslations: Object, namespaces: Object, metadata: Object}
+ *   rowNumbers maps each key to its CSV row, rawTranslations holds the cells before trimming,
+ *   namespaces maps each key that belongs to a namespace to the namespace name,
+ *   metadata maps each key that has metadata to it ({ description, maxLength, status, tags, machineTranslated })
  * 
  * @throws {Error} If duplicate keys are found or invalid language names detected
  */
-function readTranslationsFromCSV(csvFilePath) {
+function readTranslationsFromCSV(csvFilePath, options = {}) {
   const translations = {};
+  const rawTranslations = {};
   const languages = [];
+  const namespaces = {};
+  const metadata = {};
   const seenKeys = {}; // Track keys and their row numbers for duplicate detection
+  const columns = { languages: [], namespace: -1, metadata: {} };
   let rowNumber = 0;
   
   try {
-    // Read CSV file with UTF-8 BOM handling
-    let content = fs.readFileSync(csvFilePath, 'utf-8');
-    
-    // Remove UTF-8 BOM if present
-    if (content.charCodeAt(0) === 0xFEFF) {
-      content = content.slice(1);
-    }
-    
-    const rows = parseCSV(content);
+    // Read CSV file (the BOM is skipped and the delimiter detected unless given)
+    const { rows } = readCSVFile(csvFilePath, options);
     
     if (rows.length === 0) {
       console.error('Error: CSV file is empty or has no header row.');
@@ -130,6 +111,25 @@ function readTranslationsFromCSV(csvFilePath) {
     for (let i = 1; i < headerRow.length; i++) {
       const langName = headerRow[i].trim();
       
+      if (langName.toLowerCase() === NAMESPACE_COLUMN) {
+        columns.namespace = i;
+        continue;
+      }
+      
+      if (isMetadataColumn(langName)) {
+        const metadataColumn = getMetadataColumnName(langName);
+        if (metadataColumn) {
+          columns.metadata[metadataColumn] = i;
+        } else {
+          console.warn(`Warning: Unknown metadata column '${langName}' in column ${i + 1}, ignoring it.`);
+        }
+        continue;
+      }
+      
+      if (METADATA_LOOKALIKES.includes(langName.toLowerCase())) {
+        console.warn(`Warning: Column '${langName}' is read as a language. Metadata columns start with '@' (e.g. '@description').`);
+      }
+      
       if (!langName) {
         console.warn(`Warning: Empty language name in column ${i + 1}, skipping.`);
         continue;
@@ -142,7 +142,9 @@ function readTranslationsFromCSV(csvFilePath) {
       }
       
       languages.push(langName);
+      columns.languages.push(i);
       translations[langName] = {};
+      rawTranslations[langName] = {};
     }
     
     if (languages.length === 0) {
@@ -156,7 +158,10 @@ function readTranslationsFromCSV(csvFilePath) {
     for (let i = 1; i < rows.length; i++) {
       rowNumber = i + 1;
       const row = rows[i];
-      const key = processRow(row, translations, languages, rowNumber, seenKeys);
+      const key = processRow(row, translations, languages, rowNumber, seenKeys, rawTranslations, {
+        ...columns,
+        defaultNamespace: options.namespace,
+      });
       
       if (key) {
         if (key in seenKeys) {
@@ -168,6 +173,26 @@ function readTranslationsFromCSV(csvFilePath) {
           process.exit(1);
         }
         seenKeys[key] = rowNumber;
+        
+        const namespace = getRowNamespace(row, columns, options.namespace);
+        if (namespace) {
+          if (!isValidLanguageName(namespace)) {
+            console.error(`\nError: Invalid namespace '${namespace}' in row ${rowNumber}.`);
+            console.error('Namespaces must contain only letters, numbers, underscores, and hyphens.');
+            process.exit(1);
+          }
+          namespaces[key] = namespace;
+        }
+        
+        try {
+          const rowMetadata = readRowMetadata(row, columns.metadata);
+          if (Object.keys(rowMetadata).length > 0) {
+            metadata[key] = rowMetadata;
+          }
+        } catch (error) {
+          console.error(`\nError: Invalid metadata in row ${rowNumber}: ${error.message}`);
+          process.exit(1);
+        }
       }
     }
     
@@ -176,11 +201,147 @@ function readTranslationsFromCSV(csvFilePath) {
       console.error(`Error: CSV file '${csvFilePath}' not found.`);
       process.exit(1);
     }
+    if (error instanceof CSVParseError) {
+      console.error(`Error: Malformed CSV file '${csvFilePath}': ${error.message}`);
+      process.exit(1);
+    }
     console.error(`Error reading CSV file: ${error.message}`);
     process.exit(1);
   }
   
-  return { translations, languages };
+  return { translations, languages, rowNumbers: seenKeys, rawTranslations, namespaces, metadata };
+}
+
+/**
+ * Get the CSV files that hold one namespace each, from the "namespaces" section of settings.json:
+ * { "auth": "translations/auth.csv" } (relative paths are resolved from the root directory).
+ * 
+ * @param {Object} settings - Parsed settings.json
+ * @returns {Array<Object>} Array of { namespace, file } with absolute file paths
+ */
+function getNamespaceFiles(settings) {
+  const rootDir = path.join(__dirname, '..', '..');
+  
+  return Object.entries(settings.namespaces || {}).map(([namespace, file]) => ({
+    namespace,
+    file: path.isAbsolute(file) ? file : path.join(rootDir, file),
+  }));
+}
+
+/**
+ * Add the translations read from another CSV file to the ones we already have.
+ * Languages that only one of the files has are filled with '' for the other file's keys.
+ * 
+ * @param {Object} target - Result of readTranslationsFromCSV, updated in place
+ * @param {Object} source - Result of readTranslationsFromCSV for the other file
+ * @param {string} csvFilePath - Path of the other file (for error reporting)
+ */
+function mergeTranslationData(target, source, csvFilePath) {
+  for (const langName of source.languages) {
+    if (!target.languages.includes(langName)) {
+      target.languages.push(langName);
+      target.translations[langName] = {};
+      target.rawTranslations[langName] = {};
+      
+      for (const key of Object.keys(target.rowNumbers)) {
+        target.translations[langName][key] = '';
+        target.rawTranslations[langName][key] = '';
+      }
+    }
+  }
+  
+  for (const [key, rowNumber] of Object.entries(source.rowNumbers)) {
+    if (key in target.rowNumbers) {
+      console.error(`\nError: Duplicate key '${key}' found!`);
+      console.error(`  First occurrence: row ${target.rowNumbers[key]}`);
+      console.error(`  Duplicate occurrence: row ${rowNumber} of ${csvFilePath}`);
+      process.exit(1);
+    }
+    
+    target.rowNumbers[key] = rowNumber;
+    
+    for (const langName of target.languages) {
+      const translation = (source.translations[langName] || {})[key];
+      target.translations[langName][key] = translation !== undefined ? translation : '';
+      target.rawTranslations[langName][key] = translation !== undefined ? source.rawTranslations[langName][key] : '';
+    }
+    
+    if (source.namespaces[key]) {
+      target.namespaces[key] = source.namespaces[key];
+    }
+    
+    if (source.metadata[key]) {
+      target.metadata[key] = source.metadata[key];
+    }
+  }
+}
+
+/**
+ * Check that the dotted keys can be nested: no empty parts ("auth..title") and
+ * no key that is both a message and the parent of other keys ("auth" and "auth.title").
+ * Exits the process if there are problems.
+ * 
+ * @param {Object} rowNumbers - CSV row number per key
+ */
+function checkKeyPaths(rowNumbers) {
+  const keys = Object.keys(rowNumbers);
+  const invalid = keys.filter(key => !isValidKeyPath(key));
+  const conflicts = findKeyConflicts(keys);
+  
+  if (invalid.length === 0 && conflicts.length === 0) {
+    return;
+  }
+  
+  console.error('');
+  for (const key of invalid) {
+    console.error(`  Error: row ${rowNumbers[key]} ${key}: key has an empty part between dots`);
+  }
+  for (const { key, child } of conflicts) {
+    console.error(`  Error: row ${rowNumbers[key]} ${key}: key is a message and also the parent of '${child}' (row ${rowNumbers[child]})`);
+  }
+  
+  console.error(`\nError: Found ${invalid.length + conflicts.length} key path conflict(s), a key can't be both a message and a group of messages.`);
+  process.exit(1);
+}
+
+/**
+ * Read the CSV file plus the namespace CSV files from settings.json and check
+ * that all keys can be nested. This is what the generation scripts work with.
+ * 
+ * @param {string} csvFilePath - Path to the main CSV file
+ * @param {Object} settings - Parsed settings.json
+ * @param {Object} [options] - CSV options: { delimiter }
+ * @returns {Object} Same shape as readTranslationsFromCSV, covering all files
+ */
+function readAllTranslations(csvFilePath, settings, options = {}) {
+  const csvData = readTranslationsFromCSV(csvFilePath, options);
+  
+  for (const { namespace, file } of getNamespaceFiles(settings)) {
+    if (!isValidLanguageName(namespace)) {
+      console.error(`Error: Invalid namespace '${namespace}' in settings.json.`);
+      process.exit(1);
+    }
+    
+    console.log(`Reading namespace '${namespace}' from: ${file}`);
+    mergeTranslationData(csvData, readTranslationsFromCSV(file, { ...options, namespace }), file);
+  }
+  
+  checkKeyPaths(csvData.rowNumbers);
+  return csvData;
+}
+
+/**
+ * Get the namespace of a CSV row: the namespace column if it's filled in,
+ * otherwise the namespace of the whole file (if any).
+ * 
+ * @param {Array<string>} row - Array of values from CSV row
+ * @param {Object} columns - Column layout: { namespace } is the namespace column index or -1
+ * @param {string} [defaultNamespace] - Namespace of the whole file
+ * @returns {string} Namespace name, '' for none
+ */
+function getRowNamespace(row, columns, defaultNamespace) {
+  const cell = columns.namespace > 0 && columns.namespace < row.length ? row[columns.namespace].trim() : '';
+  return cell || defaultNamespace || '';
 }
 
 /**
@@ -191,29 +352,38 @@ function readTranslationsFromCSV(csvFilePath) {
  * @param {Array<string>} languages - List of language names
  * @param {number} rowNumber - Current row number (for error reporting)
  * @param {Object} seenKeys - Dictionary of already seen keys and their row numbers
+ * @param {Object} [rawTranslations] - Optional dictionary to update with the untrimmed cell values
+ * @param {Object} [columns] - Column layout: { languages: column index per language, namespace: column
+ *   index or -1, defaultNamespace }. By default language i is in column i+1 and there are no namespaces.
  * 
- * @returns {string|null} The key if successfully processed, null otherwise
+ * @returns {string|null} The key (including its namespace) if successfully processed, null otherwise
  */
-function processRow(row, translations, languages, rowNumber, seenKeys) {
+function processRow(row, translations, languages, rowNumber, seenKeys, rawTranslations, columns = {}) {
   if (row.length < 1) {
     console.warn(`Warning: Skipping row ${rowNumber} with no data: ${JSON.stringify(row)}`);
     return null;
   }
   
-  const key = row[0].trim();
-  
-  if (!key) {
+  if (!row[0].trim()) {
     console.warn(`Warning: Skipping row ${rowNumber} with empty key: ${JSON.stringify(row)}`);
     return null;
   }
   
+  const namespace = getRowNamespace(row, { namespace: -1, ...columns }, columns.defaultNamespace);
+  const key = namespace ? `${namespace}${KEY_SEPARATOR}${row[0].trim()}` : row[0].trim();
+  
   // Process each language column
   for (let i = 0; i < languages.length; i++) {
     const langName = languages[i];
-    // Get translation value (column index is i+1 since first column is key)
-    const translation = (i + 1 < row.length) ? row[i + 1].trim() : '';
+    // Get translation value (the first column is the key, so by default language i is in column i+1)
+    const column = columns.languages ? columns.languages[i] : i + 1;
+    const rawTranslation = (column < row.length) ? row[column] : '';
+    
+    translations[langName][key] = rawTranslation.trim();
     
-    translations[langName][key] = translation;
+    if (rawTranslations) {
+      rawTranslations[langName][key] = rawTranslation;
+    }
   }
   
   return key;
@@ -236,7 +406,7 @@ function writeJSONFile(filePath, data) {
       sortedData[key] = data[key];
     }
     
-    fs.writeFileSync(filePath, JSON.stringify(sortedData, null, 2), 'utf-8');
+    writeFileAtomic(filePath, JSON.stringify(sortedData, null, 2));
     console.log(`Created: ${filePath}`);
   } catch (error) {
     console.error(`Error writing ${filePath}: ${error.message}`);
@@ -246,21 +416,15 @@ function writeJSONFile(filePath, data) {
 
 /**
  * Sort the CSV file rows by the key column (first column) alphabetically.
- * Preserves the header row.
+ * Preserves the header row, the BOM, the delimiter and the line-ending style,
+ * and quotes cells that need it, so multiline cells survive the rewrite.
  * 
  * @param {string} csvFilePath - Path to the CSV file to sort
+ * @param {Object} [options] - CSV options: { delimiter } (detected from the header row by default)
  */
-function sortCSVFile(csvFilePath) {
+function sortCSVFile(csvFilePath, options = {}) {
   try {
-    // Read CSV file with UTF-8 BOM handling
-    let content = fs.readFileSync(csvFilePath, 'utf-8');
-    const hasBOM = content.charCodeAt(0) === 0xFEFF;
-    
-    if (hasBOM) {
-      content = content.slice(1);
-    }
-    
-    const rows = parseCSV(content);
+    const { rows, format } = readCSVFile(csvFilePath, options);
     
     if (rows.length === 0) {
       return; // Empty file, nothing to sort
@@ -276,32 +440,10 @@ function sortCSVFile(csvFilePath) {
       return keyA.localeCompare(keyB);
     });
     
-    // Reconstruct CSV content
-    let csvContent = '';
-    
-    // Write header
-    csvContent += header.map(cell => {
-      if (cell.includes(',') || cell.includes('"') || cell.includes('\n')) {
-        return `"${cell.replace(/"/g, '""')}"`;
-      }
-      return cell;
-    }).join(',') + '\n';
-    
-    // Write sorted data rows
-    for (const row of dataRows) {
-      csvContent += row.map(cell => {
-        if (cell.includes(',') || cell.includes('"') || cell.includes('\n')) {
-          return `"${cell.replace(/"/g, '""')}"`;
-        }
-        return cell;
-      }).join(',') + '\n';
-    }
-    
-    // Write back with UTF-8 BOM for Excel compatibility
-    const bom = hasBOM ? '\uFEFF' : '';
-    fs.writeFileSync(csvFilePath, bom + csvContent, 'utf-8');
+    // Write back in the same format we read (keeping the UTF-8 BOM for Excel compatibility if it was there)
+    writeCSVFile(csvFilePath, [header, ...dataRows], format);
     
-    console.log(`Sorted CSV file: ${csvFilePath} (UTF-8 with BOM for Excel compatibility)`);
+    console.log(`Sorted CSV file: ${csvFilePath}${format.bom ? ' (UTF-8 with BOM for Excel compatibility)' : ''}`);
     
   } catch (error) {
     console.warn(`Warning: Could not sort CSV file: ${error.message}`);
@@ -348,6 +490,77 @@ function incrementVersion(version) {
   return `v${parts.join('.')}`;
 }
 
+/**
+ * Read the whole settings.json file
+ * @returns {Object} Parsed settings or an empty object if the file doesn't exist
+ */
+function readSettings() {
+  const settingsFile = path.join(__dirname, '..', '..', 'settings.json');
+  
+  try {
+    if (fs.existsSync(settingsFile)) {
+      return JSON.parse(fs.readFileSync(settingsFile, 'utf-8'));
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not read settings file: ${error.message}`);
+  }
+  
+  return {};
+}
+
+/**
+ * Parse command line arguments into positional arguments and --flags.
+ * Supports "--flag" (true) and "--name=value".
+ * 
+ * @param {Array<string>} argv - Arguments after the script name (process.argv.slice(2))
+ * @returns {Object} { positional: Array<string>, flags: Object }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [name, ...value] = arg.slice(2).split('=');
+      flags[name] = value.length > 0 ? value.join('=') : true;
+    } else {
+      positional.push(arg);
+    }
+  }
+  
+  return { positional, flags };
+}
+
+/**
+ * Resolve the CSV file path from the positional command line arguments.
+ * Defaults to translations.csv in the root directory.
+ * 
+ * @param {Array<string>} positional - Positional arguments from parseArgs
+ * @returns {string} Absolute path to the CSV file
+ */
+function resolveCSVPath(positional) {
+  if (positional.length > 0) {
+    const argPath = positional[0];
+    return path.isAbsolute(argPath) ? argPath : path.join(process.cwd(), argPath);
+  }
+  
+  return path.join(__dirname, '..', '..', 'translations.csv');
+}
+
+/**
+ * Get the CSV options for the scripts.
+ * The delimiter comes from --delimiter=<char|semicolon|tab>, then from "csv.delimiter"
+ * in settings.json, and is detected from the header row if neither is set.
+ * 
+ * @param {Object} flags - Flags from parseArgs
+ * @param {Object} settings - Parsed settings.json
+ * @returns {Object} { delimiter } (undefined means "detect")
+ */
+function getCSVOptions(flags, settings) {
+  const delimiter = typeof flags.delimiter === 'string' ? flags.delimiter : (settings.csv || {}).delimiter;
+  return { delimiter: delimiter || undefined };
+}
+
 /**
  * Read version from settings.json file
  * @returns {string} Current version or default v1.0.0.0
@@ -385,7 +598,7 @@ function writeVersion(version) {
     
     data.version = version;
     
-    fs.writeFileSync(versionFile, JSON.stringify(data, null, 2), 'utf-8');
+    writeFileAtomic(versionFile, JSON.stringify(data, null, 2));
     console.log(`Version updated to: ${version}`);
   } catch (error) {
     console.error(`Error writing version file: ${error.message}`);
@@ -396,19 +609,24 @@ function writeVersion(version) {
  * Main function to orchestrate the translation file generation.
  */
 function main() {
-  // Default CSV file name (look in root directory)
-  let csvFile = path.join(__dirname, '..', '..', 'translations.csv');
+  // CSV file can be passed as command line argument (defaults to translations.csv in the root directory)
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const csvFile = resolveCSVPath(positional);
   
-  // Allow CSV file to be passed as command line argument
-  if (process.argv.length > 2) {
-    const argPath = process.argv[2];
-    csvFile = path.isAbsolute(argPath) ? argPath : path.join(process.cwd(), argPath);
-  }
+  const settings = readSettings();
+  const csvOptions = getCSVOptions(flags, settings);
   
   console.log(`Reading translations from: ${csvFile}`);
   
-  // Read translations from CSV
-  const { translations, languages } = readTranslationsFromCSV(csvFile);
+  // Read translations from CSV (plus the namespace CSV files from settings.json)
+  const csvData = readAllTranslations(csvFile, settings, csvOptions);
+  const { translations, languages, metadata } = csvData;
+  
+  // Check placeholders, tags, etc. against the source language (exits in strict mode)
+  runValidation(csvData, settings, flags.strict === true);
+  
+  // Pseudo-locales (en-XA, en-XB) made from the source language, when they're turned on
+  const pseudo = generatePseudoTranslations(translations, languages, settings, getPseudoOptions(flags, settings));
   
   // Create translation folder if it doesn't exist
   const translationDir = path.join(__dirname, '..', '..', 'translation');
@@ -416,6 +634,9 @@ function main() {
     fs.mkdirSync(translationDir, { recursive: true });
   }
   
+  // Remember what the files looked like, for the changelog of this run and the baseline snapshot
+  const previousTranslations = readPreviousTranslations(translationDir, [...languages, ...pseudo.languages]);
+  
   // Write JSON files for each language
   console.log('\nGenerating translation files...');
   for (const langName of languages) {
@@ -423,36 +644,70 @@ function main() {
     const jsonPath = path.join(translationDir, jsonFilename);
     writeJSONFile(jsonPath, translations[langName]);
   }
+  for (const locale of pseudo.languages) {
+    writeJSONFile(path.join(translationDir, `${locale}.json`), pseudo.translations[locale]);
+  }
+  removeStalePseudoFiles(translationDir, pseudo.languages, languages);
+  
+  // Descriptions, max lengths, statuses and tags for /api/translate?meta=true ("@" so it's not a language)
+  writeJSONFile(path.join(translationDir, METADATA_FILE), metadata);
   
-  // Sort the CSV file by key column
+  // Report how complete each language is
+  generateCoverageReport(translations, languages, settings);
+  
+  // Sort the CSV files by key column
   console.log('\nSorting CSV file...');
-  sortCSVFile(csvFile);
+  sortCSVFile(csvFile, csvOptions);
+  for (const { file } of getNamespaceFiles(settings)) {
+    sortCSVFile(file, csvOptions);
+  }
   
-  // Increment and save version
+  // Increment and save version, keeping a snapshot of the files under the new version
+  // (written before settings.json so it's there when the server picks up the new version)
   console.log('\nUpdating version...');
   const currentVersion = readVersion();
   const newVersion = incrementVersion(currentVersion);
+  writeBaselineSnapshot(currentVersion, previousTranslations);
+  writeSnapshot(newVersion, { ...translations, ...pseudo.translations }, [...languages, ...pseudo.languages]);
   writeVersion(newVersion);
+  pruneSnapshots(settings, newVersion);
+  
+  // Summarize what this run changed compared to the previous version
+  generateChangelog(previousTranslations, translations, languages, {
+    previousVersion: currentVersion,
+    version: newVersion,
+  });
   
   console.log('\nTranslation files generated successfully!');
   for (const langName of languages) {
     console.log(`  - translation/${langName}.json: ${Object.keys(translations[langName]).length} keys`);
   }
+  for (const locale of pseudo.languages) {
+    console.log(`  - translation/${locale}.json: ${Object.keys(pseudo.translations[locale]).length} keys (pseudo)`);
+  }
   console.log(`  - Version: ${currentVersion} -> ${newVersion}`);
 }
 
 // Check if this module is being run directly
-if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
   main();
 }
 
 export {
   readTranslationsFromCSV,
+  readAllTranslations,
+  getNamespaceFiles,
+  checkKeyPaths,
   isValidLanguageName,
   processRow,
+  writeFileAtomic,
   writeJSONFile,
   sortCSVFile,
   incrementVersion,
+  readSettings,
+  parseArgs,
+  resolveCSVPath,
+  getCSVOptions,
   readVersion,
   writeVersion
 };
@@ -0,0 +1,360 @@
+/**
+ * Validation pass over parsed translations.
+ * Compares every language against the source language column and reports
+ * lost placeholders, broken ICU syntax, unbalanced HTML tags, whitespace and
+ * punctuation differences and suspicious length ratios, and checks the @maxLength
+ * of every language.
+ */
+
+import { parseMessage, getMessageArguments } from '../lib/messageformat.js';
+import { getSourceLanguage } from '../lib/coverage.js';
+
+// Problems of these types break the UI, everything else is a warning
+const ERROR_TYPES = ['icu-syntax', 'placeholders', 'tags', 'max-length'];
+
+// Default limits for how much longer/shorter a translation may be than the source
+const DEFAULT_MAX_LENGTH_RATIO = 3;
+const DEFAULT_MIN_LENGTH_RATIO = 0.3;
+
+// Very short strings vary too much in length to say anything useful about them
+const MIN_SOURCE_LENGTH_FOR_RATIO = 10;
+
+// HTML elements that never have a closing tag
+const VOID_TAGS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr'];
+
+// Trailing punctuation that should survive translation, with the characters other scripts use for it
+const TRAILING_PUNCTUATION = {
+  ':': [':', '：', '؛'],
+  '?': ['?', '？', '؟'],
+  '!': ['!', '！'],
+  '…': ['…', '...'],
+};
+
+/**
+ * Get the ICU argument names used in a message.
+ * 
+ * @param {string} message - Translation message
+ * @returns {Array<string>|null} Sorted argument names, or null if the message isn't valid ICU
+ */
+function getPlaceholders(message) {
+  try {
+    return Object.keys(getMessageArguments(message)).sort();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the HTML tags used in a message and check that they are balanced.
+ * 
+ * @param {string} message - Translation message
+ * @returns {Object} { tags: Array<string>, problem: string|null }
+ *   tags is the sorted list of tag names (one entry per opening or self-closing tag)
+ */
+function getTags(message) {
+  const tags = [];
+  const stack = [];
+  let problem = null;
+  const pattern = /<(\/?)([a-zA-Z][\w-]*)[^<>]*?(\/?)>/g;
+  let match;
+  
+  while ((match = pattern.exec(message)) !== null) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    
+    if (closing) {
+      if (stack.length === 0 || stack[stack.length - 1] !== name) {
+        problem = problem || `unexpected closing tag </${name}>`;
+      } else {
+        stack.pop();
+      }
+      continue;
+    }
+    
+    tags.push(name);
+    
+    if (!selfClosing && !VOID_TAGS.includes(name)) {
+      stack.push(name);
+    }
+  }
+  
+  if (!problem && stack.length > 0) {
+    problem = `unclosed tag <${stack[stack.length - 1]}>`;
+  }
+  
+  return { tags: tags.sort(), problem };
+}
+
+/**
+ * Find which kind of trailing punctuation a message ends with.
+ * 
+ * @param {string} message - Translation message
+ * @returns {string|null} Key of TRAILING_PUNCTUATION or null
+ */
+function getTrailingPunctuation(message) {
+  const trimmed = message.trim();
+  
+  for (const [kind, variants] of Object.entries(TRAILING_PUNCTUATION)) {
+    if (variants.some(variant => trimmed.endsWith(variant))) {
+      return kind;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Describe the difference between two lists of names.
+ * 
+ * @param {Array<string>} expected - Names in the source
+ * @param {Array<string>} actual - Names in the translation
+ * @param {Function} format - Turns a name into how it's shown in the message
+ * @returns {string|null} Description like "missing {count}; unexpected {name}", or null if equal
+ */
+function describeDifference(expected, actual, format) {
+  const remaining = [...actual];
+  const missing = [];
+  
+  for (const name of expected) {
+    const index = remaining.indexOf(name);
+    if (index === -1) {
+      missing.push(name);
+    } else {
+      remaining.splice(index, 1);
+    }
+  }
+  
+  const parts = [];
+  if (missing.length > 0) {
+    parts.push(`missing ${missing.map(format).join(', ')}`);
+  }
+  if (remaining.length > 0) {
+    parts.push(`unexpected ${remaining.map(format).join(', ')}`);
+  }
+  
+  return parts.length > 0 ? parts.join('; ') : null;
+}
+
+/**
+ * Validate translations against the source language.
+ * 
+ * Checks (per key and language, empty cells are skipped):
+ * - icu-syntax: the message must be valid ICU MessageFormat (the source is checked too)
+ * - placeholders: the same arguments as the source
+ * - tags: balanced HTML tags, and the same tags as the source
+ * - whitespace: same leading/trailing whitespace as the source (needs rawTranslations)
+ * - punctuation: same trailing colon, question mark, exclamation mark or ellipsis as the source
+ * - length: length ratio to the source within minLengthRatio..maxLengthRatio
+ * - max-length: no more characters than the @maxLength of the key (every language, the source too)
+ * 
+ * @param {Object} translations - Translations by language and key (from readTranslationsFromCSV)
+ * @param {Array<string>} languages - Language names
+ * @param {Object} options - Validation options
+ * @param {string} options.sourceLanguage - Language to compare against (default: first language)
+ * @param {Object} options.rowNumbers - CSV row number per key, used in reports
+ * @param {Object} options.rawTranslations - Untrimmed cell values by language and key
+ * @param {number} options.maxLengthRatio - Maximum translation/source length ratio (default 3)
+ * @param {number} options.minLengthRatio - Minimum translation/source length ratio (default 0.3)
+ * @param {Object} options.metadata - Metadata per key (from readTranslationsFromCSV), for @maxLength
+ * @returns {Array<Object>} Problems: {key, language, row, type, severity, message}
+ */
+function validateTranslations(translations, languages, options = {}) {
+  const sourceLanguage = options.sourceLanguage || languages[0];
+  const rowNumbers = options.rowNumbers || {};
+  const rawTranslations = options.rawTranslations || {};
+  const maxLengthRatio = options.maxLengthRatio || DEFAULT_MAX_LENGTH_RATIO;
+  const minLengthRatio = options.minLengthRatio || DEFAULT_MIN_LENGTH_RATIO;
+  const metadata = options.metadata || {};
+  const problems = [];
+  
+  if (!translations[sourceLanguage]) {
+    throw new Error(`Source language '${sourceLanguage}' is not a column in the CSV file`);
+  }
+  
+  const report = (key, language, type, message) => {
+    problems.push({
+      key,
+      language,
+      row: rowNumbers[key] || null,
+      type,
+      severity: ERROR_TYPES.includes(type) ? 'error' : 'warning',
+      message,
+    });
+  };
+  
+  for (const key of Object.keys(translations[sourceLanguage])) {
+    const source = translations[sourceLanguage][key];
+    
+    if (!source) {
+      continue;
+    }
+    
+    let sourceValid = true;
+    try {
+      parseMessage(source);
+    } catch (error) {
+      sourceValid = false;
+      report(key, sourceLanguage, 'icu-syntax', `invalid ICU message: ${error.message}`);
+    }
+    
+    const sourcePlaceholders = getPlaceholders(source);
+    const sourceTags = getTags(source);
+    const sourceRaw = (rawTranslations[sourceLanguage] || {})[key];
+    
+    if (sourceTags.problem) {
+      report(key, sourceLanguage, 'tags', sourceTags.problem);
+    }
+    
+    // Max length (counted in characters, so "ü" and "日" are one each)
+    const maxLength = (metadata[key] || {}).maxLength;
+    if (maxLength) {
+      for (const language of languages) {
+        const length = [...((translations[language] || {})[key] || '')].length;
+        if (length > maxLength) {
+          report(key, language, 'max-length', `${length} characters, the maximum is ${maxLength}`);
+        }
+      }
+    }
+    
+    for (const language of languages) {
+      const target = (translations[language] || {})[key];
+      
+      if (language === sourceLanguage || !target) {
+        continue;
+      }
+      
+      // ICU syntax and placeholders
+      try {
+        parseMessage(target);
+        
+        if (sourceValid) {
+          const difference = describeDifference(sourcePlaceholders, getPlaceholders(target), name => `{${name}}`);
+          if (difference) {
+            report(key, language, 'placeholders', `placeholders differ from ${sourceLanguage}: ${difference}`);
+          }
+        }
+      } catch (error) {
+        report(key, language, 'icu-syntax', `invalid ICU message: ${error.message}`);
+      }
+      
+      // HTML tags
+      const targetTags = getTags(target);
+      if (targetTags.problem) {
+        report(key, language, 'tags', targetTags.problem);
+      } else if (!sourceTags.problem) {
+        const difference = describeDifference(sourceTags.tags, targetTags.tags, name => `<${name}>`);
+        if (difference) {
+          report(key, language, 'tags', `tags differ from ${sourceLanguage}: ${difference}`);
+        }
+      }
+      
+      // Leading/trailing whitespace (only visible in the raw cells, the JSON values are trimmed)
+      const targetRaw = (rawTranslations[language] || {})[key];
+      if (sourceRaw !== undefined && targetRaw !== undefined) {
+        const leading = value => value.match(/^\s*/)[0].length > 0;
+        const trailing = value => value.match(/\s*$/)[0].length > 0;
+        
+        if (leading(sourceRaw) !== leading(targetRaw) || trailing(sourceRaw) !== trailing(targetRaw)) {
+          report(key, language, 'whitespace', `leading/trailing whitespace differs from ${sourceLanguage}`);
+        }
+      }
+      
+      // Trailing punctuation
+      const sourcePunctuation = getTrailingPunctuation(source);
+      const targetPunctuation = getTrailingPunctuation(target);
+      if (sourcePunctuation !== targetPunctuation) {
+        const describe = kind => kind ? `'${kind}'` : 'none';
+        report(key, language, 'punctuation',
+          `ends with ${describe(targetPunctuation)}, ${sourceLanguage} ends with ${describe(sourcePunctuation)}`);
+      }
+      
+      // Length ratio
+      if (source.length >= MIN_SOURCE_LENGTH_FOR_RATIO) {
+        const ratio = target.length / source.length;
+        if (ratio > maxLengthRatio || ratio < minLengthRatio) {
+          report(key, language, 'length',
+            `length is ${ratio.toFixed(2)}x the ${sourceLanguage} text (allowed ${minLengthRatio}-${maxLengthRatio})`);
+        }
+      }
+    }
+  }
+  
+  return problems;
+}
+
+/**
+ * Print validation problems, sorted by CSV row and language.
+ * 
+ * @param {Array<Object>} problems - Problems from validateTranslations
+ */
+function printValidationReport(problems) {
+  if (problems.length === 0) {
+    console.log('Validation passed: no problems found.');
+    return;
+  }
+  
+  const sorted = [...problems].sort((a, b) =>
+    (a.row || 0) - (b.row || 0) || a.language.localeCompare(b.language));
+  
+  for (const problem of sorted) {
+    const location = problem.row ? `row ${problem.row}` : 'row ?';
+    const log = problem.severity === 'error' ? console.error : console.warn;
+    log(`  ${problem.severity === 'error' ? 'Error' : 'Warning'}: ${location} [${problem.language}] ${problem.key}: ${problem.message}`);
+  }
+  
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+  console.log(`\nValidation found ${errors} error(s) and ${problems.length - errors} warning(s).`);
+}
+
+/**
+ * Run the validation pass for one of the generation scripts.
+ * Prints the report and exits the process in strict mode when there are problems.
+ * 
+ * Options come from the "validation" section of settings.json:
+ * { sourceLanguage, maxLengthRatio, minLengthRatio, strict }
+ * and strict mode can also be switched on with the --strict command line flag.
+ * 
+ * @param {Object} csvData - Result of readTranslationsFromCSV
+ * @param {Object} settings - Parsed settings.json
+ * @param {boolean} strict - Whether the --strict flag was passed
+ */
+function runValidation(csvData, settings, strict) {
+  const { translations, languages, rowNumbers, rawTranslations, metadata } = csvData;
+  const validationSettings = settings.validation || {};
+  const strictMode = strict || validationSettings.strict === true;
+  const sourceLanguage = getSourceLanguage(settings, languages);
+  
+  console.log(`\nValidating translations against '${sourceLanguage}'${strictMode ? ' (strict mode)' : ''}...`);
+  
+  let problems;
+  try {
+    problems = validateTranslations(translations, languages, {
+      sourceLanguage,
+      rowNumbers,
+      rawTranslations,
+      maxLengthRatio: validationSettings.maxLengthRatio,
+      minLengthRatio: validationSettings.minLengthRatio,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
+  printValidationReport(problems);
+  
+  if (strictMode && problems.length > 0) {
+    console.error('\nError: Validation failed in strict mode, no files were generated.');
+    process.exit(1);
+  }
+  
+  return problems;
+}
+
+export {
+  validateTranslations,
+  printValidationReport,
+  runValidation,
+  getTags,
+  getPlaceholders
+};
@@ -0,0 +1,158 @@
+/**
+ * Android strings.xml writer.
+ * Writes values[-<qualifier>]/strings.xml per language. ICU placeholders become
+ * positional format arguments (%1$s, %2$d) and messages with a plural become
+ * <plurals> resources. The source language goes to the default values/ folder.
+ */
+
+import {
+  PLURAL_CATEGORIES,
+  UnsupportedMessageError,
+  escapeXML,
+  splitLocale,
+  tryParseMessage,
+  getArgumentPositions,
+  toPrintfFormat,
+  splitPluralMessage
+} from './shared.js';
+
+/**
+ * Get the resource folder for a language, e.g. "values-de", "values-fr-rCA"
+ * or "values-b+zh+Hant+TW" when a script is involved.
+ * 
+ * @param {string} langName - Language code
+ * @param {boolean} isSource - Whether this is the source (default) language
+ * @returns {string} Folder name
+ */
+function getValuesFolder(langName, isSource) {
+  if (isSource) {
+    return 'values';
+  }
+  
+  const { language, script, region } = splitLocale(langName);
+  
+  if (script) {
+    return `values-b+${[language, script, region].filter(Boolean).join('+')}`;
+  }
+  
+  return region ? `values-${language}-r${region}` : `values-${language}`;
+}
+
+/**
+ * Turn a translation key into a valid Android resource name.
+ * 
+ * @param {string} key - Translation key
+ * @returns {string} Resource name (letters, digits and underscores)
+ */
+function toResourceName(key) {
+  const name = key.replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[a-zA-Z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Escape a string resource value: XML special characters plus the characters
+ * aapt treats specially (quotes, backslashes, leading @ and ?, line breaks).
+ * 
+ * @param {string} text - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeAndroid(text) {
+  return escapeXML(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/&quot;/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/^([@?])/, '\\$1');
+}
+
+/**
+ * Build the <string> or <plurals> resource for one message.
+ * 
+ * @param {string} name - Resource name
+ * @param {string} message - Translation message
+ * @param {Function} warn - Called with a description when the message has to be simplified
+ * @returns {string} Resource XML
+ */
+function buildResource(name, message, warn) {
+  const nodes = tryParseMessage(message);
+  
+  if (!nodes) {
+    return `    <string name="${name}" formatted="false">${escapeAndroid(message)}</string>`;
+  }
+  
+  const positions = getArgumentPositions(nodes);
+  const options = { positions, objectSpecifier: 's' };
+  
+  try {
+    const split = splitPluralMessage(nodes);
+    
+    if (split) {
+      const items = PLURAL_CATEGORIES
+        .filter(category => category in split.variants)
+        .map(category => {
+          const format = toPrintfFormat([...split.before, ...split.variants[category], ...split.after],
+            { ...options, pluralName: split.plural.name });
+          return `        <item quantity="${category}">${escapeAndroid(format)}</item>`;
+        });
+      
+      return [`    <plurals name="${name}">`, ...items, '    </plurals>'].join('\n');
+    }
+    
+    if (Object.keys(positions).length === 0) {
+      const text = nodes.map(node => node.value).join('');
+      return `    <string name="${name}" formatted="false">${escapeAndroid(text)}</string>`;
+    }
+    
+    return `    <string name="${name}">${escapeAndroid(toPrintfFormat(nodes, options))}</string>`;
+  } catch (error) {
+    if (!(error instanceof UnsupportedMessageError)) {
+      throw error;
+    }
+    warn(`${error.message}, exported as plain text`);
+    return `    <string name="${name}" formatted="false">${escapeAndroid(message)}</string>`;
+  }
+}
+
+/**
+ * Generate strings.xml files for all languages.
+ * Empty translations are left out so Android falls back to the default language.
+ * 
+ * @param {Object} context - Export context (see export.js)
+ * @returns {Array<Object>} Files: { file, content }
+ */
+function generateAndroid({ translations, languages, sourceLanguage, keys, warn }) {
+  const usedNames = {};
+  
+  for (const key of keys) {
+    const name = toResourceName(key);
+    if (usedNames[name] && usedNames[name] !== key) {
+      warn(key, sourceLanguage, `resource name '${name}' is also used by '${usedNames[name]}'`);
+    }
+    usedNames[name] = usedNames[name] || key;
+  }
+  
+  return languages.map(langName => {
+    const resources = keys
+      .filter(key => translations[langName][key])
+      .map(key => buildResource(toResourceName(key), translations[langName][key],
+        message => warn(key, langName, message)));
+    
+    const content = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<resources>',
+      ...resources,
+      '</resources>',
+      '',
+    ].join('\n');
+    
+    return { file: `${getValuesFolder(langName, langName === sourceLanguage)}/strings.xml`, content };
+  });
+}
+
+export {
+  getValuesFolder,
+  toResourceName,
+  escapeAndroid,
+  generateAndroid
+};
@@ -0,0 +1,80 @@
+/**
+ * Flutter ARB writer.
+ * Writes one app_<lang>.arb file per language. ARB messages use ICU syntax already,
+ * so they're written as they are; the source language file also gets the "@key"
+ * metadata with the placeholders Flutter's gen-l10n needs and the @description of the key.
+ */
+
+import { getMessageArguments } from '../../lib/messageformat.js';
+
+// ARB placeholder types for each kind of ICU argument
+const PLACEHOLDER_TYPES = {
+  argument: { type: 'String' },
+  select: { type: 'String' },
+  plural: { type: 'num' },
+  number: { type: 'num', format: 'decimalPattern' },
+  date: { type: 'DateTime', format: 'yMd' },
+  time: { type: 'DateTime', format: 'jm' },
+};
+
+/**
+ * Get the ARB placeholder metadata for a message.
+ * 
+ * @param {string} message - Source message
+ * @returns {Object|null} Placeholders object or null if the message has none (or isn't valid ICU)
+ */
+function getPlaceholders(message) {
+  let args;
+  try {
+    args = getMessageArguments(message);
+  } catch (error) {
+    return null;
+  }
+  
+  const names = Object.keys(args);
+  if (names.length === 0) {
+    return null;
+  }
+  
+  return Object.fromEntries(names.map(name => [name, { ...PLACEHOLDER_TYPES[args[name]] }]));
+}
+
+/**
+ * Generate ARB files for all languages.
+ * Empty translations are left out so Flutter falls back to the template language.
+ * 
+ * @param {Object} context - Export context (see export.js)
+ * @returns {Array<Object>} Files: { file, content }
+ */
+function generateARB({ translations, languages, sourceLanguage, keys, version, metadata = {} }) {
+  return languages.map(langName => {
+    const data = { '@@locale': langName.replace(/-/g, '_'), '@@x-version': version };
+    
+    for (const key of keys) {
+      const value = translations[langName][key];
+      
+      if (!value) {
+        continue;
+      }
+      
+      data[key] = value;
+      
+      if (langName === sourceLanguage) {
+        const description = (metadata[key] || {}).description;
+        const placeholders = getPlaceholders(value);
+        if (description || placeholders) {
+          data[`@${key}`] = {
+            ...(description ? { description } : {}),
+            ...(placeholders ? { placeholders } : {}),
+          };
+        }
+      }
+    }
+    
+    return { file: `app_${langName.replace(/-/g, '_')}.arb`, content: JSON.stringify(data, null, 2) + '\n' };
+  });
+}
+
+export {
+  generateARB
+};
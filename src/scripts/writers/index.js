@@ -0,0 +1,86 @@
+/**
+ * Registry of the export writers available to `npm run translate:export`.
+ * 
+ * A writer is a function that gets the export context and returns the files to write:
+ * 
+ *   generate({ translations, languages, sourceLanguage, keys, version, metadata, warn })
+ *     -> [{ file: 'relative/path.ext', content: '...' }]
+ * 
+ * metadata holds the @description, @maxLength, @status, @tags and @machine columns per key
+ * ({ description, maxLength, status, tags, machineTranslated }, see metadata.js).
+ * 
+ * Custom writers can be used without registering them here by passing the path of a
+ * module that exports a `generate` function: --format=./my-writer.js
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { generatePO } from './po.js';
+import { generateXLIFF } from './xliff.js';
+import { generateAndroid } from './android.js';
+import { generateIOS } from './ios.js';
+import { generateARB } from './arb.js';
+import { generateTMX } from './tmx.js';
+
+const WRITERS = {
+  po: {
+    description: 'gettext PO files per language plus a messages.pot template',
+    generate: generatePO,
+  },
+  xliff: {
+    description: 'XLIFF 2.0 files per target language',
+    generate: generateXLIFF,
+  },
+  android: {
+    description: 'Android values*/strings.xml with <plurals>',
+    generate: generateAndroid,
+  },
+  ios: {
+    description: 'iOS *.lproj/Localizable.strings and Localizable.stringsdict',
+    generate: generateIOS,
+  },
+  arb: {
+    description: 'Flutter app_<lang>.arb files',
+    generate: generateARB,
+  },
+  tmx: {
+    description: 'TMX translation memory of the approved translations',
+    generate: generateTMX,
+  },
+};
+
+/**
+ * Find a writer by name, or load it from a module path.
+ * 
+ * @param {string} format - Writer name (e.g. "po") or path to a writer module
+ * @returns {Promise<Object>} { name, description, generate }
+ * @throws {Error} If the writer doesn't exist or the module has no generate function
+ */
+async function loadWriter(format) {
+  if (format in WRITERS) {
+    return { name: format, ...WRITERS[format] };
+  }
+  
+  if (format.endsWith('.js') || format.endsWith('.mjs')) {
+    const modulePath = path.isAbsolute(format) ? format : path.join(process.cwd(), format);
+    const module = await import(pathToFileURL(modulePath).href);
+    const generate = module.generate || (module.default && module.default.generate);
+    
+    if (typeof generate !== 'function') {
+      throw new Error(`Writer module '${format}' does not export a generate function`);
+    }
+    
+    return {
+      name: path.basename(format).replace(/\.m?js$/, ''),
+      description: module.description || `Custom writer from ${format}`,
+      generate,
+    };
+  }
+  
+  throw new Error(`Unknown export format '${format}'. Available formats: ${Object.keys(WRITERS).join(', ')}`);
+}
+
+export {
+  WRITERS,
+  loadWriter
+};
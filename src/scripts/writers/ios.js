@@ -0,0 +1,169 @@
+/**
+ * iOS Localizable.strings / Localizable.stringsdict writer.
+ * Writes <lang>.lproj/Localizable.strings for plain messages and
+ * <lang>.lproj/Localizable.stringsdict for messages with a plural.
+ * ICU placeholders become positional format arguments (%1$@, %2$d).
+ */
+
+import {
+  PLURAL_CATEGORIES,
+  UnsupportedMessageError,
+  escapeXML,
+  splitLocale,
+  tryParseMessage,
+  getArgumentPositions,
+  toPrintfFormat,
+  splitPluralMessage
+} from './shared.js';
+
+/**
+ * Get the .lproj folder for a language, e.g. "de.lproj", "pt-BR.lproj", "zh-Hant.lproj".
+ * 
+ * @param {string} langName - Language code
+ * @returns {string} Folder name
+ */
+function getLprojFolder(langName) {
+  const { language, script, region } = splitLocale(langName);
+  return `${[language, script, region].filter(Boolean).join('-')}.lproj`;
+}
+
+/**
+ * Escape a string for a .strings file.
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text (without the surrounding quotes)
+ */
+function escapeStrings(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+/**
+ * Convert a message to a format string, or to plain text when it has no arguments.
+ * 
+ * @param {Array<Object>} nodes - Syntax tree
+ * @returns {string} Format string
+ */
+function toFormat(nodes) {
+  const positions = getArgumentPositions(nodes);
+  
+  if (Object.keys(positions).length === 0) {
+    return nodes.map(node => node.value).join('');
+  }
+  
+  return toPrintfFormat(nodes, { positions, objectSpecifier: '@' });
+}
+
+/**
+ * Build the .stringsdict entry for a message with a plural.
+ * 
+ * @param {string} key - Translation key
+ * @param {Object} split - Result of splitPluralMessage
+ * @param {Object} positions - Argument positions
+ * @returns {string} Plist XML for the entry
+ */
+function buildPluralEntry(key, split, positions) {
+  const options = { positions, objectSpecifier: '@', pluralName: split.plural.name };
+  const variable = split.plural.name.replace(/[^a-zA-Z0-9_]/g, '_');
+  const formatKey = `${toPrintfFormat(split.before, options)}%#@${variable}@${toPrintfFormat(split.after, options)}`;
+  
+  const rules = PLURAL_CATEGORIES
+    .filter(category => category in split.variants)
+    .flatMap(category => [
+      `\t\t\t<key>${category}</key>`,
+      `\t\t\t<string>${escapeXML(toPrintfFormat(split.variants[category], options))}</string>`,
+    ]);
+  
+  return [
+    `\t<key>${escapeXML(key)}</key>`,
+    '\t<dict>',
+    '\t\t<key>NSStringLocalizedFormatKey</key>',
+    `\t\t<string>${escapeXML(formatKey)}</string>`,
+    `\t\t<key>${escapeXML(variable)}</key>`,
+    '\t\t<dict>',
+    '\t\t\t<key>NSStringFormatSpecTypeKey</key>',
+    '\t\t\t<string>NSStringPluralRuleType</string>',
+    '\t\t\t<key>NSStringFormatValueTypeKey</key>',
+    '\t\t\t<string>d</string>',
+    ...rules,
+    '\t\t</dict>',
+    '\t</dict>',
+  ].join('\n');
+}
+
+/**
+ * Generate Localizable.strings and Localizable.stringsdict files for all languages.
+ * Empty translations are left out so iOS falls back to the development language.
+ * 
+ * @param {Object} context - Export context (see export.js)
+ * @returns {Array<Object>} Files: { file, content }
+ */
+function generateIOS({ translations, languages, keys, version, warn }) {
+  const files = [];
+  
+  for (const langName of languages) {
+    const strings = [`/* Generated by translate:export (${version}) */`, ''];
+    const plurals = [];
+    
+    for (const key of keys) {
+      const message = translations[langName][key];
+      
+      if (!message) {
+        continue;
+      }
+      
+      const nodes = tryParseMessage(message);
+      let value = message;
+      
+      if (nodes) {
+        try {
+          const split = splitPluralMessage(nodes);
+          
+          if (split) {
+            plurals.push(buildPluralEntry(key, split, getArgumentPositions(nodes)));
+            continue;
+          }
+          
+          value = toFormat(nodes);
+        } catch (error) {
+          if (!(error instanceof UnsupportedMessageError)) {
+            throw error;
+          }
+          warn(key, langName, `${error.message}, exported as plain text`);
+        }
+      }
+      
+      strings.push(`"${escapeStrings(key)}" = "${escapeStrings(value)}";`);
+    }
+    
+    const folder = getLprojFolder(langName);
+    files.push({ file: `${folder}/Localizable.strings`, content: strings.join('\n') + '\n' });
+    
+    if (plurals.length > 0) {
+      const content = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+        '<plist version="1.0">',
+        '<dict>',
+        ...plurals,
+        '</dict>',
+        '</plist>',
+        '',
+      ].join('\n');
+      
+      files.push({ file: `${folder}/Localizable.stringsdict`, content });
+    }
+  }
+  
+  return files;
+}
+
+export {
+  getLprojFolder,
+  escapeStrings,
+  generateIOS
+};
@@ -0,0 +1,148 @@
+/**
+ * gettext PO/POT writer.
+ * Writes one <lang>.po file per language plus a messages.pot template.
+ * The translation key is used as msgctxt, so identical source texts stay separate entries,
+ * and ICU messages are kept as they are (flagged with "icu-format").
+ * The description, max length, status and tags of a key are written as extracted comments
+ * (#.) and machine-translated entries are flagged "fuzzy", so PO editors ask for a review.
+ */
+
+import { tryParseMessage } from './shared.js';
+
+/**
+ * Quote a string for a PO file. Multiline strings are split into one quoted
+ * line per source line, starting with an empty "" line like gettext does.
+ * 
+ * @param {string} text - Text to quote
+ * @returns {string} Quoted string (possibly spanning several lines)
+ */
+function quotePO(text) {
+  const escape = value => value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  
+  if (!text.includes('\n') || text.indexOf('\n') === text.length - 1) {
+    return `"${escape(text)}"`;
+  }
+  
+  const lines = text.split(/(?<=\n)/);
+  return ['""', ...lines.map(line => `"${escape(line)}"`)].join('\n');
+}
+
+/**
+ * Build the PO header entry.
+ * 
+ * @param {string|null} langName - Language of the file (null for the template)
+ * @param {string} version - Translation version
+ * @returns {string} Header entry
+ */
+function buildHeader(langName, version) {
+  const fields = [
+    `Project-Id-Version: ${version}`,
+    ...(langName ? [`Language: ${langName.replace(/-/g, '_')}`] : []),
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    'X-Generator: translate:export',
+  ];
+  
+  return `msgid ""\nmsgstr ${quotePO(fields.map(field => `${field}\n`).join(''))}\n`;
+}
+
+/**
+ * Build the extracted comments (#.) for the metadata of a key.
+ * 
+ * @param {Object} metadata - Metadata of the key ({ description, maxLength, status, tags })
+ * @returns {Array<string>} Comment lines
+ */
+function buildComments(metadata) {
+  const comments = [];
+  
+  if (metadata.description) {
+    comments.push(...metadata.description.split(/\r?\n/));
+  }
+  if (metadata.maxLength) {
+    comments.push(`Max length: ${metadata.maxLength}`);
+  }
+  if (metadata.status) {
+    comments.push(`Status: ${metadata.status}`);
+  }
+  if (metadata.tags) {
+    comments.push(`Tags: ${metadata.tags.join(', ')}`);
+  }
+  
+  return comments.map(comment => `#. ${comment}`.trimEnd());
+}
+
+/**
+ * Build one PO entry.
+ * 
+ * @param {string} key - Translation key (used as msgctxt)
+ * @param {string} source - Source text (msgid)
+ * @param {string} translation - Translated text (msgstr), empty for untranslated entries
+ * @param {Object} [metadata] - Metadata of the key
+ * @param {boolean} [fuzzy] - Whether the translation needs a review (machine-translated)
+ * @returns {string} PO entry
+ */
+function buildEntry(key, source, translation, metadata = {}, fuzzy = false) {
+  const lines = [...buildComments(metadata), `#: ${key}`];
+  const nodes = tryParseMessage(source);
+  const flags = [];
+  
+  if (fuzzy) {
+    flags.push('fuzzy');
+  }
+  if (nodes && nodes.some(node => node.type !== 'text')) {
+    flags.push('icu-format');
+  }
+  if (flags.length > 0) {
+    lines.push(`#, ${flags.join(', ')}`);
+  }
+  
+  lines.push(`msgctxt ${quotePO(key)}`);
+  lines.push(`msgid ${quotePO(source)}`);
+  lines.push(`msgstr ${quotePO(translation)}`);
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Generate PO files for all languages and a POT template.
+ * Keys without a source text are skipped (gettext needs a msgid).
+ * 
+ * @param {Object} context - Export context (see export.js)
+ * @returns {Array<Object>} Files: { file, content }
+ */
+function generatePO({ translations, languages, sourceLanguage, keys, version, metadata = {}, warn }) {
+  const source = translations[sourceLanguage];
+  const exportedKeys = keys.filter(key => {
+    if (!source[key]) {
+      warn(key, sourceLanguage, 'skipped, PO entries need a source text');
+      return false;
+    }
+    return true;
+  });
+  
+  const build = (langName) => [
+    buildHeader(langName, version),
+    ...exportedKeys.map(key => {
+      const translation = langName ? translations[langName][key] || '' : '';
+      const keyMetadata = metadata[key] || {};
+      const fuzzy = Boolean(translation) && (keyMetadata.machineTranslated || []).includes(langName);
+      return buildEntry(key, source[key], translation, keyMetadata, fuzzy);
+    }),
+  ].join('\n');
+  
+  return [
+    { file: 'messages.pot', content: build(null) },
+    ...languages.map(langName => ({ file: `${langName}.po`, content: build(langName) })),
+  ];
+}
+
+export {
+  quotePO,
+  generatePO
+};
@@ -0,0 +1,180 @@
+/**
+ * Helpers shared by the export writers: XML escaping, locale folder names and
+ * turning ICU messages into the printf-style format strings Android and iOS use.
+ */
+
+import { parseMessage } from '../../lib/messageformat.js';
+
+// Plural categories in the order Android and iOS list them
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Thrown when a message uses ICU features a format has no equivalent for
+ * (select, nested plurals, more than one plural). Writers catch it and fall
+ * back to the raw message.
+ */
+class UnsupportedMessageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedMessageError';
+  }
+}
+
+/**
+ * Escape text for use in XML content and attribute values.
+ * 
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a language code into language, script and region subtags.
+ * 
+ * @param {string} langName - Language code like "pt-BR", "zh_Hant_TW" or "en"
+ * @returns {Object} { language, script, region } (script and region may be null)
+ */
+function splitLocale(langName) {
+  const [language, ...rest] = langName.replace(/_/g, '-').split('-');
+  const script = rest.find(part => /^[a-zA-Z]{4}$/.test(part)) || null;
+  const region = rest.find(part => /^([a-zA-Z]{2}|\d{3})$/.test(part)) || null;
+  
+  return {
+    language: language.toLowerCase(),
+    script: script ? script[0].toUpperCase() + script.slice(1).toLowerCase() : null,
+    region: region ? region.toUpperCase() : null,
+  };
+}
+
+/**
+ * Parse a message, or return null if it isn't valid ICU (it's then exported as plain text).
+ * 
+ * @param {string} message - Translation message
+ * @returns {Array<Object>|null} Syntax tree or null
+ */
+function tryParseMessage(message) {
+  try {
+    return parseMessage(message);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Number the arguments of a message in the order they first appear (1-based),
+ * which is how positional printf arguments (%1$s, %2$d) are assigned.
+ * 
+ * @param {Array<Object>} nodes - Syntax tree
+ * @returns {Object} Argument name -> position
+ */
+function getArgumentPositions(nodes) {
+  const positions = {};
+  
+  const visit = (list) => {
+    for (const node of list) {
+      if (node.name && !(node.name in positions)) {
+        positions[node.name] = Object.keys(positions).length + 1;
+      }
+      if (node.options) {
+        Object.values(node.options).forEach(visit);
+      }
+    }
+  };
+  
+  visit(nodes);
+  return positions;
+}
+
+/**
+ * Turn a syntax tree without plurals/selects into a printf-style format string.
+ * 
+ * @param {Array<Object>} nodes - Syntax tree
+ * @param {Object} options
+ * @param {Object} options.positions - Argument positions from getArgumentPositions
+ * @param {string} options.objectSpecifier - Conversion used for text arguments ("s" on Android, "@" on iOS)
+ * @param {string} options.pluralName - Name of the plural argument "#" refers to
+ * @returns {string} Format string, with literal "%" escaped as "%%"
+ * @throws {UnsupportedMessageError} If the tree contains a plural or select
+ */
+function toPrintfFormat(nodes, { positions, objectSpecifier, pluralName = null }) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value.replace(/%/g, '%%');
+      case 'pound':
+        return `%${positions[pluralName]}$d`;
+      case 'number':
+        return `%${positions[node.name]}$d`;
+      case 'argument':
+      case 'date':
+      case 'time':
+        return `%${positions[node.name]}$${objectSpecifier}`;
+      default:
+        throw new UnsupportedMessageError(`'${node.type}' arguments can't be expressed as a format string`);
+    }
+  }).join('');
+}
+
+/**
+ * Split a message with a single top-level plural into the text around it and one
+ * variant per plural category, the shape Android <plurals> and iOS .stringsdict expect.
+ * Exact matches (=0, =1, =2) become zero/one/two if that category isn't used already.
+ * 
+ * @param {Array<Object>} nodes - Syntax tree
+ * @returns {Object|null} { before, plural, after, variants: { category: nodes } } or null if
+ *   the message has no plural
+ * @throws {UnsupportedMessageError} If there is more than one plural or a select
+ */
+function splitPluralMessage(nodes) {
+  const plurals = nodes.filter(node => node.type === 'plural');
+  
+  if (plurals.length === 0) {
+    if (nodes.some(node => node.type === 'select')) {
+      throw new UnsupportedMessageError('select arguments are not supported');
+    }
+    return null;
+  }
+  
+  if (plurals.length > 1 || nodes.some(node => node.type === 'select')) {
+    throw new UnsupportedMessageError('only messages with a single plural are supported');
+  }
+  
+  const plural = plurals[0];
+  const index = nodes.indexOf(plural);
+  const variants = {};
+  const exact = { '=0': 'zero', '=1': 'one', '=2': 'two' };
+  
+  for (const [selector, option] of Object.entries(plural.options)) {
+    if (option.some(node => node.type === 'plural' || node.type === 'select')) {
+      throw new UnsupportedMessageError('nested plural and select arguments are not supported');
+    }
+    if (PLURAL_CATEGORIES.includes(selector)) {
+      variants[selector] = option;
+    }
+  }
+  
+  for (const [selector, category] of Object.entries(exact)) {
+    if (selector in plural.options && !(category in variants)) {
+      variants[category] = plural.options[selector];
+    }
+  }
+  
+  return { before: nodes.slice(0, index), plural, after: nodes.slice(index + 1), variants };
+}
+
+export {
+  PLURAL_CATEGORIES,
+  UnsupportedMessageError,
+  escapeXML,
+  splitLocale,
+  tryParseMessage,
+  getArgumentPositions,
+  toPrintfFormat,
+  splitPluralMessage
+};
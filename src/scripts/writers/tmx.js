@@ -0,0 +1,93 @@
+/**
+ * TMX 1.4 writer (translation memory exchange).
+ * Writes translations.tmx with one <tu> per key whose @status is "approved", holding the
+ * source text and every translation of the key that isn't an unreviewed machine translation.
+ * CAT tools and translation servers can import it as a translation memory.
+ */
+
+import { escapeXML } from './shared.js';
+
+/**
+ * Turn a language name into the BCP 47 tag TMX expects (pt_BR -> pt-BR).
+ */
+function toLanguageTag(langName) {
+  return langName.replace(/_/g, '-');
+}
+
+/**
+ * Get the approved pairs: per approved key, the source text and the reviewed translations.
+ * 
+ * @param {Object} context - Export context (see export.js)
+ * @returns {Array<Object>} { key, source, translations: { langName: text }, description }
+ */
+function getApprovedUnits({ translations, languages, sourceLanguage, keys, metadata = {} }) {
+  const units = [];
+  
+  for (const key of keys) {
+    const keyMetadata = metadata[key] || {};
+    const source = translations[sourceLanguage][key];
+    
+    if (keyMetadata.status !== 'approved' || !source) {
+      continue;
+    }
+    
+    const machineTranslated = keyMetadata.machineTranslated || [];
+    const targets = {};
+    
+    for (const langName of languages) {
+      const text = translations[langName][key];
+      if (langName !== sourceLanguage && text && !machineTranslated.includes(langName)) {
+        targets[langName] = text;
+      }
+    }
+    
+    if (Object.keys(targets).length > 0) {
+      units.push({ key, source, translations: targets, description: keyMetadata.description });
+    }
+  }
+  
+  return units;
+}
+
+/**
+ * Generate the TMX file.
+ * 
+ * @param {Object} context - Export context (see export.js)
+ * @returns {Array<Object>} Files: { file, content }
+ */
+function generateTMX(context) {
+  const { sourceLanguage, version, warn } = context;
+  const units = getApprovedUnits(context);
+  
+  if (units.length === 0) {
+    warn('*', sourceLanguage, 'no approved translations (keys with @status "approved"), the TMX file is empty');
+  }
+  
+  const tuv = (langName, text) =>
+    `      <tuv xml:lang="${escapeXML(toLanguageTag(langName))}"><seg>${escapeXML(text)}</seg></tuv>`;
+  
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="translation-api" creationtoolversion="${escapeXML(version)}" segtype="sentence"` +
+      ` o-tmf="csv" adminlang="en" srclang="${escapeXML(toLanguageTag(sourceLanguage))}" datatype="plaintext"/>`,
+    '  <body>',
+    ...units.map(unit => [
+      `    <tu tuid="${escapeXML(unit.key)}">`,
+      ...(unit.description ? [`      <note>${escapeXML(unit.description)}</note>`] : []),
+      tuv(sourceLanguage, unit.source),
+      ...Object.entries(unit.translations).map(([langName, text]) => tuv(langName, text)),
+      '    </tu>',
+    ].join('\n')),
+    '  </body>',
+    '</tmx>',
+    '',
+  ].join('\n');
+  
+  return [{ file: 'translations.tmx', content }];
+}
+
+export {
+  getApprovedUnits,
+  generateTMX
+};
@@ -0,0 +1,89 @@
+/**
+ * XLIFF 2.0 writer.
+ * Writes one <lang>.xlf file per target language with the source language as srcLang.
+ * Empty translations are written without a <target> and with state="initial".
+ * The metadata of a key becomes <notes> (category description, maxLength, status, tags),
+ * and machine-translated targets get a note that they need a review.
+ */
+
+import { escapeXML } from './shared.js';
+
+/**
+ * Build the <notes> of a unit.
+ * 
+ * @param {Object} metadata - Metadata of the key ({ description, maxLength, status, tags })
+ * @param {boolean} machineTranslated - Whether the target is a machine translation
+ * @returns {Array<string>} Lines (none if there is nothing to note)
+ */
+function buildNotes(metadata, machineTranslated) {
+  const notes = [];
+  const add = (category, text, appliesTo) => notes.push(
+    `        <note category="${category}"${appliesTo ? ` appliesTo="${appliesTo}"` : ''}>${escapeXML(String(text))}</note>`);
+  
+  if (metadata.description) {
+    add('description', metadata.description);
+  }
+  if (metadata.maxLength) {
+    add('maxLength', metadata.maxLength);
+  }
+  if (metadata.status) {
+    add('status', metadata.status);
+  }
+  if (metadata.tags) {
+    add('tags', metadata.tags.join(', '));
+  }
+  if (machineTranslated) {
+    add('machineTranslated', 'Machine translation, needs a review', 'target');
+  }
+  
+  return notes.length > 0 ? ['      <notes>', ...notes, '      </notes>'] : [];
+}
+
+/**
+ * Generate XLIFF 2.0 files for every language except the source language.
+ * 
+ * @param {Object} context - Export context (see export.js)
+ * @returns {Array<Object>} Files: { file, content }
+ */
+function generateXLIFF({ translations, languages, sourceLanguage, keys, metadata = {} }) {
+  const source = translations[sourceLanguage];
+  
+  return languages
+    .filter(langName => langName !== sourceLanguage)
+    .map(langName => {
+      const units = keys.map(key => {
+        const target = translations[langName][key] || '';
+        const keyMetadata = metadata[key] || {};
+        const machineTranslated = Boolean(target) && (keyMetadata.machineTranslated || []).includes(langName);
+        const lines = [
+          `    <unit id="${escapeXML(key)}">`,
+          ...buildNotes(keyMetadata, machineTranslated),
+          `      <segment state="${target ? 'translated' : 'initial'}">`,
+          `        <source>${escapeXML(source[key] || '')}</source>`,
+        ];
+        
+        if (target) {
+          lines.push(`        <target>${escapeXML(target)}</target>`);
+        }
+        
+        lines.push('      </segment>', '    </unit>');
+        return lines.join('\n');
+      });
+      
+      const content = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXML(sourceLanguage)}" trgLang="${escapeXML(langName)}">`,
+        '  <file id="translations">',
+        ...units,
+        '  </file>',
+        '</xliff>',
+        '',
+      ].join('\n');
+      
+      return { file: `${langName}.xlf`, content };
+    });
+}
+
+export {
+  generateXLIFF
+};